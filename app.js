@@ -0,0 +1,91 @@
+// The Express app, built around a storage backend so it can be run against
+// SQLite/Sheets by server.js or an in-memory store by the tests.
+const crypto = require("crypto");
+const path = require("path");
+const express = require("express");
+const session = require("express-session");
+const {
+  SESSION_COOKIE,
+  SESSION_DB_PATH,
+  SESSION_IDLE_MS,
+  SESSION_SECRETS,
+  TRUST_PROXY_HOPS,
+} = require("./lib/config");
+const { logWarn, requestLogger } = require("./lib/log");
+const { SqliteSessionStore } = require("./lib/sessionStore");
+const { VIEWS_DIR, viewHelpers } = require("./lib/views");
+const { createServices } = require("./services");
+
+const BUILD_TIME = new Date().toISOString();
+
+// Page routers, in the order they're mounted after sign-in
+const PAGE_ROUTES = [
+  require("./routes/home"),
+  require("./routes/studentList"),
+  require("./routes/students"),
+  require("./routes/history"),
+  require("./routes/dashboard"),
+  require("./routes/admin"),
+  require("./routes/roster"),
+  require("./routes/reports"),
+  require("./routes/tokens"),
+];
+
+function sessionSecrets() {
+  if (SESSION_SECRETS.length > 0) return SESSION_SECRETS;
+  logWarn("sessions", "SESSION_SECRET is not set; using a random one, so everyone is logged out on restart");
+  return [crypto.randomBytes(32).toString("hex")];
+}
+
+// storage: a backend from storage/ (or anything with the same functions)
+// sessionStore: defaults to the SQLite one at SESSION_DB_PATH
+function createApp({ storage, services = createServices(storage), sessionStore } = {}) {
+  const app = express();
+
+  // Railway (and most hosts) sit behind one proxy; req.ip should be the client
+  app.set("trust proxy", TRUST_PROXY_HOPS);
+  app.set("view engine", "ejs");
+  app.set("views", VIEWS_DIR);
+  Object.assign(app.locals, viewHelpers, { buildTime: BUILD_TIME });
+
+  // First, so every request is timed and logged with its id
+  app.use(requestLogger());
+  // Health checks and scrapes don't need a session
+  app.use(require("./routes/health")({ storage, buildTime: BUILD_TIME }));
+
+  app.use(express.urlencoded({ extended: true }));
+  app.use(
+    session({
+      name: SESSION_COOKIE,
+      secret: sessionSecrets(),
+      store: sessionStore || new SqliteSessionStore({ path: SESSION_DB_PATH, ttlMs: SESSION_IDLE_MS }),
+      resave: false,
+      saveUninitialized: false,
+      // Every request pushes the idle expiry back
+      rolling: true,
+      cookie: {
+        httpOnly: true,
+        sameSite: "lax",
+        // Secure whenever the request came in over HTTPS (via the trusted proxy)
+        secure: "auto",
+        maxAge: SESSION_IDLE_MS,
+      },
+    })
+  );
+
+  app.use("/public", express.static(path.join(__dirname, "public")));
+  // The service worker only controls pages under the path it's served from
+  app.get("/sw.js", (_req, res) => {
+    res.set("Cache-Control", "no-cache");
+    res.sendFile(path.join(__dirname, "public", "sw.js"));
+  });
+
+  const deps = { storage, services };
+  app.use(require("./routes/auth")(deps));
+  for (const routes of PAGE_ROUTES) app.use(routes(deps));
+  app.use("/api/v1", require("./routes/api")(deps));
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,29 @@
+// Who can do what to which student.
+//
+// admin     – every caseload, every action
+// counselor – own caseload, and can share own students with other users
+// teacher   – own caseload
+// Anyone a student is shared with may view it and add check-ins, but only the
+// owner (or an admin) can clear/end the week, share it or hand it over.
+
+function canShare(viewer) {
+  return viewer.role === "admin" || viewer.role === "counselor";
+}
+
+// student: a row from readStudentsList (only id and owner are used)
+function accessFor(viewer, student, shares) {
+  if (viewer.role === "admin" || viewer.username === student.owner) {
+    return { view: true, checkin: true, manage: true };
+  }
+  const shared = shares.some(
+    (s) => s.studentId === student.id && s.username === viewer.username
+  );
+  return { view: shared, checkin: shared, manage: false };
+}
+
+// Every student the viewer can open (archived ones included)
+function visibleStudents(viewer, studentsRows, shares) {
+  return studentsRows.filter((s) => accessFor(viewer, s, shares).view);
+}
+
+module.exports = { canShare, accessFor, visibleStudents };
@@ -0,0 +1,67 @@
+// What the audit log calls each action, and how a recorded value reads.
+const { formatDateTime } = require("./weeks");
+
+const AUDIT_ACTIONS = {
+  "checkin.add": "Added check-in",
+  "checkin.edit": "Edited check-in",
+  "checkin.delete": "Deleted check-in",
+  "week.clear": "Cleared week",
+  "week.end": "Ended week",
+  "week.rollover": "Weekly rollover",
+  "history.backfill": "Backfilled week",
+  "history.edit": "Edited history",
+  "history.delete": "Deleted history",
+  "history.merge": "Merged duplicate weeks",
+  "history.import": "Imported legacy history",
+  "student.add": "Added student",
+  "student.import": "Imported roster",
+  "student.rename": "Renamed student",
+  "student.archive": "Archived student",
+  "student.restore": "Restored student",
+  "student.plan": "Changed goal",
+  "student.merge": "Merged student",
+  "student.delete": "Deleted student",
+  "student.undelete": "Brought back deleted student",
+  "year.start": "Started school year",
+  "share.add": "Shared student",
+  "share.remove": "Unshared student",
+  "caseload.transfer": "Handed over caseload",
+  "school.plan": "Changed school default",
+  "calendar.add": "Added closure",
+  "calendar.delete": "Removed closure",
+  "teacher.add": "Added teacher",
+  "teacher.remove": "Removed teacher",
+  "report.email": "Emailed report",
+  "user.settings": "Changed email settings",
+  "user.add": "Added user",
+  "user.reset": "Reset password",
+  "user.disable": "Disabled user",
+  "user.enable": "Enabled user",
+  "user.role": "Changed role",
+  "token.create": "Created API token",
+  "token.revoke": "Revoked API token",
+  undo: "Undo",
+};
+
+// Fields left out of a record's details: ids, and the owner/name already shown
+// in the Student column
+function auditFields(record) {
+  const hidden = record.studentId ? ["id", "studentId", "owner", "student"] : ["id"];
+  return Object.entries(record).filter(
+    ([k, v]) => !hidden.includes(k) && v !== null && v !== undefined && v !== ""
+  );
+}
+
+function auditValueText(key, value) {
+  if (key === "occurredAt" || key === "at") return formatDateTime(value);
+  if (Array.isArray(value) && value.every((v) => typeof v !== "object")) return value.join(", ");
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function auditRecordLine(record) {
+  return auditFields(record)
+    .map(([k, v]) => `${k}: ${auditValueText(k, v)}`)
+    .join(" • ");
+}
+
+module.exports = { AUDIT_ACTIONS, auditFields, auditValueText, auditRecordLine };
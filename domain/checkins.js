@@ -0,0 +1,30 @@
+// Check-ins as entered on the home page or through the API.
+const { checkinWeek } = require("./weeks");
+
+const CHECKIN_CATEGORIES = ["Academic", "Behavior", "Social-emotional", "Attendance", "Other"];
+
+// Editable fields of a check-in from a form post
+function checkinFields(body) {
+  const category = (body.category || "").trim();
+  return {
+    teacher: (body.teacher || "").trim(),
+    category: CHECKIN_CATEGORIES.includes(category) ? category : "",
+    note: (body.note || "").trim(),
+  };
+}
+
+// A check-in as the API (and the home page's form script) sends it
+function checkinJson(c) {
+  return {
+    id: c.id,
+    occurredAt: c.occurredAt,
+    weekEnding: checkinWeek(c),
+    enteredBy: c.enteredBy,
+    teacher: c.teacher,
+    category: c.category,
+    note: c.note,
+    status: c.status,
+  };
+}
+
+module.exports = { CHECKIN_CATEGORIES, checkinFields, checkinJson };
@@ -0,0 +1,206 @@
+// Saved weeks: the per-student summary, trends, duplicates, progress reports
+// and digests. Everything here works on rows already read from storage.
+const { splitTeachers } = require("../storage/common");
+const { ROLLING_WEEKS, AT_RISK_WEEKS, DASHBOARD_WEEKS } = require("../lib/config");
+const {
+  addDaysISO,
+  currentWeekEnding,
+  isDateISO,
+  prorate,
+  schoolWeek,
+  weekCheckinsFor,
+  weekEndingForDate,
+  zonedParts,
+} = require("./weeks");
+const { colorForCount, planFor, rowPlan, summaryForCount } = require("./plans");
+
+// Joins "a; b" style teacher lists, dropping repeats
+function mergeTeachers(lists) {
+  const seen = new Map();
+  for (const t of lists.flatMap((l) => splitTeachers(l))) {
+    if (!seen.has(t.toLowerCase())) seen.set(t.toLowerCase(), t);
+  }
+  return Array.from(seen.values()).join("; ");
+}
+
+// History weeks with more than one row: [{ owner, student, weekEnding, rows }]
+function duplicateHistoryGroups(historyAll) {
+  const groups = new Map();
+  for (const r of historyAll) {
+    const key = `${r.studentId}||${r.weekEnding}`;
+    if (!groups.has(key)) {
+      groups.set(key, { owner: r.owner, student: r.student, weekEnding: r.weekEnding, rows: [] });
+    }
+    groups.get(key).rows.push(r);
+  }
+  return Array.from(groups.values())
+    .filter((g) => g.rows.length > 1)
+    .sort(
+      (a, b) =>
+        a.owner.localeCompare(b.owner) ||
+        a.student.localeCompare(b.student) ||
+        a.weekEnding.localeCompare(b.weekEnding)
+    );
+}
+
+// One student's saved weeks, newest first. Duplicate rows for a week show as
+// the highest count, with `rows` saying how many there were; admins can merge
+// them for real from /admin/duplicates.
+function weeklySummary(historyAll, studentId) {
+  const map = new Map();
+  for (const r of historyAll) {
+    if (r.studentId !== studentId) continue;
+    const prev = map.get(r.weekEnding);
+    if (!prev || r.checkins > prev.checkins) {
+      map.set(r.weekEnding, { ...r, rows: (prev?.rows || 0) + 1 });
+    } else {
+      prev.rows += 1;
+    }
+  }
+  return Array.from(map.values()).sort((a, b) =>
+    a.weekEnding < b.weekEnding ? 1 : a.weekEnding > b.weekEnding ? -1 : 0
+  );
+}
+
+// A student's recent weeks, oldest first, each with the plan it was measured
+// against, plus rolling average and streaks over the completed ones (newest
+// first). Weeks with no history row (breaks, or before the student started)
+// are gaps, not zeros, and neither extend nor break a streak.
+function studentTrend(historyAll, checkins, student, school, closures, weeks) {
+  const current = currentWeekEnding();
+  const saved = new Map();
+  for (const r of historyAll) {
+    if (r.studentId !== student.id) continue;
+    const prev = saved.get(r.weekEnding);
+    if (!prev || r.checkins > prev.checkins) saved.set(r.weekEnding, r);
+  }
+
+  const points = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const weekEnding = addDaysISO(current, -7 * i);
+    const row = saved.get(weekEnding);
+    const week = schoolWeek(weekEnding, closures);
+    let point = {
+      weekEnding,
+      count: null,
+      plan: prorate(planFor(student, school), week),
+      current: i === 0,
+      break: week.days === 0,
+    };
+    if (row) {
+      point = { ...point, count: row.checkins, plan: rowPlan(row) };
+    } else if (i === 0) {
+      const count = weekCheckinsFor(checkins, student.id, current).length;
+      point.count = Math.min(count, point.plan.maxCheckins);
+    }
+    points.push(point);
+  }
+
+  const completed = points.filter((p) => !p.current && p.count !== null).reverse();
+  const recent = completed.slice(0, ROLLING_WEEKS);
+  const runOf = (test) => {
+    const n = completed.findIndex((p) => !test(p));
+    return n === -1 ? completed.length : n;
+  };
+  const belowGoal = runOf((p) => p.count < p.plan.goal);
+
+  return {
+    points,
+    plan: planFor(student, school),
+    average: recent.length ? recent.reduce((a, p) => a + p.count, 0) / recent.length : null,
+    metStreak: runOf((p) => p.count >= p.plan.goal),
+    belowGoal,
+    atRisk: belowGoal >= AT_RISK_WEEKS,
+  };
+}
+
+// One student's saved weeks ending from..to, for sharing with guardians
+function studentReport(student, historyAll, from, to) {
+  const byWeek = new Map();
+  for (const r of historyAll) {
+    if (r.studentId !== student.id || r.weekEnding < from || r.weekEnding > to) continue;
+    const prev = byWeek.get(r.weekEnding);
+    if (!prev || r.checkins > prev.checkins) byWeek.set(r.weekEnding, r);
+  }
+  const weeks = Array.from(byWeek.values())
+    .sort((a, b) => a.weekEnding.localeCompare(b.weekEnding))
+    .map((r) => {
+      const plan = rowPlan(r);
+      return {
+        weekEnding: r.weekEnding,
+        checkins: r.checkins,
+        ...plan,
+        teacher: r.teacher || "",
+        summary: summaryForCount(r.checkins, plan),
+        color: colorForCount(r.checkins, plan),
+        met: r.checkins >= plan.goal,
+      };
+    });
+  return {
+    student: student.student,
+    owner: student.owner,
+    grade: student.grade || "",
+    from,
+    to,
+    generatedAt: zonedParts(new Date()).dateISO,
+    weeks,
+    metWeeks: weeks.filter((w) => w.met).length,
+    average: weeks.length ? weeks.reduce((a, w) => a + w.checkins, 0) / weeks.length : 0,
+  };
+}
+
+// Report range from a query/form: week-ending dates, the last 12 weeks by default
+function reportRange(input) {
+  const to = isDateISO(input.to) ? weekEndingForDate(input.to) : currentWeekEnding();
+  const from = isDateISO(input.from) ? weekEndingForDate(input.from) : addDaysISO(to, -7 * 11);
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+// One owner's students for the digest of the week ending `weekEnding`: last
+// week's count for each active student, those below goal first (`missed`),
+// and how many weeks running they've been below it. null if they have none.
+function digestItems(username, weekEnding, data) {
+  const { studentsRows, historyAll, checkins, school, closures } = data;
+  const students = studentsRows.filter((s) => s.owner === username && !s.archived);
+  if (students.length === 0) return null;
+
+  return students
+    .map((s) => {
+      const row = historyAll
+        .filter((r) => r.studentId === s.id && r.weekEnding === weekEnding)
+        .sort((a, b) => b.checkins - a.checkins)[0];
+      const plan = row ? rowPlan(row) : prorate(planFor(s, school), schoolWeek(weekEnding, closures));
+      const trend = studentTrend(historyAll, checkins, s, school, closures, DASHBOARD_WEEKS);
+      return {
+        student: s.student,
+        count: row ? row.checkins : null,
+        plan,
+        missed: !row || row.checkins < plan.goal,
+        run: trend.belowGoal,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.missed - a.missed ||
+        b.run - a.run ||
+        a.student.localeCompare(b.student, undefined, { sensitivity: "base" })
+    );
+}
+
+// A digest item as one line: "Amy: 3 of 4 (below goal 2 weeks running)"
+function digestLine(item) {
+  return `${item.student}: ${item.count === null ? "not recorded" : `${item.count} of ${item.plan.goal}`}${
+    item.run >= AT_RISK_WEEKS ? ` (below goal ${item.run} weeks running)` : ""
+  }`;
+}
+
+module.exports = {
+  mergeTeachers,
+  duplicateHistoryGroups,
+  weeklySummary,
+  studentTrend,
+  studentReport,
+  reportRange,
+  digestItems,
+  digestLine,
+};
@@ -0,0 +1,82 @@
+// Weeks saved by the SQLite versions that came before owners (checkins.db,
+// checkins_old.db), matched up against the history already in storage.
+// Works on rows read by storage/legacy.js; nothing here writes.
+const { normalizeOwner, normalizeStudentName } = require("../storage/common");
+const { isDateISO, weekEndingForDate } = require("./weeks");
+
+const historyKey = (owner, student, weekEnding) => `${owner}||${student.toLowerCase()}||${weekEnding}`;
+
+// sources: [{ file, history, counters }] from readLegacyFile
+// existing: history rows from storage.readHistoryRows()
+// owner: who gets students without one; student: the name for rows from
+// the single-student file, whose history has no student at all
+//
+// -> [{ source, owner, student, weekEnding, checkins, teacher, status, reason }]
+// with status "import", "skip" or "conflict" (conflicts are left out too)
+function planLegacyImport(sources, existing, { owner = "", student = "" } = {}) {
+  const saved = new Map(existing.map((r) => [historyKey(r.owner, r.student, r.weekEnding), r]));
+  const planned = new Map();
+  const report = [];
+
+  for (const { file, history, counters } of sources) {
+    for (const r of history) {
+      const entry = {
+        source: `${file}#${r.legacyId}`,
+        owner: normalizeOwner(r.owner) || normalizeOwner(owner),
+        student: normalizeStudentName(r.student || (r.studentId == null ? student : "")),
+        weekEnding: "",
+        checkins: r.checkins,
+        teacher: String(r.teacher || "").trim(),
+        status: "skip",
+        reason: "",
+      };
+      report.push(entry);
+      const date = String(r.weekEnding ?? "").trim().slice(0, 10);
+
+      if (!entry.student) {
+        entry.reason =
+          r.studentId == null
+            ? "single-student file: pass --student"
+            : `student #${r.studentId} is not in the students table`;
+      } else if (!entry.owner) {
+        entry.reason = "no owner: pass --owner";
+      } else if (!isDateISO(date)) {
+        entry.reason = `bad week ending "${r.weekEnding}"`;
+      } else if (!Number.isInteger(r.checkins) || r.checkins < 0) {
+        entry.reason = `bad count "${r.checkins}"`;
+      } else {
+        entry.weekEnding = weekEndingForDate(date);
+        const key = historyKey(entry.owner, entry.student, entry.weekEnding);
+        const same = saved.get(key) || planned.get(key);
+        if (!same) {
+          entry.status = "import";
+          planned.set(key, entry);
+        } else if (same.checkins === entry.checkins) {
+          entry.reason = saved.has(key) ? "already in history" : `same as ${same.source}`;
+        } else {
+          entry.status = "conflict";
+          entry.reason = saved.has(key)
+            ? `history has ${same.checkins} check-ins`
+            : `${same.source} has ${same.checkins} check-ins`;
+        }
+      }
+    }
+
+    // An unfinished week's counter isn't a saved week; list it so it isn't lost silently
+    for (const c of counters) {
+      report.push({
+        source: `${file}#current_week`,
+        owner: normalizeOwner(c.owner) || normalizeOwner(owner),
+        student: normalizeStudentName(c.student || student),
+        weekEnding: "",
+        checkins: c.checkins,
+        teacher: "",
+        status: "skip",
+        reason: "unsaved current-week counter",
+      });
+    }
+  }
+  return report;
+}
+
+module.exports = { planLegacyImport };
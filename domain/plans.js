@@ -0,0 +1,96 @@
+// Goals and how a week's count measures up to one.
+//
+// Each student works to a weekly goal and is capped at a max (reaching a max
+// above the goal is "above & beyond"). Students without their own use the
+// school default, which admins set; until then it's the original 4 of 5,
+// which is also what history rows saved before goals were measured against.
+
+const LEGACY_PLAN = { goal: 4, maxCheckins: 5 };
+const PLAN_LIMIT = 50;
+
+// A weekly count typed into a form: whole number from 0 to max
+function parseCount(value, max) {
+  const n = Number(String(value ?? "").trim());
+  return Number.isInteger(n) && n >= 0 && n <= max ? n : null;
+}
+
+// A goal or max typed into a form: null when blank, NaN when not 1..PLAN_LIMIT
+function parsePlanNumber(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isInteger(n) && n >= 1 && n <= PLAN_LIMIT ? n : NaN;
+}
+
+// The school default as saved in the "school_plan" setting
+function parseSchoolPlan(json) {
+  try {
+    const saved = JSON.parse(json || "null");
+    if (saved?.goal > 0 && saved.maxCheckins >= saved.goal) {
+      return { goal: saved.goal, maxCheckins: saved.maxCheckins };
+    }
+  } catch {
+    // unreadable setting: fall back below
+  }
+  return LEGACY_PLAN;
+}
+
+// The goal and max a student works to now
+function planFor(student, school) {
+  const goal = student.goal || school.goal;
+  return { goal, maxCheckins: Math.max(student.maxCheckins || school.maxCheckins, goal) };
+}
+
+// The goal and max a saved week was measured against
+function rowPlan(row) {
+  return row.goal
+    ? { goal: row.goal, maxCheckins: Math.max(row.maxCheckins || row.goal, row.goal) }
+    : LEGACY_PLAN;
+}
+
+function planText(plan) {
+  return plan.maxCheckins > plan.goal
+    ? `Goal: ${plan.goal} check-ins (${plan.maxCheckins} = above & beyond)`
+    : `Goal: ${plan.goal} check-ins`;
+}
+
+// Below the goal, tiers go by the share of it reached (3 of 4 is close)
+const COUNT_TIERS = {
+  beyond: { color: "#14532d", summary: "Above & beyond!" },
+  met: { color: "green", summary: "Met goal--nice." },
+  close: { color: "goldenrod", summary: "Close!" },
+  progress: { color: "orange", summary: "In progress..." },
+  low: { color: "crimson", summary: "Uh oh--what happened?" },
+  none: { color: "black", summary: "No check-ins" },
+};
+
+function countTier(count, plan) {
+  if (count >= plan.maxCheckins && plan.maxCheckins > plan.goal) return "beyond";
+  if (count >= plan.goal) return "met";
+  if (count <= 0) return "none";
+  if (count / plan.goal >= 0.75) return "close";
+  if (count / plan.goal >= 0.5) return "progress";
+  return "low";
+}
+
+function colorForCount(count, plan) {
+  return COUNT_TIERS[countTier(count, plan)].color;
+}
+
+function summaryForCount(count, plan) {
+  return COUNT_TIERS[countTier(count, plan)].summary;
+}
+
+module.exports = {
+  LEGACY_PLAN,
+  PLAN_LIMIT,
+  parseCount,
+  parsePlanNumber,
+  parseSchoolPlan,
+  planFor,
+  rowPlan,
+  planText,
+  countTier,
+  colorForCount,
+  summaryForCount,
+};
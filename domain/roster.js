@@ -0,0 +1,71 @@
+// Roster import: reading the header row and checking each student before
+// anything is saved.
+const { normalizeOwner, normalizeStudentName } = require("../storage/common");
+
+const ROSTER_COLUMNS = {
+  owner: ["owner", "counselor", "username"],
+  student: ["student", "name", "student name"],
+  grade: ["grade"],
+  externalId: ["id", "student id", "student_id", "external id", "external_id"],
+};
+
+// Header row -> { owner, student, grade, externalId } column indexes (-1 if absent)
+function rosterColumns(header) {
+  const names = header.map((h) => String(h || "").trim().toLowerCase());
+  const cols = {};
+  for (const [key, aliases] of Object.entries(ROSTER_COLUMNS)) {
+    cols[key] = names.findIndex((n) => aliases.includes(n));
+  }
+  return cols;
+}
+
+// A table's data rows as { line, owner, student, grade, externalId }, blank rows dropped
+function rosterEntries(table, cols) {
+  const cell = (r, i) => (i >= 0 ? r[i] || "" : "");
+  return table
+    .map((r, i) => ({
+      line: i + 1,
+      owner: cell(r, cols.owner),
+      student: cell(r, cols.student),
+      grade: cell(r, cols.grade),
+      externalId: cell(r, cols.externalId),
+    }))
+    .slice(1)
+    .filter((e) => [e.owner, e.student, e.grade, e.externalId].some((v) => String(v).trim()));
+}
+
+// Marks each { owner, student, grade, externalId } as "new", "duplicate" or
+// "invalid" (with a reason). A blank owner means the uploader.
+function checkRoster(entries, viewer, studentsRows, usernames) {
+  const seen = new Set(studentsRows.map((r) => `${r.owner}||${r.student.toLowerCase()}`));
+  return entries.map((e) => {
+    const owner = normalizeOwner(e.owner) || viewer.username;
+    const student = normalizeStudentName(e.student);
+    const row = {
+      line: e.line,
+      owner,
+      student,
+      grade: String(e.grade || "").trim(),
+      externalId: String(e.externalId || "").trim(),
+    };
+    const key = `${owner}||${student.toLowerCase()}`;
+
+    let status = "new";
+    let reason = "";
+    if (!student) {
+      [status, reason] = ["invalid", "Missing student name"];
+    } else if (student.length > 100) {
+      [status, reason] = ["invalid", "Student name is too long"];
+    } else if (owner !== viewer.username && viewer.role !== "admin") {
+      [status, reason] = ["invalid", "You can only import into your own caseload"];
+    } else if (!usernames.has(owner)) {
+      [status, reason] = ["invalid", `No user named ${owner}`];
+    } else if (seen.has(key)) {
+      [status, reason] = ["duplicate", "Already on this caseload (or earlier in the file)"];
+    }
+    if (status !== "invalid") seen.add(key);
+    return { ...row, status, reason };
+  });
+}
+
+module.exports = { rosterColumns, rosterEntries, checkRoster };
@@ -0,0 +1,88 @@
+// The Students page: every active student the viewer can see with this
+// week's count against their goal, searched, filtered and sorted. The archived
+// and deleted ones are listed separately so they can be brought back.
+const { planFor } = require("./plans");
+const { currentWeekEnding, prorate, weekCheckinsFor } = require("./weeks");
+
+// Filters on this week so far; "below" includes students with none yet
+const WEEK_STATUSES = {
+  met: "Met goal",
+  below: "Below goal",
+  none: "No check-ins yet",
+};
+
+// "" is the active students
+const STUDENT_VIEWS = {
+  "": "Active",
+  archived: "Archived",
+  deleted: "Deleted",
+};
+
+const STUDENT_SORTS = {
+  name: "Name",
+  "count-desc": "Most check-ins this week",
+  "count-asc": "Fewest check-ins this week",
+};
+
+// -> [{ student, plan, count, status: "met" | "below" | "none" }]
+function studentWeekRows(students, checkins, school, week) {
+  const weekEnding = currentWeekEnding();
+  return students.map((student) => {
+    const plan = prorate(planFor(student, school), week);
+    const count = Math.min(weekCheckinsFor(checkins, student.id, weekEnding).length, plan.maxCheckins);
+    return { student, plan, count, status: count >= plan.goal ? "met" : count === 0 ? "none" : "below" };
+  });
+}
+
+// Only the values the page offers; anything else is ignored
+function studentListQuery(query, grades, owners) {
+  const pick = (value, allowed) => (allowed.includes(String(value ?? "")) ? String(value) : "");
+  return {
+    q: String(query.q ?? "").trim().slice(0, 100),
+    view: pick(query.view, Object.keys(STUDENT_VIEWS)),
+    status: pick(query.status, Object.keys(WEEK_STATUSES)),
+    grade: pick(query.grade, grades),
+    owner: pick(query.owner, owners),
+    sort: pick(query.sort, Object.keys(STUDENT_SORTS)) || "name",
+  };
+}
+
+// q matches the name, id, grade or owner; status "below" takes in "none"
+function filterStudentRows(rows, { q, status, grade, owner }) {
+  const needle = q.toLowerCase();
+  return rows.filter(({ student: s, status: st }) => {
+    const text = [s.student, s.externalId, s.grade, s.owner].join("\n").toLowerCase();
+    return (
+      (!needle || text.includes(needle)) &&
+      (!status || st === status || (status === "below" && st === "none")) &&
+      (!grade || s.grade === grade) &&
+      (!owner || s.owner === owner)
+    );
+  });
+}
+
+function sortStudentRows(rows, sort) {
+  const byName = (a, b) => a.student.student.localeCompare(b.student.student, undefined, { sensitivity: "base" });
+  const byCount = sort === "count-desc" ? (a, b) => b.count - a.count : (a, b) => a.count - b.count;
+  return [...rows].sort(sort === "name" ? byName : (a, b) => byCount(a, b) || byName(a, b));
+}
+
+// studentId -> the newest week saved for them
+function lastSavedWeeks(historyAll) {
+  const last = new Map();
+  for (const r of historyAll) {
+    if (r.weekEnding > (last.get(r.studentId) || "")) last.set(r.studentId, r.weekEnding);
+  }
+  return last;
+}
+
+module.exports = {
+  WEEK_STATUSES,
+  STUDENT_VIEWS,
+  STUDENT_SORTS,
+  studentWeekRows,
+  studentListQuery,
+  filterStudentRows,
+  sortStudentRows,
+  lastSavedWeeks,
+};
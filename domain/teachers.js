@@ -0,0 +1,67 @@
+// The teacher directory the check-in form suggests names from: the names
+// admins add under Teachers, plus everyone already recorded as met with on a
+// check-in or a saved week, less the names admins have removed.
+const { splitTeachers } = require("../storage/common");
+
+const TEACHER_NAME_LIMIT = 80;
+
+// As saved in the "teacher_directory" setting: { names, hidden }
+function parseTeacherDirectory(json) {
+  const list = (v) => (Array.isArray(v) ? v.map((n) => String(n).trim()).filter(Boolean) : []);
+  try {
+    const saved = JSON.parse(json || "null");
+    return { names: list(saved?.names), hidden: list(saved?.hidden) };
+  } catch {
+    return { names: [], hidden: [] };
+  }
+}
+
+function teacherName(name) {
+  return String(name ?? "").trim().replace(/\s+/g, " ").slice(0, TEACHER_NAME_LIMIT);
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Every suggested teacher, sorted: [{ name, added, uses }]. `added` when an
+// admin put them in the directory, `uses` how often they've been recorded.
+// Spellings differing only in case count as one, the directory's first.
+function teacherEntries(directory, historyRows, checkins) {
+  const byKey = new Map();
+  const entry = (name) => {
+    const key = name.toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, { name, added: false, uses: 0 });
+    return byKey.get(key);
+  };
+  for (const name of directory.names) entry(name).added = true;
+  for (const r of [...historyRows, ...checkins]) {
+    for (const name of splitTeachers(r.teacher)) entry(name).uses += 1;
+  }
+  return Array.from(byKey.values())
+    .filter((e) => e.added || !directory.hidden.some((h) => sameName(h, e.name)))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+}
+
+// Adding a name also brings back one that was removed
+function withTeacher(directory, name) {
+  return {
+    names: directory.names.some((n) => sameName(n, name)) ? directory.names : [...directory.names, name],
+    hidden: directory.hidden.filter((h) => !sameName(h, name)),
+  };
+}
+
+// Removed names stay hidden even though past check-ins still mention them
+function withoutTeacher(directory, name) {
+  return {
+    names: directory.names.filter((n) => !sameName(n, name)),
+    hidden: directory.hidden.some((h) => sameName(h, name)) ? directory.hidden : [...directory.hidden, name],
+  };
+}
+
+module.exports = {
+  TEACHER_NAME_LIMIT,
+  parseTeacherDirectory,
+  teacherName,
+  teacherEntries,
+  withTeacher,
+  withoutTeacher,
+};
@@ -0,0 +1,171 @@
+// Weeks and the school calendar.
+//
+// A week is named by the date of its cutoff (ROLLOVER_DAY at ROLLOVER_TIME in
+// SCHOOL_TZ, Friday 18:00 by default) and a check-in belongs to the first
+// cutoff after it: Friday 5pm counts toward that Friday, Friday 7pm or
+// Saturday toward the next one.
+//
+// Closures (holidays and breaks) are inclusive date ranges admins keep under
+// Calendar. A week with fewer school days than usual prorates its goal; a week
+// with none is a break, which the rollover doesn't record and trends skip.
+const { SCHOOL_TZ, ROLLOVER_DAY, ROLLOVER_MINUTES, SCHOOL_DAYS } = require("../lib/config");
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const zonedFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: SCHOOL_TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  weekday: "short",
+  hourCycle: "h23",
+});
+
+// Calendar date, weekday and minutes past midnight in the school's time zone
+function zonedParts(date) {
+  const parts = {};
+  for (const p of zonedFormat.formatToParts(date)) parts[p.type] = p.value;
+  return {
+    dateISO: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function addDaysISO(dateISO, days) {
+  const d = new Date(`${dateISO}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+function weekEndingFor(date) {
+  const p = zonedParts(date);
+  let days = (ROLLOVER_DAY - p.weekday + 7) % 7;
+  if (days === 0 && p.minutes >= ROLLOVER_MINUTES) days = 7;
+  return addDaysISO(p.dateISO, days);
+}
+
+// Week a calendar date falls in, ignoring the time-of-day cutoff
+function weekEndingForDate(dateISO) {
+  const dow = new Date(`${dateISO}T00:00:00Z`).getUTCDay();
+  return addDaysISO(dateISO, (ROLLOVER_DAY - dow + 7) % 7);
+}
+
+// A real YYYY-MM-DD date (2026-02-30 is not)
+function isDateISO(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s || "")) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(s);
+}
+
+function currentWeekEnding() {
+  return weekEndingFor(new Date());
+}
+
+// Noon on a calendar date in the school's time zone, as an ISO timestamp
+function zonedNoon(dateISO) {
+  const guess = new Date(`${dateISO}T12:00:00Z`);
+  const p = zonedParts(guess);
+  const dayShift = (Date.parse(`${p.dateISO}T00:00:00Z`) - Date.parse(`${dateISO}T00:00:00Z`)) / 86400000;
+  return new Date(guess.getTime() - (dayShift * 1440 + p.minutes - 720) * 60 * 1000).toISOString();
+}
+
+// Days a new check-in can be dated: the current week, up to today
+function checkinDays(now = new Date()) {
+  const today = zonedParts(now).dateISO;
+  const start = addDaysISO(weekEndingFor(now), -6);
+  return { min: start < today ? start : today, max: today };
+}
+
+// When a check-in dated `dateISO` happened: now if that's today, else noon
+// that day (which puts it in the week the date is in)
+function checkinTimeFor(dateISO, now = new Date()) {
+  return dateISO === zonedParts(now).dateISO ? now.toISOString() : zonedNoon(dateISO);
+}
+
+function checkinWeek(checkin) {
+  const d = new Date(checkin.occurredAt);
+  return Number.isNaN(d.getTime()) ? "" : weekEndingFor(d);
+}
+
+// One student's check-ins for the week ending `weekEnding`, oldest first
+function weekCheckinsFor(checkins, studentId, weekEnding) {
+  return checkins
+    .filter((c) => c.studentId === studentId && checkinWeek(c) === weekEnding)
+    .sort((a, b) => (a.occurredAt < b.occurredAt ? -1 : a.occurredAt > b.occurredAt ? 1 : 0));
+}
+
+// Closures as saved in the "school_closures" setting, valid ones only, by start
+function parseClosures(json) {
+  try {
+    const saved = JSON.parse(json || "[]");
+    return Array.isArray(saved)
+      ? saved
+          .filter((c) => isDateISO(c.start) && isDateISO(c.end) && c.start <= c.end)
+          .sort((a, b) => a.start.localeCompare(b.start))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+// School days in the week ending `weekEnding`, out of a normal week's, and
+// the labels of closures that took days off it
+function schoolWeek(weekEnding, closures) {
+  let days = 0;
+  const off = new Set();
+  for (let i = 6; i >= 0; i--) {
+    const date = addDaysISO(weekEnding, -i);
+    if (!SCHOOL_DAYS.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) continue;
+    const closure = closures.find((c) => c.start <= date && date <= c.end);
+    if (closure) off.add(closure.label || "Closed");
+    else days += 1;
+  }
+  return { days, full: SCHOOL_DAYS.length, closures: Array.from(off) };
+}
+
+// A plan scaled to a short week (4 of 5 over 3 school days is 2 of 3);
+// full weeks and breaks keep it as is
+function prorate(plan, week) {
+  if (week.days === 0 || week.days >= week.full) return plan;
+  const goal = Math.max(1, Math.round((plan.goal * week.days) / week.full));
+  return {
+    goal,
+    maxCheckins: Math.max(goal, Math.round((plan.maxCheckins * week.days) / week.full)),
+  };
+}
+
+function weekNote(week) {
+  if (week.days === 0) return `No school this week (${week.closures.join(", ") || "break"}).`;
+  if (week.days < week.full) {
+    return `Short week: ${week.days} of ${week.full} school days (${week.closures.join(", ")}), so the goal is prorated.`;
+  }
+  return "";
+}
+
+function formatDateTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? iso : d.toLocaleString("en-US", { timeZone: SCHOOL_TZ });
+}
+
+module.exports = {
+  WEEKDAY_NAMES,
+  zonedParts,
+  addDaysISO,
+  weekEndingFor,
+  weekEndingForDate,
+  isDateISO,
+  currentWeekEnding,
+  zonedNoon,
+  checkinDays,
+  checkinTimeFor,
+  checkinWeek,
+  weekCheckinsFor,
+  parseClosures,
+  schoolWeek,
+  prorate,
+  weekNote,
+  formatDateTime,
+};
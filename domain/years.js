@@ -0,0 +1,68 @@
+// School years. Starting one archives the whole roster; the years started so
+// far are kept in the "school_years" setting as [{ label, start }] and sort
+// saved weeks by the day their week ended, so past years stay browsable.
+const { addDaysISO, isDateISO } = require("./weeks");
+
+const YEAR_LABEL_LIMIT = 40;
+
+function parseSchoolYears(json) {
+  try {
+    const saved = JSON.parse(json || "[]");
+    return Array.isArray(saved)
+      ? saved
+          .filter((y) => isDateISO(y.start) && typeof y.label === "string" && y.label.trim())
+          .map((y) => ({ label: y.label.trim(), start: y.start }))
+          .sort((a, b) => a.start.localeCompare(b.start))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+function yearLabel(label) {
+  return String(label ?? "").trim().replace(/\s+/g, " ").slice(0, YEAR_LABEL_LIMIT);
+}
+
+// "2026-27" for a year starting between July 2026 and June 2027
+function defaultYearLabel(dateISO) {
+  const [year, month] = dateISO.split("-").map(Number);
+  const first = month >= 7 ? year : year - 1;
+  return `${first}-${String((first + 1) % 100).padStart(2, "0")}`;
+}
+
+// Newest first: [{ id, label, from, to }], with "" for an open end. Weeks from
+// before the first year started fall under "Earlier". None until a year starts.
+function yearRanges(years) {
+  if (years.length === 0) return [];
+  const ranges = [{ id: "earlier", label: "Earlier", from: "", to: addDaysISO(years[0].start, -1) }];
+  years.forEach((y, i) => {
+    const next = years[i + 1];
+    ranges.push({ id: y.start, label: y.label, from: y.start, to: next ? addDaysISO(next.start, -1) : "" });
+  });
+  return ranges.reverse();
+}
+
+function inYear(range, weekEnding) {
+  return (!range.from || weekEnding >= range.from) && (!range.to || weekEnding <= range.to);
+}
+
+// The year a student's history opens on: the one asked for ("all" for every
+// year: null), else the newest with a saved week, else the current one
+function pickYear(ranges, rows, requested) {
+  if (ranges.length === 0 || requested === "all") return null;
+  return (
+    ranges.find((r) => r.id === requested) ||
+    ranges.find((r) => rows.some((row) => inYear(r, row.weekEnding))) ||
+    ranges[0]
+  );
+}
+
+module.exports = {
+  YEAR_LABEL_LIMIT,
+  parseSchoolYears,
+  yearLabel,
+  defaultYearLabel,
+  yearRanges,
+  inYear,
+  pickYear,
+};
@@ -0,0 +1,90 @@
+// Settings read from the environment once, when first required, by app.js and
+// the routes, services and domain code it puts together (server.js only loads
+// .env first). Everything here has a default.
+
+const minutesOf = (hhmm) => (([h, m]) => Number(h) * 60 + Number(m || 0))(hhmm.split(":"));
+
+// A day setting (Sun=0 ... Sat=6). Anything else would break every week
+// calculation, so it stops the app at startup instead.
+function weekdaySetting(name, fallback) {
+  const value = (process.env[name] ?? "").trim();
+  if (value === "") return fallback;
+  const day = Number(value);
+  if (!Number.isInteger(day) || day < 0 || day > 6) {
+    throw new Error(`${name} must be a day number from 0 (Sunday) to 6 (Saturday), not "${value}"`);
+  }
+  return day;
+}
+
+// Weeks roll over automatically at this cutoff in the school's time zone
+const SCHOOL_TZ = process.env.SCHOOL_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const ROLLOVER_DAY = weekdaySetting("ROLLOVER_DAY", 5);
+const ROLLOVER_TIME = process.env.ROLLOVER_TIME || "18:00";
+
+// Owners who opt in get last week's digest on this day and time (Monday 07:00)
+const DIGEST_DAY = weekdaySetting("DIGEST_DAY", 1);
+const DIGEST_TIME = process.env.DIGEST_TIME || "07:00";
+
+// Weekdays the school meets (Sun=0 ... Sat=6, Mon–Fri if unset or unreadable);
+// holidays and breaks are kept in the app under Calendar
+const SCHOOL_DAYS = ((days) => (days.length > 0 ? days : [1, 2, 3, 4, 5]))(
+  (process.env.SCHOOL_DAYS || "")
+    .split(",")
+    .filter((d) => d.trim() !== "")
+    .map((d) => Number(d.trim()))
+    .filter((d, i, all) => Number.isInteger(d) && d >= 0 && d <= 6 && all.indexOf(d) === i)
+);
+
+// Comma-separated: the first signs new cookies, the rest still verify (for rotating)
+const SESSION_SECRETS = (process.env.SESSION_SECRET || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+module.exports = {
+  PORT: process.env.PORT || 3000,
+  APP_URL: (process.env.APP_URL || "").replace(/\/+$/, ""),
+
+  SCHOOL_TZ,
+  ROLLOVER_DAY,
+  ROLLOVER_TIME,
+  ROLLOVER_MINUTES: minutesOf(ROLLOVER_TIME),
+  ROLLOVER_CHECK_MS: 5 * 60 * 1000,
+  DIGEST_DAY,
+  DIGEST_TIME,
+  DIGEST_MINUTES: minutesOf(DIGEST_TIME),
+  SCHOOL_DAYS,
+
+  // Dashboard: weeks shown by default (up to 26), weeks in the rolling average,
+  // and consecutive below-goal weeks before a student is flagged at risk
+  DASHBOARD_WEEKS: 8,
+  ROLLING_WEEKS: 4,
+  AT_RISK_WEEKS: Number(process.env.AT_RISK_WEEKS) || 2,
+
+  // Failed logins before an account is locked, and for how long
+  MAX_LOGIN_FAILURES: Number(process.env.MAX_LOGIN_FAILURES) || 5,
+  LOCKOUT_MINUTES: Number(process.env.LOCKOUT_MINUTES) || 15,
+  // Login attempts allowed per client IP per window, whatever username is tried
+  LOGIN_RATE_LIMIT: Number(process.env.LOGIN_RATE_LIMIT) || 20,
+  LOGIN_RATE_WINDOW_MS: 15 * 60 * 1000,
+  // How often a logged-in session re-checks that its account is still enabled
+  ACCOUNT_RECHECK_MS: 60 * 1000,
+
+  // Sessions end after this long without a request, and this long after login
+  SESSION_IDLE_MS: (Number(process.env.SESSION_IDLE_MINUTES) || 120) * 60 * 1000,
+  SESSION_MAX_MS: (Number(process.env.SESSION_MAX_HOURS) || 12) * 60 * 60 * 1000,
+  SESSION_COOKIE: "checkin.sid",
+  SESSION_SECRETS,
+  SESSION_DB_PATH: process.env.SESSION_DB_PATH || "sessions.db",
+  // Proxy hops in front of the app, for the "trust proxy" setting
+  TRUST_PROXY_HOPS: Number(process.env.TRUST_PROXY_HOPS ?? 1),
+  // With Google sign-in on, PASSWORD_LOGIN=false hides the username/password form
+  PASSWORD_LOGIN: process.env.PASSWORD_LOGIN !== "false",
+
+  // debug, info (default), warn, error or silent
+  LOG_LEVEL: (process.env.LOG_LEVEL || "info").trim().toLowerCase(),
+  // /metrics wants "Authorization: Bearer <token>"; unset, there is no /metrics
+  METRICS_TOKEN: process.env.METRICS_TOKEN || "",
+  // How long /healthz/ready waits on storage before calling it down
+  READY_TIMEOUT_MS: 5000,
+};
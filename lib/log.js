@@ -0,0 +1,79 @@
+// Structured logs: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"error","tag":"addstudent","msg":"...","requestId":"..."}
+// Every request gets a line of its own, and anything logged while it's being
+// handled carries its id, so a failure can be matched to the request (and to
+// the X-Request-Id the client got back). LOG_LEVEL drops the levels below it.
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { LOG_LEVEL } = require("./config");
+const { httpDuration, httpRequests } = require("./metrics");
+
+const LEVELS = ["debug", "info", "warn", "error", "silent"];
+const minLevel = Math.max(0, LEVELS.indexOf(LOG_LEVEL));
+
+const requestContext = new AsyncLocalStorage();
+
+function write(level, tag, msg, fields = {}) {
+  if (LEVELS.indexOf(level) < minLevel) return;
+  const line = { time: new Date().toISOString(), level, tag, msg, ...fields };
+  const requestId = requestContext.getStore()?.requestId;
+  if (requestId && !line.requestId) line.requestId = requestId;
+  console.log(JSON.stringify(line));
+}
+
+function logInfo(tag, msg, fields) {
+  write("info", tag, msg, fields);
+}
+
+function logWarn(tag, msg, fields) {
+  write("warn", tag, msg, fields);
+}
+
+// e: an Error (its stack goes along) or anything else worth a message
+function logError(tag, e, fields = {}) {
+  write("error", tag, e?.message || String(e), { ...fields, ...(e?.stack ? { stack: e.stack } : {}) });
+}
+
+// ---------- requests ----------
+
+// Health checks and scrapes come every few seconds; only LOG_LEVEL=debug shows them
+const QUIET_PATHS = ["/healthz", "/healthz/ready", "/metrics"];
+
+// The route a request matched ("/students/:id/rename"), so metrics don't get a
+// series per student
+function routeLabel(req, path) {
+  if (req.route) return req.baseUrl + req.route.path;
+  return path.startsWith("/public/") ? "/public" : "unmatched";
+}
+
+// Gives each request an id (the proxy's X-Request-Id if it sent a sane one),
+// sends it back in X-Request-Id, and logs and times the request once answered
+function requestLogger() {
+  return (req, res, next) => {
+    const given = String(req.get("x-request-id") || "");
+    const requestId = /^[\w.-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    // Routers mounted under a prefix change req.path as they go
+    const path = req.originalUrl.split("?")[0];
+    res.set("X-Request-Id", requestId);
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req, path);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+      const level = res.statusCode >= 500 ? "error" : QUIET_PATHS.includes(path) ? "debug" : "info";
+      write(level, "http", `${req.method} ${path} ${res.statusCode}`, {
+        requestId,
+        method: req.method,
+        path,
+        route,
+        status: res.statusCode,
+        ms: Math.round(seconds * 1000),
+        user: req.viewer?.username || "",
+      });
+    });
+    requestContext.run({ requestId }, next);
+  };
+}
+
+module.exports = { logInfo, logWarn, logError, requestLogger };
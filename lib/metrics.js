@@ -0,0 +1,92 @@
+// Counters and histograms kept in memory and served at /metrics in the
+// Prometheus text format. Each process counts from zero when it starts.
+
+// name -> { type, help, buckets?, series: Map(label key -> { labels, ... }) }
+const registry = new Map();
+
+function define(type, name, help, extra = {}) {
+  const metric = { type, name, help, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+function seriesFor(metric, labels, init) {
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = define("counter", name, help);
+  return {
+    inc(labels = {}, n = 1) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value += n;
+    },
+  };
+}
+
+// buckets: upper bounds in seconds, ascending
+function histogram(name, help, buckets) {
+  const metric = define("histogram", name, help, { buckets });
+  return {
+    observe(labels, seconds) {
+      const s = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => {
+        if (seconds <= le) s.counts[i] += 1;
+      });
+      s.sum += seconds;
+      s.count += 1;
+    },
+  };
+}
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// gauges: [{ name, help, labels?, value }] read at scrape time (memory, uptime...)
+function metricsText(gauges = []) {
+  const lines = [];
+  for (const m of registry.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type === "counter") {
+        lines.push(`${m.name}${labelText(s.labels)} ${s.value}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => {
+        lines.push(`${m.name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`);
+      });
+      lines.push(
+        `${m.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`,
+        `${m.name}_sum${labelText(s.labels)} ${s.sum}`,
+        `${m.name}_count${labelText(s.labels)} ${s.count}`
+      );
+    }
+  }
+  for (const g of gauges) {
+    lines.push(`# HELP ${g.name} ${g.help}`, `# TYPE ${g.name} gauge`);
+    lines.push(`${g.name}${labelText(g.labels || {})} ${g.value}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---------- the app's metrics ----------
+
+const httpRequests = counter("http_requests_total", "HTTP requests answered, by method, route and status.");
+const httpDuration = histogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests, by method and route.",
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+// Every attempt counts, retries included
+const sheetsCalls = counter("sheets_api_calls_total", "Google Sheets API calls, by operation.");
+const sheetsErrors = counter(
+  "sheets_api_errors_total",
+  "Google Sheets API calls that failed, by operation and HTTP status (0: no response)."
+);
+
+module.exports = { counter, histogram, metricsText, httpRequests, httpDuration, sheetsCalls, sheetsErrors };
@@ -0,0 +1,170 @@
+// "Sign in with Google" over OpenID Connect (authorization code flow with PKCE).
+// Configure with GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_ALLOWED_DOMAINS;
+// OIDC_ISSUER defaults to Google and can point at a local mock provider for
+// testing, which needs to serve discovery, an authorize page, a token endpoint
+// and its JWKS. With any of the three unset, Google sign-in is off.
+const crypto = require("crypto");
+
+const GOOGLE_ISSUER = "https://accounts.google.com";
+const ISSUER = (process.env.OIDC_ISSUER || GOOGLE_ISSUER).replace(/\/+$/, "");
+// Google signs some tokens with the bare host as the issuer
+const ISSUERS = ISSUER === GOOGLE_ISSUER ? [ISSUER, "accounts.google.com"] : [ISSUER];
+const CLIENT_ID = process.env.GOOGLE_CLIENT_ID || "";
+const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || "";
+const ALLOWED_DOMAINS = (process.env.GOOGLE_ALLOWED_DOMAINS || "")
+  .split(",")
+  .map((d) => d.trim().toLowerCase().replace(/^@/, ""))
+  .filter(Boolean);
+
+const CACHE_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// code: "domain" (not a school account), "unverified" (email not verified),
+// anything else means the exchange or token itself was bad
+class SsoError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function ssoEnabled() {
+  return Boolean(CLIENT_ID && CLIENT_SECRET && ALLOWED_DOMAINS.length > 0);
+}
+
+async function fetchJson(url, options = {}) {
+  const res = await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new SsoError("failed", `${url} answered ${res.status}${body.error ? ` (${body.error})` : ""}`);
+  }
+  return body;
+}
+
+// Discovery document and signing keys, each kept for an hour; a failed fetch
+// isn't cached so the next sign-in tries again
+const cache = new Map(); // url -> { promise, expires }
+
+function cachedJson(url, { refresh = false } = {}) {
+  const hit = cache.get(url);
+  if (hit && !refresh && hit.expires > Date.now()) return hit.promise;
+  const promise = fetchJson(url);
+  cache.set(url, { promise, expires: Date.now() + CACHE_MS });
+  promise.catch(() => cache.delete(url));
+  return promise;
+}
+
+function discovery() {
+  return cachedJson(`${ISSUER}/.well-known/openid-configuration`);
+}
+
+// Keys rotate; an unknown key id refetches the set once before giving up
+async function signingKey(kid) {
+  const { jwks_uri } = await discovery();
+  for (const refresh of [false, true]) {
+    const { keys = [] } = await cachedJson(jwks_uri, { refresh });
+    const jwk = keys.find((k) => k.kid === kid);
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+  throw new SsoError("failed", `No signing key ${kid}`);
+}
+
+function base64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch {
+    throw new SsoError("failed", "Malformed ID token");
+  }
+}
+
+async function verifyIdToken(idToken, nonce) {
+  const [headerPart, payloadPart, signaturePart] = String(idToken || "").split(".");
+  if (!headerPart || !payloadPart || !signaturePart) throw new SsoError("failed", "Malformed ID token");
+  const header = decodePart(headerPart);
+  const claims = decodePart(payloadPart);
+
+  const verifyOptions = { RS256: {}, ES256: { dsaEncoding: "ieee-p1363" } }[header.alg];
+  if (!verifyOptions) throw new SsoError("failed", `Unsupported signing algorithm ${header.alg}`);
+  const key = await signingKey(header.kid);
+  const signed = crypto.verify(
+    "sha256",
+    Buffer.from(`${headerPart}.${payloadPart}`),
+    { key, ...verifyOptions },
+    Buffer.from(signaturePart, "base64url")
+  );
+  if (!signed) throw new SsoError("failed", "ID token signature does not verify");
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!ISSUERS.includes(claims.iss)) throw new SsoError("failed", `Unexpected issuer ${claims.iss}`);
+  if (!audiences.includes(CLIENT_ID)) throw new SsoError("failed", "ID token is for another client");
+  if (!(claims.exp + CLOCK_SKEW_SECONDS > now)) throw new SsoError("failed", "ID token has expired");
+  if (claims.iat > now + CLOCK_SKEW_SECONDS) throw new SsoError("failed", "ID token is from the future");
+  if (claims.nonce !== nonce) throw new SsoError("failed", "ID token nonce does not match");
+  return claims;
+}
+
+// Both the Workspace domain (hd) and the address itself must be on the list:
+// a personal Google account can use a school address but has no hd
+function checkDomain(claims) {
+  const email = String(claims.email || "").trim().toLowerCase();
+  if (claims.email_verified !== true && claims.email_verified !== "true") {
+    throw new SsoError("unverified", `${email || "account"} has no verified email`);
+  }
+  const domain = email.split("@")[1] || "";
+  const hd = String(claims.hd || "").toLowerCase();
+  if (!ALLOWED_DOMAINS.includes(domain) || !ALLOWED_DOMAINS.includes(hd)) {
+    throw new SsoError("domain", `${email} (hd ${hd || "none"}) is not in GOOGLE_ALLOWED_DOMAINS`);
+  }
+  return email;
+}
+
+// Where to send the browser, plus what the callback needs to check the answer
+// (keep it in the session): { url, state, nonce, verifier }
+async function startLogin(redirectUri) {
+  const { authorization_endpoint } = await discovery();
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const verifier = base64url(crypto.randomBytes(32));
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    redirect_uri: redirectUri,
+    response_type: "code",
+    scope: "openid email profile",
+    state,
+    nonce,
+    code_challenge: base64url(crypto.createHash("sha256").update(verifier).digest()),
+    code_challenge_method: "S256",
+    prompt: "select_account",
+  });
+  // Google only shows accounts from this domain on its chooser
+  if (ALLOWED_DOMAINS.length === 1) params.set("hd", ALLOWED_DOMAINS[0]);
+  return { url: `${authorization_endpoint}?${params}`, state, nonce, verifier };
+}
+
+// Trades the code from the callback for an ID token and checks it:
+// { email, name }, email lowercased
+async function finishLogin({ code, redirectUri, nonce, verifier }) {
+  const { token_endpoint } = await discovery();
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: String(code || ""),
+      redirect_uri: redirectUri,
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      code_verifier: verifier,
+    }),
+  });
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+  return { email: checkDomain(claims), name: String(claims.name || "") };
+}
+
+module.exports = { SsoError, ssoEnabled, startLogin, finishLogin };
@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+
+// Stored as "scrypt$<salt hex>$<key hex>" so the format can change later
+const KEY_LENGTH = 64;
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+// Unknown users are checked against a throwaway hash so a miss takes as long as a hit
+const DUMMY_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(KEY_LENGTH * 2)}`;
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = (stored || DUMMY_HASH).split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scrypt(String(password), Buffer.from(saltHex, "hex"));
+  return (
+    Boolean(stored) &&
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+function generatePassword() {
+  return crypto.randomBytes(9).toString("base64url");
+}
+
+// API tokens are long random strings, so a plain SHA-256 is enough to store them
+function generateApiToken() {
+  return `wct_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generatePassword,
+  generateApiToken,
+  hashApiToken,
+};
@@ -0,0 +1,105 @@
+// PDF rendering of a student progress report. The routes work out the numbers
+// (see studentReport in domain/history.js); this only lays them out.
+const PDFDocument = require("pdfkit");
+
+const COLUMNS = [
+  { key: "weekEnding", label: "Week ending", width: 90 },
+  { key: "checkins", label: "Check-ins", width: 70 },
+  { key: "goal", label: "Goal", width: 50 },
+  { key: "summary", label: "Summary", width: 140 },
+  { key: "teacher", label: "Teacher(s)", width: 162 },
+];
+const ROW_HEIGHT = 22;
+
+function drawHeaderRow(doc, y) {
+  let x = doc.page.margins.left;
+  doc.font("Helvetica-Bold").fontSize(9).fillColor("#334155");
+  for (const col of COLUMNS) {
+    doc.text(col.label.toUpperCase(), x + 4, y + 7, { width: col.width - 8 });
+    x += col.width;
+  }
+  doc
+    .moveTo(doc.page.margins.left, y + ROW_HEIGHT)
+    .lineTo(doc.page.width - doc.page.margins.right, y + ROW_HEIGHT)
+    .strokeColor("#cbd5e1")
+    .stroke();
+  return y + ROW_HEIGHT;
+}
+
+function drawWeekRow(doc, y, week) {
+  let x = doc.page.margins.left;
+  doc.font("Helvetica").fontSize(10).fillColor("#0f172a");
+  for (const col of COLUMNS) {
+    if (col.key === "checkins") {
+      doc.roundedRect(x + 4, y + 4, 30, ROW_HEIGHT - 8, 7).fill(week.color);
+      doc
+        .font("Helvetica-Bold")
+        .fillColor("white")
+        .text(String(week.checkins), x + 4, y + 7, { width: 30, align: "center" });
+      doc.font("Helvetica").fillColor("#0f172a");
+    } else {
+      const value = col.key === "goal" ? `${week.goal} of ${week.maxCheckins}` : week[col.key];
+      doc.text(String(value ?? ""), x + 4, y + 7, {
+        width: col.width - 8,
+        height: ROW_HEIGHT - 8,
+        ellipsis: true,
+      });
+    }
+    x += col.width;
+  }
+  doc
+    .moveTo(doc.page.margins.left, y + ROW_HEIGHT)
+    .lineTo(doc.page.width - doc.page.margins.right, y + ROW_HEIGHT)
+    .strokeColor("#e2e8f0")
+    .stroke();
+  return y + ROW_HEIGHT;
+}
+
+// report: { student, owner, grade, from, to, generatedAt, weeks: [{ weekEnding,
+// checkins, goal, maxCheckins, summary, teacher, color }], metWeeks, average }
+function reportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 50, info: { Title: `${report.student} progress report` } });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(20).fillColor("#0f172a").text(`${report.student}: Weekly Check-ins`);
+    doc
+      .moveDown(0.3)
+      .font("Helvetica")
+      .fontSize(11)
+      .fillColor("#64748b")
+      .text(
+        [
+          report.grade ? `Grade ${report.grade}` : "",
+          `Weeks ending ${report.from} to ${report.to}`,
+          `Prepared by ${report.owner} on ${report.generatedAt}`,
+        ]
+          .filter(Boolean)
+          .join("  •  ")
+      );
+
+    doc.moveDown(0.8).fontSize(12).fillColor("#0f172a");
+    if (report.weeks.length === 0) {
+      doc.text("No weeks were recorded in this range.");
+    } else {
+      doc.text(
+        `Met goal in ${report.metWeeks} of ${report.weeks.length} week${report.weeks.length === 1 ? "" : "s"}; ` +
+          `average ${report.average.toFixed(1)} check-ins a week.`
+      );
+      let y = drawHeaderRow(doc, doc.y + 12);
+      for (const week of report.weeks) {
+        if (y + ROW_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+          y = drawHeaderRow(doc, doc.page.margins.top);
+        }
+        y = drawWeekRow(doc, y, week);
+      }
+    }
+    doc.end();
+  });
+}
+
+module.exports = { reportPdf };
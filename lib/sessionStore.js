@@ -0,0 +1,85 @@
+// express-session store kept in a SQLite file, so logins survive restarts and
+// redeploys (put SESSION_DB_PATH on a volume) and expired sessions are deleted
+// instead of piling up in memory like the default MemoryStore.
+const Database = require("better-sqlite3");
+const session = require("express-session");
+const { logError } = require("./log");
+
+const PRUNE_MS = 15 * 60 * 1000;
+
+class SqliteSessionStore extends session.Store {
+  // ttlMs: lifetime of a session whose cookie has no expiry of its own
+  constructor({ path, ttlMs }) {
+    super();
+    this.ttlMs = ttlMs;
+    this.db = new Database(path);
+    this.db.pragma("busy_timeout = 5000");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires);
+    `);
+    this.prune();
+    setInterval(() => this.prune(), PRUNE_MS).unref();
+  }
+
+  expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttlMs;
+  }
+
+  prune() {
+    try {
+      this.db.prepare("DELETE FROM sessions WHERE expires <= ?").run(Date.now());
+    } catch (e) {
+      logError("sessions", e);
+    }
+  }
+
+  get(sid, cb) {
+    try {
+      const row = this.db.prepare("SELECT data, expires FROM sessions WHERE sid = ?").get(sid);
+      cb(null, row && row.expires > Date.now() ? JSON.parse(row.data) : null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  set(sid, sess, cb) {
+    try {
+      this.db
+        .prepare(
+          `INSERT INTO sessions (sid, data, expires) VALUES (?, ?, ?)
+           ON CONFLICT (sid) DO UPDATE SET data = excluded.data, expires = excluded.expires`
+        )
+        .run(sid, JSON.stringify(sess), this.expiresAt(sess));
+      cb && cb(null);
+    } catch (e) {
+      cb && cb(e);
+    }
+  }
+
+  // Rolling sessions: each request pushes the idle expiry back
+  touch(sid, sess, cb) {
+    try {
+      this.db.prepare("UPDATE sessions SET expires = ? WHERE sid = ?").run(this.expiresAt(sess), sid);
+      cb && cb(null);
+    } catch (e) {
+      cb && cb(e);
+    }
+  }
+
+  destroy(sid, cb) {
+    try {
+      this.db.prepare("DELETE FROM sessions WHERE sid = ?").run(sid);
+      cb && cb(null);
+    } catch (e) {
+      cb && cb(e);
+    }
+  }
+}
+
+module.exports = { SqliteSessionStore };
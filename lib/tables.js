@@ -0,0 +1,112 @@
+// Reading and writing simple tables (an array of rows, each an array of cells)
+// as CSV or XLSX for roster imports and history exports.
+const ExcelJS = require("exceljs");
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas; prefix a quote
+function safeCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+}
+
+function toCsv(rows) {
+  return (
+    rows
+      .map((row) =>
+        row
+          .map((cell) => {
+            const s = safeCell(cell);
+            return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+          })
+          .join(",")
+      )
+      .join("\r\n") + "\r\n"
+  );
+}
+
+async function toXlsx(rows, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  for (const row of rows) sheet.addRow(row);
+  if (rows.length > 0) {
+    sheet.getRow(1).font = { bold: true };
+    sheet.columns.forEach((col) => {
+      col.width = Math.min(
+        40,
+        Math.max(10, ...rows.map((r) => String(r[col.number - 1] ?? "").length + 2))
+      );
+    });
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function xlsxCellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if ("result" in value) return xlsxCellText(value.result);
+    if ("text" in value) return String(value.text);
+  }
+  return String(value);
+}
+
+// First worksheet of an .xlsx file, or the whole file parsed as CSV
+async function readTable(buffer, filename) {
+  if (/\.xlsx$/i.test(filename || "")) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row) => {
+      const cells = [];
+      for (let c = 1; c <= sheet.columnCount; c++) cells.push(xlsxCellText(row.getCell(c).value));
+      rows.push(cells);
+    });
+    return rows;
+  }
+  return parseCsv(buffer.toString("utf8"));
+}
+
+module.exports = { parseCsv, toCsv, toXlsx, readTable };
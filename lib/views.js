@@ -0,0 +1,37 @@
+// Page and email templates (EJS, in views/). Pages are rendered through
+// Express; HTML built outside a request, like a digest email, uses renderView.
+// The helpers below are available in every template.
+const path = require("path");
+const ejs = require("ejs");
+const { APP_URL } = require("./config");
+const { colorForCount, countTier, planText, rowPlan, summaryForCount } = require("../domain/plans");
+const { formatDateTime, weekNote } = require("../domain/weeks");
+
+const VIEWS_DIR = path.join(__dirname, "..", "views");
+
+function studentUrl(studentId) {
+  return `/?sid=${encodeURIComponent(studentId)}`;
+}
+
+// Absolute link for emails and redirects; "" when APP_URL isn't set
+function appLink(urlPath) {
+  return APP_URL ? `${APP_URL}${urlPath}` : "";
+}
+
+const viewHelpers = {
+  colorForCount,
+  countTier,
+  formatDateTime,
+  planText,
+  rowPlan,
+  studentUrl,
+  summaryForCount,
+  weekNote,
+};
+
+// -> Promise of the HTML for views/<name>.ejs
+function renderView(name, locals = {}) {
+  return ejs.renderFile(path.join(VIEWS_DIR, `${name}.ejs`), { ...viewHelpers, ...locals });
+}
+
+module.exports = { VIEWS_DIR, viewHelpers, studentUrl, appLink, renderView };
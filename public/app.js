@@ -0,0 +1,288 @@
+// Small behaviours the pages opt into with data- attributes:
+//   <form data-confirm="Delete this?">      asks before submitting
+//   <select data-navigate="/?">             goes to prefix + the chosen value
+//   <form data-async>                       posts without leaving the page, then
+//                                           swaps in fresh copies of the page's
+//                                           [data-live="..."] regions; errors go
+//                                           in the form's [data-async-status]
+//   <form data-async data-queue="Amy">      the same, but when the post can't get
+//                                           through it's kept on this device and
+//                                           sent later; [data-queue-list] shows
+//                                           what's waiting
+//   <input type="date" data-today>          moves up to today on a page kept
+//                                           from an earlier day
+//   <input type="checkbox"                  ticks or clears every checkbox
+//     data-check-all="sid">                 named sid along with it
+// Without the script the forms post and redirect as usual.
+(function () {
+  document.addEventListener("submit", function (e) {
+    const message = e.target.getAttribute("data-confirm");
+    if (message && !window.confirm(message)) e.preventDefault();
+  });
+
+  document.addEventListener("change", function (e) {
+    const prefix = e.target.getAttribute("data-navigate");
+    if (prefix !== null) window.location.href = prefix + e.target.value;
+    const name = e.target.getAttribute("data-check-all");
+    if (name === null) return;
+    for (const box of document.querySelectorAll(`input[type="checkbox"][name="${name}"]`)) {
+      box.checked = e.target.checked;
+    }
+  });
+
+  async function refreshLive() {
+    if (!document.querySelector("[data-live]")) return;
+    const res = await fetch(window.location.href, { headers: { Accept: "text/html" } });
+    const page = new DOMParser().parseFromString(await res.text(), "text/html");
+    for (const region of document.querySelectorAll("[data-live]")) {
+      const fresh = page.querySelector(`[data-live="${region.getAttribute("data-live")}"]`);
+      if (fresh) region.replaceWith(document.adoptNode(fresh));
+    }
+  }
+
+  // POSTs form fields asking for JSON: { ok, body }; { signedOut: true } when
+  // the session is gone (the post was sent on to /login) or the page's CSRF
+  // token no longer matches it; or null when there's no answer (offline, a
+  // server error) and it's worth trying again later
+  async function postJson(url, params) {
+    let res;
+    try {
+      res = await fetch(url, { method: "POST", headers: { Accept: "application/json" }, body: params });
+    } catch {
+      return null;
+    }
+    const json = (res.headers.get("content-type") || "").includes("application/json");
+    if (res.redirected && new URL(res.url).pathname === "/login") return { signedOut: true };
+    if (res.status === 403 && !json) return { signedOut: true };
+    if (res.status >= 500 || !json) return null;
+    return { ok: res.ok, body: await res.json() };
+  }
+
+  // A new session (signed in again in another tab, say) has a new CSRF token:
+  // take it from a fresh copy of the home page. False when signed out, or
+  // signed in as someone else.
+  async function refreshCsrf() {
+    let res;
+    try {
+      res = await fetch("/", { headers: { Accept: "text/html" } });
+    } catch {
+      return false;
+    }
+    if (!res.ok || new URL(res.url).pathname === "/login") return false;
+    const page = new DOMParser().parseFromString(await res.text(), "text/html");
+    if (page.body.getAttribute("data-viewer") !== viewer) return false;
+    const token = page.querySelector('input[name="_csrf"]')?.value;
+    if (!token) return false;
+    for (const input of document.querySelectorAll('input[name="_csrf"]')) input.value = token;
+    return true;
+  }
+
+  // ---------- offline queue ----------
+  //
+  // Each entry: { id, user, label, action, fields, error, code }. Entries are
+  // sent in order by whoever they belong to, with the CSRF token of the page
+  // doing the sending (the one saved with them may belong to an old session).
+  // The id goes along as clientId, so the server counts an entry once even
+  // when an earlier send got through but its answer never came back.
+
+  const QUEUE_KEY = "checkin-queue";
+  const viewer = document.body.getAttribute("data-viewer") || "";
+  // YYYY-MM-DD on the phone, which is in the school's time zone
+  const today = new Date().toLocaleDateString("en-CA");
+  let syncing = false;
+  // Set while the queue can't go anywhere until the teacher signs in again
+  let signedOut = false;
+
+  function newEntryId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  function readQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeQueue(queue) {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    renderQueue();
+  }
+
+  function updateEntry(id, changes) {
+    const queue = readQueue();
+    const entry = queue.find((q) => q.id === id);
+    if (entry) Object.assign(entry, changes);
+    writeQueue(changes ? queue : queue.filter((q) => q.id !== id));
+  }
+
+  // params carries the entry's id as clientId (see postAsync)
+  function queueForm(form, params) {
+    const fields = Object.fromEntries(params);
+    delete fields._csrf;
+    delete fields.clientId;
+    // Sent later, a blank date would mean the day it's sent
+    if ("date" in fields && !fields.date) fields.date = today;
+    const queue = readQueue();
+    queue.push({
+      id: params.get("clientId"),
+      user: viewer,
+      label: form.getAttribute("data-queue"),
+      action: form.getAttribute("action"),
+      fields,
+      error: "",
+      code: "",
+    });
+    writeQueue(queue);
+  }
+
+  async function syncQueue() {
+    const csrf = document.querySelector('input[name="_csrf"]');
+    if (syncing || !csrf || !viewer || !navigator.onLine) return;
+    syncing = true;
+    let sent = 0;
+    try {
+      for (const entry of readQueue()) {
+        if (entry.user !== viewer || entry.error) continue;
+        const send = () =>
+          postJson(entry.action, new URLSearchParams({ ...entry.fields, clientId: entry.id, _csrf: csrf.value }));
+        let result = await send();
+        if (result?.signedOut && (await refreshCsrf())) result = await send();
+        if (result?.signedOut !== signedOut) {
+          signedOut = Boolean(result?.signedOut);
+          renderQueue();
+        }
+        if (!result || result.signedOut) break;
+        if (result.ok) sent += 1;
+        // Refused (the week rolled over, filled up...): keep it for the teacher to decide
+        const error = result.body.error || {};
+        updateEntry(entry.id, result.ok ? null : { error: error.message || "Refused.", code: error.code });
+      }
+    } finally {
+      syncing = false;
+    }
+    if (sent > 0) await refreshLive().catch(() => {});
+  }
+
+  function queueButton(text, id, action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "ghost";
+    button.textContent = text;
+    button.setAttribute("data-queue-action", action);
+    button.setAttribute("data-queue-id", id);
+    return button;
+  }
+
+  function renderQueue() {
+    const box = document.querySelector("[data-queue-list]");
+    if (!box) return;
+    const mine = readQueue().filter((q) => q.user === viewer);
+    const waiting = mine.filter((q) => !q.error).length;
+    box.hidden = mine.length === 0;
+    box.replaceChildren();
+    if (waiting > 0) {
+      const line = document.createElement("div");
+      const count = `${waiting} check-in${waiting === 1 ? "" : "s"}`;
+      if (signedOut) {
+        const link = document.createElement("a");
+        link.href = "/login";
+        link.textContent = "Sign in again";
+        line.append(`${count} saved on this device can't be sent: you've been signed out. `, link, " to send them.");
+      } else {
+        line.textContent = `${count} saved on this device, to be sent once you're back online.`;
+      }
+      box.append(line);
+    }
+    for (const q of mine.filter((q) => q.error)) {
+      const line = document.createElement("div");
+      line.textContent = `Not added: ${q.label}${q.fields.date ? ` on ${q.fields.date}` : ""}. ${q.error} `;
+      if (q.code === "week_closed") line.append(queueButton("Add to this week", q.id, "this-week"));
+      line.append(" ", queueButton("Discard", q.id, "discard"));
+      box.append(line);
+    }
+  }
+
+  document.addEventListener("click", function (e) {
+    const button = e.target.closest("[data-queue-action]");
+    if (!button) return;
+    const id = button.getAttribute("data-queue-id");
+    if (button.getAttribute("data-queue-action") === "discard") return updateEntry(id, null);
+
+    // Count it now, keeping the day it happened in the note
+    const entry = readQueue().find((q) => q.id === id);
+    if (!entry) return;
+    const note = [entry.fields.note, `(from ${entry.fields.date})`].filter(Boolean).join(" ");
+    const fields = { ...entry.fields, date: "", note };
+    updateEntry(id, { fields, error: "", code: "" });
+    syncQueue();
+  });
+
+  // ---------- forms ----------
+
+  async function postAsync(form) {
+    const status = form.querySelector("[data-async-status]");
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    status.textContent = "Saving...";
+    try {
+      const params = new URLSearchParams(new FormData(form));
+      // The same id goes with it if it ends up queued and sent again
+      if (form.hasAttribute("data-queue")) params.set("clientId", newEntryId());
+      const result = await postJson(form.action, params);
+      if (result?.signedOut && form.hasAttribute("data-queue")) {
+        // Kept, so nothing typed is lost on the way through the login page
+        signedOut = true;
+        queueForm(form, params);
+        status.textContent = "You've been signed out, so it's saved on this device until you sign in again.";
+      } else if (!result && form.hasAttribute("data-queue")) {
+        queueForm(form, params);
+        status.textContent = "Couldn't reach the server, so it's saved on this device for now.";
+      } else if (!result || result.signedOut) {
+        // Signed out, most likely: post it the old way and follow the redirect
+        form.submit();
+        return;
+      } else if (!result.ok) {
+        throw new Error(result.body.error?.message || "Something went wrong.");
+      } else {
+        await refreshLive();
+        status.textContent = "Saved.";
+        syncQueue();
+      }
+      for (const field of form.querySelectorAll('input[type="text"]')) field.value = "";
+    } catch (err) {
+      status.textContent = err.message;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  document.addEventListener("submit", function (e) {
+    if (e.defaultPrevented || !e.target.hasAttribute("data-async")) return;
+    e.preventDefault();
+    postAsync(e.target);
+  });
+
+  // A page kept by the service worker still offers the day it was kept
+  for (const input of document.querySelectorAll("input[data-today]")) {
+    if (input.max && input.max < today) {
+      input.max = today;
+      input.value = today;
+    }
+  }
+
+  // ---------- installed app ----------
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch(() => {});
+    document.addEventListener("submit", function (e) {
+      if (e.target.getAttribute("action") !== "/logout") return;
+      navigator.serviceWorker.controller?.postMessage("logout");
+    });
+  }
+
+  window.addEventListener("online", syncQueue);
+  renderQueue();
+  syncQueue();
+})();
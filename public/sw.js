@@ -0,0 +1,76 @@
+// Service worker for the installed app (served at /sw.js so it covers every
+// page). It keeps the home page and the assets so the app still opens with
+// no connection; check-ins added offline are queued by app.js, not here.
+// Bump CACHE when the asset list changes.
+const CACHE = "checkins-v1";
+const ASSETS = [
+  "/public/app.css",
+  "/public/app.js",
+  "/public/manifest.webmanifest",
+  "/public/icon-192.png",
+  "/public/icon-512.png",
+];
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// app.js says "logout" before signing out: the kept pages are that user's
+self.addEventListener("message", (e) => {
+  if (e.data === "logout") e.waitUntil(caches.delete(CACHE));
+});
+
+const OFFLINE_PAGE = `<!doctype html><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Offline</title><p style="font-family:system-ui;padding:24px">You're offline and this page
+hasn't been opened on this device yet. Reconnect and try again.</p>`;
+
+// Home page: the network first, the last copy seen when that fails. Only
+// signed-in pages are kept, not the redirect to /login.
+async function homePage(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok && !res.redirected) await cache.put(request, res.clone());
+    return res;
+  } catch {
+    return (
+      (await cache.match(request)) ||
+      (await cache.match(request, { ignoreSearch: true })) ||
+      new Response(OFFLINE_PAGE, { headers: { "content-type": "text/html; charset=utf-8" } })
+    );
+  }
+}
+
+// Assets: the kept copy straight away, refreshed in the background
+async function asset(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const fresh = fetch(request)
+    .then((res) => {
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => cached || Response.error());
+  return cached || fresh;
+}
+
+self.addEventListener("fetch", (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (e.request.mode === "navigate" && url.pathname === "/") e.respondWith(homePage(e.request));
+  else if (url.pathname.startsWith("/public/")) e.respondWith(asset(e.request));
+});
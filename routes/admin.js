@@ -0,0 +1,384 @@
+// Admin pages: every caseload, the school default goal, the calendar, the
+// teacher directory, school years, duplicate history rows and the audit log.
+const crypto = require("crypto");
+const express = require("express");
+const { normalizeOwner } = require("../storage/common");
+const { ROLLOVER_DAY, SCHOOL_DAYS, SCHOOL_TZ } = require("../lib/config");
+const { logError } = require("../lib/log");
+const { AUDIT_ACTIONS, auditFields, auditRecordLine, auditValueText } = require("../domain/audit");
+const { duplicateHistoryGroups } = require("../domain/history");
+const { PLAN_LIMIT, parsePlanNumber, parseSchoolPlan, planFor, planText } = require("../domain/plans");
+const { TEACHER_NAME_LIMIT, teacherEntries, teacherName, withTeacher, withoutTeacher } = require("../domain/teachers");
+const {
+  WEEKDAY_NAMES,
+  addDaysISO,
+  currentWeekEnding,
+  isDateISO,
+  prorate,
+  schoolWeek,
+  weekCheckinsFor,
+  weekEndingForDate,
+  zonedParts,
+} = require("../domain/weeks");
+const { YEAR_LABEL_LIMIT, defaultYearLabel, inYear, yearRanges } = require("../domain/years");
+const { forbidden, pageActionError, readError, render, takeNotice } = require("./helpers");
+
+const AUDIT_PAGE_SIZE = 200;
+
+module.exports = function adminRoutes({ storage, services }) {
+  const router = express.Router();
+
+  // Everything under /admin is for admins only
+  router.use("/admin", (req, res, next) => {
+    if (req.viewer.role !== "admin") return forbidden(req, res);
+    next();
+  });
+
+  router.get("/admin", async (req, res) => {
+    let errorBanner = "";
+    let historyAll = [];
+    let studentsRows = [];
+    let checkins = [];
+    let shares = [];
+    // The defaults, should the settings not be readable either
+    let school = parseSchoolPlan(null);
+    let closures = [];
+    try {
+      [historyAll, studentsRows, checkins, shares, school, closures] = await Promise.all([
+        storage.readHistoryRows(),
+        storage.readStudentsList(),
+        storage.readCheckins(),
+        storage.listShares(),
+        services.schoolPlan(),
+        services.schoolClosures(),
+      ]);
+    } catch (e) {
+      errorBanner = readError("Read error", e);
+    }
+
+    const weekEnding = currentWeekEnding();
+    const thisWeek = schoolWeek(weekEnding, closures);
+
+    const byOwner = new Map();
+    for (const e of studentsRows.filter((s) => !s.archived)) {
+      if (!byOwner.has(e.owner)) byOwner.set(e.owner, []);
+      byOwner.get(e.owner).push(e);
+    }
+
+    const caseloads = Array.from(byOwner.keys())
+      .sort()
+      .map((owner) => ({
+        owner,
+        rows: byOwner
+          .get(owner)
+          .sort((a, b) => a.student.localeCompare(b.student, undefined, { sensitivity: "base" }))
+          .map((s) => {
+            const plan = prorate(planFor(s, school), thisWeek);
+            return {
+              student: s,
+              plan,
+              count: Math.min(weekCheckinsFor(checkins, s.id, weekEnding).length, plan.maxCheckins),
+              lastWeek: historyAll
+                .filter((r) => r.studentId === s.id)
+                .sort((a, b) => (a.weekEnding < b.weekEnding ? 1 : -1))[0],
+              sharedWith: shares
+                .filter((r) => r.studentId === s.id)
+                .map((r) => r.username)
+                .join(", "),
+            };
+          }),
+      }));
+
+    render(req, res, "admin", {
+      errorBanner,
+      notice: takeNotice(req),
+      school,
+      planLimit: PLAN_LIMIT,
+      caseloads,
+    });
+  });
+
+  router.post("/admin/plan", async (req, res) => {
+    const goal = parsePlanNumber(req.body.goal);
+    const maxCheckins = parsePlanNumber(req.body.maxCheckins);
+    if (!goal || !maxCheckins) {
+      req.session.notice = `Goal and max must be whole numbers from 1 to ${PLAN_LIMIT}.`;
+    } else if (maxCheckins < goal) {
+      req.session.notice = "Max can't be below the goal.";
+    } else {
+      try {
+        const before = await services.schoolPlan();
+        await storage.setSetting("school_plan", JSON.stringify({ goal, maxCheckins }));
+        await services.audit(req.viewer, "school.plan", { before, after: { goal, maxCheckins } });
+        req.session.notice = `School default saved. ${planText({ goal, maxCheckins })}.`;
+      } catch (e) {
+        logError("school-plan", e);
+        req.session.notice = `Save failed: ${e?.message || e}`;
+      }
+    }
+    res.redirect("/admin");
+  });
+
+  // ---------- school calendar ----------
+
+  router.get("/admin/calendar", async (req, res) => {
+    const closures = await services.schoolClosures();
+
+    // How each week a closure touches works out
+    const weeksOf = (c) => {
+      const list = [];
+      for (let w = weekEndingForDate(c.start); w <= weekEndingForDate(c.end); w = addDaysISO(w, 7)) {
+        const week = schoolWeek(w, closures);
+        list.push(`${w}: ${week.days === 0 ? "break" : `${week.days} of ${week.full} days`}`);
+      }
+      return list;
+    };
+
+    render(req, res, "calendar", {
+      notice: takeNotice(req),
+      rolloverDay: WEEKDAY_NAMES[ROLLOVER_DAY],
+      schoolTz: SCHOOL_TZ,
+      schoolDays: SCHOOL_DAYS.map((d) => WEEKDAY_NAMES[d]).join(", "),
+      closures: closures.map((c) => ({ ...c, weeks: weeksOf(c) })),
+    });
+  });
+
+  router.post("/admin/calendar/add", async (req, res) => {
+    const start = String(req.body.start || "").trim();
+    const end = String(req.body.end || "").trim() || start;
+    const label = String(req.body.label || "").trim().slice(0, 100);
+    if (!isDateISO(start) || !isDateISO(end) || end < start) {
+      req.session.notice = "Pick a first day and a last day on or after it.";
+    } else if (!label) {
+      req.session.notice = "Give the closure a label.";
+    } else {
+      try {
+        const closure = { id: crypto.randomUUID(), start, end, label };
+        await services.saveClosures([...(await services.schoolClosures()), closure]);
+        await services.audit(req.viewer, "calendar.add", { after: closure });
+        req.session.notice = `Added ${label}.`;
+      } catch (e) {
+        logError("calendar", e);
+        req.session.notice = `Save failed: ${e?.message || e}`;
+      }
+    }
+    res.redirect("/admin/calendar");
+  });
+
+  router.post("/admin/calendar/delete", async (req, res) => {
+    try {
+      const closures = await services.schoolClosures();
+      const gone = closures.find((c) => c.id === String(req.body.id || ""));
+      if (gone) {
+        await services.saveClosures(closures.filter((c) => c !== gone));
+        await services.audit(req.viewer, "calendar.delete", { before: gone });
+      }
+    } catch (e) {
+      logError("calendar", e);
+      req.session.notice = `Delete failed: ${e?.message || e}`;
+    }
+    res.redirect("/admin/calendar");
+  });
+
+  // ---------- teacher directory ----------
+
+  router.get("/admin/teachers", async (req, res) => {
+    let errorBanner = "";
+    let teachers = [];
+    try {
+      const [directory, historyAll, checkins] = await Promise.all([
+        services.teacherDirectory(),
+        storage.readHistoryRows(),
+        storage.readCheckins(),
+      ]);
+      teachers = teacherEntries(directory, historyAll, checkins);
+    } catch (e) {
+      errorBanner = readError("Read error", e);
+    }
+    render(req, res, "teachers", {
+      errorBanner,
+      notice: takeNotice(req),
+      teachers,
+      nameLimit: TEACHER_NAME_LIMIT,
+    });
+  });
+
+  router.post("/admin/teachers/add", async (req, res) => {
+    const name = teacherName(req.body.name);
+    if (!name) {
+      req.session.notice = "Enter the teacher's name.";
+    } else {
+      try {
+        await services.saveTeacherDirectory(withTeacher(await services.teacherDirectory(), name));
+        await services.audit(req.viewer, "teacher.add", { after: { name } });
+        req.session.notice = `Added ${name}.`;
+      } catch (e) {
+        logError("teachers", e);
+        req.session.notice = `Save failed: ${e?.message || e}`;
+      }
+    }
+    res.redirect("/admin/teachers");
+  });
+
+  router.post("/admin/teachers/remove", async (req, res) => {
+    const name = teacherName(req.body.name);
+    try {
+      if (name) {
+        await services.saveTeacherDirectory(withoutTeacher(await services.teacherDirectory(), name));
+        await services.audit(req.viewer, "teacher.remove", { before: { name } });
+      }
+    } catch (e) {
+      logError("teachers", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+    }
+    res.redirect("/admin/teachers");
+  });
+
+  // ---------- school years ----------
+
+  router.get("/admin/years", async (req, res) => {
+    let errorBanner = "";
+    let historyAll = [];
+    let studentsRows = [];
+    try {
+      [historyAll, studentsRows] = await Promise.all([storage.readHistoryRows(), storage.readStudentsList()]);
+    } catch (e) {
+      errorBanner = readError("Read error", e);
+    }
+    const years = yearRanges(await services.schoolYears()).map((r) => {
+      const rows = historyAll.filter((h) => inYear(r, h.weekEnding));
+      return { ...r, weeks: rows.length, students: new Set(rows.map((h) => h.studentId)).size };
+    });
+    render(req, res, "years", {
+      errorBanner,
+      notice: takeNotice(req),
+      years,
+      active: studentsRows.filter((s) => !s.archived).length,
+      defaultLabel: defaultYearLabel(zonedParts(new Date()).dateISO),
+      labelLimit: YEAR_LABEL_LIMIT,
+    });
+  });
+
+  router.post("/admin/years/start", async (req, res) => {
+    try {
+      const year = await services.actionStartSchoolYear(req.viewer, req.body);
+      req.session.notice = `${year.label} started. ${year.archived} student${
+        year.archived === 1 ? " was" : "s were"
+      } archived; restore returning students from Students.`;
+    } catch (e) {
+      if (pageActionError(req, res, e, "years", "Start failed")) return;
+    }
+    res.redirect("/admin/years");
+  });
+
+  // ---------- duplicate history rows ----------
+
+  router.get("/admin/duplicates", async (req, res) => {
+    let errorBanner = "";
+    let groups = [];
+    try {
+      groups = duplicateHistoryGroups(await storage.readHistoryRows());
+    } catch (e) {
+      errorBanner = readError("History read error", e);
+    }
+
+    render(req, res, "duplicates", { errorBanner, notice: takeNotice(req), groups });
+  });
+
+  router.post("/admin/duplicates/merge", async (req, res) => {
+    const ids = String(req.body.ids || "").split(",").filter(Boolean);
+    const keepId = String(req.body.keep || "");
+    try {
+      const group = duplicateHistoryGroups(await storage.readHistoryRows()).find(
+        (g) => g.rows.length === ids.length && ids.every((id) => g.rows.some((r) => r.id === id))
+      );
+      if (!group || !ids.includes(keepId)) {
+        req.session.notice = "Those rows changed since the page loaded; please try again.";
+      } else {
+        await services.mergeHistoryGroup(req.viewer, group.rows, keepId);
+        req.session.notice = `Merged ${group.student} • ${group.weekEnding}.`;
+      }
+    } catch (e) {
+      logError("merge", e);
+      req.session.notice = `Merge failed: ${e?.message || e}`;
+    }
+    res.redirect("/admin/duplicates");
+  });
+
+  router.post("/admin/duplicates/merge-all", async (req, res) => {
+    try {
+      const groups = duplicateHistoryGroups(await storage.readHistoryRows());
+      for (const g of groups) {
+        const best = g.rows.reduce((a, b) => (b.checkins > a.checkins ? b : a));
+        await services.mergeHistoryGroup(req.viewer, g.rows, best.id);
+      }
+      req.session.notice = `Merged ${groups.length} duplicate weeks.`;
+    } catch (e) {
+      logError("merge", e);
+      req.session.notice = `Merge failed: ${e?.message || e}`;
+    }
+    res.redirect("/admin/duplicates");
+  });
+
+  // ---------- audit log ----------
+
+  // ?user= &action= &student= (name or id) &from= &to= (dates, school time zone)
+  router.get("/admin/audit", async (req, res) => {
+    let errorBanner = "";
+    let log = [];
+    try {
+      log = await storage.readAuditLog();
+    } catch (e) {
+      errorBanner = readError("Audit log read error", e);
+    }
+
+    const user = normalizeOwner(String(req.query.user || ""));
+    const action = String(req.query.action || "");
+    const student = String(req.query.student || "").trim().toLowerCase();
+    const from = isDateISO(String(req.query.from || "")) ? String(req.query.from) : "";
+    const to = isDateISO(String(req.query.to || "")) ? String(req.query.to) : "";
+
+    const undone = new Map(log.filter((e) => e.undoOf).map((e) => [e.undoOf, e]));
+    const matches = log
+      .filter((e) => {
+        const day = zonedParts(new Date(e.at)).dateISO;
+        return (
+          (!user || e.username === user) &&
+          (!action || e.action === action) &&
+          (!student || e.studentId.toLowerCase() === student || e.student.toLowerCase().includes(student)) &&
+          (!from || day >= from) &&
+          (!to || day <= to)
+        );
+      })
+      .reverse();
+
+    render(req, res, "audit", {
+      errorBanner,
+      notice: takeNotice(req),
+      usernames: [...new Set(log.map((e) => e.username))].sort(),
+      actions: AUDIT_ACTIONS,
+      filters: { user, action, student: String(req.query.student || ""), from, to },
+      matches: matches.length,
+      shown: matches.slice(0, AUDIT_PAGE_SIZE),
+      undone,
+      canUndo: services.canUndo,
+      auditFields,
+      auditValueText,
+      auditRecordLine,
+    });
+  });
+
+  router.post("/admin/audit/:id/undo", async (req, res) => {
+    try {
+      const entry = await services.actionUndo(req.viewer, { id: req.params.id });
+      req.session.notice = `Undid "${AUDIT_ACTIONS[entry.action]}" by ${entry.username}${
+        entry.student ? ` for ${entry.student}` : ""
+      }.`;
+    } catch (e) {
+      if (pageActionError(req, res, e, "undo", "Undo failed")) return;
+    }
+    res.redirect("/admin/audit");
+  });
+
+  return router;
+};
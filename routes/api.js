@@ -0,0 +1,245 @@
+// The JSON API, mounted at /api/v1. Token-authenticated ("Authorization:
+// Bearer <token>") and built on the same actions as the pages. Errors are
+// { error: { code, message, fields? } }.
+const express = require("express");
+const { normalizeOwner } = require("../storage/common");
+const { hashApiToken } = require("../lib/passwords");
+const { accessFor, visibleStudents } = require("../domain/access");
+const { checkinJson } = require("../domain/checkins");
+const { planFor, rowPlan } = require("../domain/plans");
+const {
+  currentWeekEnding,
+  isDateISO,
+  prorate,
+  schoolWeek,
+  weekCheckinsFor,
+  weekEndingForDate,
+} = require("../domain/weeks");
+const { ActionError } = require("../services/errors");
+const { apiError } = require("./helpers");
+
+function apiRoute(tag, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (e) {
+      apiError(res, e, tag);
+    }
+  };
+}
+
+function historyJson(r) {
+  return {
+    id: r.id,
+    studentId: r.studentId,
+    owner: r.owner,
+    student: r.student,
+    weekEnding: r.weekEnding,
+    checkins: r.checkins,
+    teacher: r.teacher,
+    ...rowPlan(r),
+  };
+}
+
+// goal/maxCheckins are what the student works to now; customPlan says
+// whether they're the student's own rather than the school default, and
+// thisWeekGoal is the goal prorated for a short week
+function studentJson(viewer, s, shares, checkins, school, week) {
+  return {
+    id: s.id,
+    owner: s.owner,
+    name: s.student,
+    grade: s.grade,
+    externalId: s.externalId,
+    archived: s.archived,
+    ...planFor(s, school),
+    customPlan: Boolean(s.goal || s.maxCheckins),
+    thisWeek: weekCheckinsFor(checkins, s.id, currentWeekEnding()).length,
+    thisWeekGoal: prorate(planFor(s, school), week).goal,
+    access: accessFor(viewer, s, shares),
+  };
+}
+
+module.exports = function apiRoutes({ storage, services }) {
+  const api = express.Router();
+  api.use(express.json());
+
+  // Everything the viewer can see, with roster details and this week's count
+  async function apiStudents(viewer) {
+    const [studentsRows, shares, checkins, school, closures] = await Promise.all([
+      storage.readStudentsList(),
+      storage.listShares(),
+      storage.readCheckins(),
+      services.schoolPlan(),
+      services.schoolClosures(),
+    ]);
+    const week = schoolWeek(currentWeekEnding(), closures);
+    return visibleStudents(viewer, studentsRows, shares).map((s) =>
+      studentJson(viewer, s, shares, checkins, school, week)
+    );
+  }
+
+  async function apiStudent(req) {
+    const found = (await apiStudents(req.viewer)).find((s) => s.id === req.params.id);
+    if (!found) throw new ActionError(404, "not_found", `No student ${req.params.id}.`);
+    return found;
+  }
+
+  api.use(async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+    if (!match) {
+      return apiError(
+        res,
+        new ActionError(401, "unauthorized", "Send an API token as \"Authorization: Bearer <token>\".")
+      );
+    }
+    try {
+      const hash = hashApiToken(match[1]);
+      const token = (await storage.listApiTokens()).find((t) => t.tokenHash === hash);
+      const user = token ? await storage.getUser(token.username) : null;
+      if (!user || user.disabled) {
+        return apiError(res, new ActionError(401, "unauthorized", "Invalid or revoked API token."));
+      }
+      req.viewer = { username: user.username, role: user.role };
+      next();
+    } catch (e) {
+      apiError(res, e, "auth");
+    }
+  });
+
+  api.get(
+    "/students",
+    apiRoute("students", async (req, res) => {
+      res.json({ students: await apiStudents(req.viewer) });
+    })
+  );
+
+  api.post(
+    "/students",
+    apiRoute("addstudent", async (req, res) => {
+      const body = req.body || {};
+      const { id } = await services.actionAddStudent(req.viewer, {
+        ...body,
+        student: body.name ?? body.student,
+      });
+      res.status(201).json({ student: (await apiStudents(req.viewer)).find((s) => s.id === id) });
+    })
+  );
+
+  api.get(
+    "/students/:id",
+    apiRoute("student", async (req, res) => {
+      res.json({ student: await apiStudent(req) });
+    })
+  );
+
+  // { goal, maxCheckins }: either may be null for the school default
+  api.post(
+    "/students/:id/plan",
+    apiRoute("plan", async (req, res) => {
+      const s = await apiStudent(req);
+      const body = req.body || {};
+      await services.actionSetPlan(req.viewer, {
+        studentId: s.id,
+        goal: body.goal,
+        maxCheckins: body.maxCheckins,
+      });
+      res.json({ student: await apiStudent(req) });
+    })
+  );
+
+  // ?week=<week-ending date> picks an earlier week; default is the current one
+  api.get(
+    "/students/:id/checkins",
+    apiRoute("checkins", async (req, res) => {
+      const s = await apiStudent(req);
+      const week = String(req.query.week || "");
+      if (week && !isDateISO(week)) {
+        throw new ActionError(400, "validation", "week must be a YYYY-MM-DD date.", {
+          week: "invalid",
+        });
+      }
+      const weekEnding = week ? weekEndingForDate(week) : currentWeekEnding();
+      const checkins = weekCheckinsFor(await storage.readCheckins(), s.id, weekEnding);
+      res.json({ weekEnding, checkins: checkins.map(checkinJson) });
+    })
+  );
+
+  api.post(
+    "/students/:id/checkins",
+    apiRoute("add", async (req, res) => {
+      const s = await apiStudent(req);
+      const checkin = await services.actionAddCheckin(req.viewer, { ...(req.body || {}), studentId: s.id });
+      res.status(201).json({ checkin: checkinJson(checkin) });
+    })
+  );
+
+  api.post(
+    "/students/:id/clear-week",
+    apiRoute("clearweek", async (req, res) => {
+      const s = await apiStudent(req);
+      const { weekEnding, deleted } = await services.actionClearWeek(req.viewer, { studentId: s.id });
+      res.json({ weekEnding, deleted });
+    })
+  );
+
+  api.post(
+    "/students/:id/end-week",
+    apiRoute("endweek", async (req, res) => {
+      const s = await apiStudent(req);
+      const row = await services.actionEndWeek(req.viewer, { studentId: s.id });
+      res.json({ history: row ? historyJson(row) : null });
+    })
+  );
+
+  // ?owner= &student= (an id or a name) &from= &to= (week-ending dates)
+  api.get(
+    "/history",
+    apiRoute("history", async (req, res) => {
+      const errors = {};
+      for (const key of ["from", "to"]) {
+        if (req.query[key] && !isDateISO(String(req.query[key]))) errors[key] = "invalid";
+      }
+      if (Object.keys(errors).length > 0) {
+        throw new ActionError(400, "validation", "from and to must be YYYY-MM-DD dates.", errors);
+      }
+      const from = String(req.query.from || "");
+      const to = String(req.query.to || "");
+      const owner = normalizeOwner(String(req.query.owner || ""));
+      const student = String(req.query.student || "").trim().toLowerCase();
+
+      const visible = new Set((await apiStudents(req.viewer)).map((s) => s.id));
+      const rows = (await storage.readHistoryRows())
+        .filter((r) => {
+          return (
+            visible.has(r.studentId) &&
+            (!owner || r.owner === owner) &&
+            (!student || student === r.studentId.toLowerCase() || student === r.student.toLowerCase()) &&
+            (!from || r.weekEnding >= from) &&
+            (!to || r.weekEnding <= to)
+          );
+        })
+        .sort(
+          (a, b) =>
+            a.owner.localeCompare(b.owner) ||
+            a.student.localeCompare(b.student) ||
+            a.weekEnding.localeCompare(b.weekEnding)
+        );
+      res.json({ history: rows.map(historyJson) });
+    })
+  );
+
+  api.use((req, res) => {
+    apiError(res, new ActionError(404, "not_found", `No API route ${req.method} ${req.path}.`));
+  });
+
+  // Malformed JSON bodies and anything else thrown outside a route
+  api.use((err, req, res, _next) => {
+    if (err.type === "entity.parse.failed") {
+      return apiError(res, new ActionError(400, "invalid_json", "Request body is not valid JSON."));
+    }
+    apiError(res, err, "router");
+  });
+
+  return api;
+};
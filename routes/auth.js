@@ -0,0 +1,257 @@
+// Signing in (password or Google), the check every other page goes through,
+// the CSRF check on form posts, and logging out.
+const express = require("express");
+const { normalizeOwner } = require("../storage/common");
+const {
+  ACCOUNT_RECHECK_MS,
+  LOCKOUT_MINUTES,
+  LOGIN_RATE_LIMIT,
+  LOGIN_RATE_WINDOW_MS,
+  MAX_LOGIN_FAILURES,
+  PASSWORD_LOGIN: PASSWORD_LOGIN_SETTING,
+  SESSION_COOKIE,
+  SESSION_MAX_MS,
+} = require("../lib/config");
+const { logError, logWarn } = require("../lib/log");
+const sso = require("../lib/oidc");
+const { verifyPassword } = require("../lib/passwords");
+const { appLink } = require("../lib/views");
+const { csrfToken, csrfValid, csrfRejected, render } = require("./helpers");
+
+// Without working Google sign-in the password form always stays
+const PASSWORD_LOGIN = !sso.ssoEnabled() || PASSWORD_LOGIN_SETTING;
+// How long the Google round trip may take before its state is refused
+const SSO_STATE_MS = 10 * 60 * 1000;
+
+const LOGIN_ERRORS = {
+  invalid: "Incorrect username or password.",
+  expired: "Your session expired. Please sign in again.",
+  locked: "Too many failed attempts. This account is locked for a few minutes.",
+  limited: "Too many login attempts. Please wait a few minutes and try again.",
+  unavailable: "Sign-in is temporarily unavailable. Please try again.",
+  domain: "Please sign in with your school Google account.",
+  unverified: "That Google account has no verified email address.",
+  disabled: "This account has been disabled. Ask an admin to turn it back on.",
+  sso: "Google sign-in didn't complete. Please try again.",
+};
+
+// File uploads are multipart, which isn't parsed yet at this point; those
+// routes check the token once multer has read the form
+const CSRF_AFTER_UPLOAD = new Set(["/roster/preview"]);
+
+module.exports = function authRoutes({ storage, services }) {
+  const router = express.Router();
+
+  const loginAttempts = new Map(); // ip -> { count, resetAt }
+
+  function loginRateLimited(ip) {
+    const now = Date.now();
+    for (const [key, entry] of loginAttempts) {
+      if (entry.resetAt <= now) loginAttempts.delete(key);
+    }
+    const entry = loginAttempts.get(ip) || { count: 0, resetAt: now + LOGIN_RATE_WINDOW_MS };
+    entry.count += 1;
+    loginAttempts.set(ip, entry);
+    return entry.count > LOGIN_RATE_LIMIT;
+  }
+
+  router.get("/login", (req, res) => {
+    render(req, res, "login", {
+      error: LOGIN_ERRORS[req.query.error] || "",
+      ssoEnabled: sso.ssoEnabled(),
+      passwordLogin: PASSWORD_LOGIN,
+    });
+  });
+
+  // A fresh session id for every sign-in, password or Google
+  function startSession(req, res, user) {
+    req.session.regenerate((err) => {
+      if (err) return res.redirect("/login?error=unavailable");
+      req.session.loggedIn = true;
+      req.session.user = user.username;
+      req.session.role = user.role;
+      req.session.verifiedAt = Date.now();
+      req.session.loginAt = Date.now();
+      csrfToken(req);
+      res.redirect("/");
+    });
+  }
+
+  router.post("/login", async (req, res) => {
+    if (!PASSWORD_LOGIN) return res.redirect("/login");
+    const username = normalizeOwner(req.body.username);
+    const password = req.body.password || "";
+    if (!username) return res.redirect("/login");
+    if (!csrfValid(req, req.body._csrf)) return res.redirect("/login?error=expired");
+
+    if (loginRateLimited(req.ip)) return res.redirect("/login?error=limited");
+
+    let user;
+    try {
+      user = await storage.getUser(username);
+    } catch (e) {
+      logError("login", e);
+      return res.redirect("/login?error=unavailable");
+    }
+
+    if (user && user.lockedUntil > Date.now()) {
+      return res.redirect("/login?error=locked");
+    }
+
+    const ok = await verifyPassword(password, user?.passwordHash);
+    if (!user || !ok || user.disabled) {
+      if (user && !user.disabled) {
+        const failedAttempts = (user.failedAttempts || 0) + 1;
+        const locked = failedAttempts >= MAX_LOGIN_FAILURES;
+        try {
+          await storage.saveUser({
+            ...user,
+            failedAttempts: locked ? 0 : failedAttempts,
+            lockedUntil: locked ? Date.now() + LOCKOUT_MINUTES * 60 * 1000 : 0,
+          });
+        } catch (e) {
+          logError("login", e);
+        }
+        if (locked) return res.redirect("/login?error=locked");
+      }
+      // Only once the password checks out, so it doesn't tell anyone which accounts exist
+      return res.redirect(`/login?error=${user && ok ? "disabled" : "invalid"}`);
+    }
+
+    if (user.failedAttempts || user.lockedUntil) {
+      try {
+        await storage.saveUser({ ...user, failedAttempts: 0, lockedUntil: 0 });
+      } catch (e) {
+        logError("login", e);
+      }
+    }
+
+    startSession(req, res, user);
+  });
+
+  // ---------- Google sign-in ----------
+
+  function ssoRedirectUri(req) {
+    return appLink("/auth/google/callback") || `${req.protocol}://${req.get("host")}/auth/google/callback`;
+  }
+
+  // The account a verified school email signs in as: the user named by that
+  // email, else the user whose email it is (so existing owner names carry on;
+  // set it with `npm run users -- email <username> <address>`), else a new
+  // teacher named by the email
+  async function ssoUser(email) {
+    const named = await storage.getUser(email);
+    if (named) return named;
+    const users = await storage.listUsers();
+    const linked = users.filter((u) => normalizeOwner(u.email) === email);
+    if (linked.length > 1) {
+      logWarn("sso", `${email} is the email of ${linked.map((u) => u.username).join(", ")}; using ${linked[0].username}`);
+    }
+    if (linked.length > 0) return linked[0];
+
+    const user = { username: email, passwordHash: "", role: "teacher", email, digest: false };
+    await storage.saveUser(user);
+    await services.audit(null, "user.add", { after: { username: email, role: "teacher", via: "Google sign-in" } });
+    return (await storage.getUser(email)) || user;
+  }
+
+  router.get("/auth/google", async (req, res) => {
+    if (!sso.ssoEnabled()) return res.redirect("/login");
+    if (loginRateLimited(req.ip)) return res.redirect("/login?error=limited");
+    try {
+      const { url, state, nonce, verifier } = await sso.startLogin(ssoRedirectUri(req));
+      req.session.sso = { state, nonce, verifier, startedAt: Date.now() };
+      res.redirect(url);
+    } catch (e) {
+      logError("sso", e);
+      res.redirect("/login?error=unavailable");
+    }
+  });
+
+  router.get("/auth/google/callback", async (req, res) => {
+    if (!sso.ssoEnabled()) return res.redirect("/login");
+    const pending = req.session.sso;
+    delete req.session.sso;
+    // Cancelled on Google's side
+    if (req.query.error) return res.redirect("/login");
+    if (
+      !pending ||
+      typeof req.query.state !== "string" ||
+      req.query.state !== pending.state ||
+      Date.now() - pending.startedAt > SSO_STATE_MS
+    ) {
+      return res.redirect("/login?error=expired");
+    }
+
+    let user;
+    try {
+      const { email } = await sso.finishLogin({
+        code: req.query.code,
+        redirectUri: ssoRedirectUri(req),
+        nonce: pending.nonce,
+        verifier: pending.verifier,
+      });
+      user = await ssoUser(email);
+    } catch (e) {
+      logError("sso", e);
+      if (e instanceof sso.SsoError) {
+        return res.redirect(`/login?error=${e.code === "domain" || e.code === "unverified" ? e.code : "sso"}`);
+      }
+      return res.redirect("/login?error=unavailable");
+    }
+    if (user.disabled) return res.redirect("/login?error=disabled");
+    startSession(req, res, user);
+  });
+
+  // ---------- everything else needs a session ----------
+
+  router.use(async (req, res, next) => {
+    if (req.path === "/login" || req.path.startsWith("/auth/")) return next();
+    // The JSON API checks its own bearer tokens
+    if (req.path.startsWith("/api/")) return next();
+    if (!req.session.loggedIn) return res.redirect("/login");
+    if (!(Date.now() - (req.session.loginAt || 0) < SESSION_MAX_MS)) {
+      return req.session.destroy(() => res.redirect("/login?error=expired"));
+    }
+
+    if (Date.now() - (req.session.verifiedAt || 0) > ACCOUNT_RECHECK_MS) {
+      let user = undefined;
+      try {
+        user = await storage.getUser(req.session.user);
+      } catch (e) {
+        // Storage hiccup: keep the session and try again on the next request
+        logError("auth", e);
+      }
+      if (user === null || user?.disabled) {
+        return req.session.destroy(() => res.redirect("/login"));
+      }
+      if (user) {
+        req.session.role = user.role;
+        req.session.verifiedAt = Date.now();
+      }
+    }
+    req.viewer = {
+      username: normalizeOwner(req.session.user),
+      role: req.session.role || "teacher",
+      csrf: csrfToken(req),
+    };
+    next();
+  });
+
+  router.use((req, res, next) => {
+    if (req.method !== "POST" || req.path.startsWith("/api/")) return next();
+    if (CSRF_AFTER_UPLOAD.has(req.path) && req.is("multipart/form-data")) return next();
+    if (!csrfValid(req, req.body?._csrf)) return csrfRejected(req, res);
+    next();
+  });
+
+  router.post("/logout", (req, res) => {
+    req.session.destroy((err) => {
+      if (err) logError("logout", err);
+      res.clearCookie(SESSION_COOKIE);
+      res.redirect("/login");
+    });
+  });
+
+  return router;
+};
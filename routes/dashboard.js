@@ -0,0 +1,60 @@
+// Recent weeks for every active student the viewer can see, at-risk first.
+const express = require("express");
+const { AT_RISK_WEEKS, DASHBOARD_WEEKS, ROLLING_WEEKS } = require("../lib/config");
+const { visibleStudents } = require("../domain/access");
+const { studentTrend } = require("../domain/history");
+const { readError, render } = require("./helpers");
+
+module.exports = function dashboardRoutes({ storage, services }) {
+  const router = express.Router();
+
+  router.get("/dashboard", async (req, res) => {
+    const viewer = req.viewer;
+
+    let errorBanner = "";
+    let historyAll = [];
+    let studentsRows = [];
+    let checkins = [];
+    let shares = [];
+    try {
+      [historyAll, studentsRows, checkins, shares] = await Promise.all([
+        storage.readHistoryRows(),
+        storage.readStudentsList(),
+        storage.readCheckins(),
+        storage.listShares(),
+      ]);
+    } catch (e) {
+      errorBanner = readError("Read error", e);
+    }
+
+    const [school, closures] = await Promise.all([services.schoolPlan(), services.schoolClosures()]);
+    const weeks = Math.min(26, Math.max(2, Number(req.query.weeks) || DASHBOARD_WEEKS));
+    const active = visibleStudents(viewer, studentsRows, shares).filter((s) => !s.archived);
+    const owners = Array.from(new Set(active.map((s) => s.owner))).sort();
+    const owner = owners.includes(String(req.query.owner || "")) ? String(req.query.owner) : "";
+
+    const rows = active
+      .filter((s) => !owner || s.owner === owner)
+      .map((s) => ({ s, trend: studentTrend(historyAll, checkins, s, school, closures, weeks) }))
+      .sort(
+        (a, b) =>
+          b.trend.atRisk - a.trend.atRisk ||
+          b.trend.belowGoal - a.trend.belowGoal ||
+          a.s.student.localeCompare(b.s.student, undefined, { sensitivity: "base" })
+      );
+
+    render(req, res, "dashboard", {
+      errorBanner,
+      weeks,
+      atRiskWeeks: AT_RISK_WEEKS,
+      rollingWeeks: ROLLING_WEEKS,
+      owners,
+      owner,
+      rows,
+      atRiskCount: rows.filter((r) => r.trend.atRisk).length,
+      weekEndings: rows.length ? rows[0].trend.points.map((p) => p.weekEnding) : [],
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,74 @@
+// Health checks and metrics for the host and monitoring, answered before sign-in.
+const crypto = require("crypto");
+const express = require("express");
+const { METRICS_TOKEN, READY_TIMEOUT_MS } = require("../lib/config");
+const { logError } = require("../lib/log");
+const { metricsText } = require("../lib/metrics");
+
+// Rejects if storage hasn't answered in READY_TIMEOUT_MS
+function pingStorage(storage) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer in ${READY_TIMEOUT_MS}ms`)), READY_TIMEOUT_MS);
+  });
+  return Promise.race([storage.ping(), timeout]).finally(() => clearTimeout(timer));
+}
+
+function tokenMatches(req, token) {
+  const given = Buffer.from(String(req.get("authorization") || ""));
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Read at scrape time rather than counted
+function processGauges(buildTime) {
+  const memory = process.memoryUsage();
+  return [
+    { name: "process_uptime_seconds", help: "Seconds since the process started.", value: process.uptime() },
+    { name: "process_resident_memory_bytes", help: "Resident memory size in bytes.", value: memory.rss },
+    { name: "nodejs_heap_used_bytes", help: "V8 heap in use, in bytes.", value: memory.heapUsed },
+    { name: "app_build_info", help: "When this build started; always 1.", labels: { build_time: buildTime }, value: 1 },
+  ];
+}
+
+// metricsToken: METRICS_TOKEN unless given (the tests)
+module.exports = function healthRoutes({ storage, buildTime, metricsToken = METRICS_TOKEN }) {
+  const router = express.Router();
+
+  // Liveness: the process is up and answering
+  router.get("/healthz", (_req, res) => {
+    res.status(200).json({ ok: true, buildTime });
+  });
+
+  // Readiness: storage answers too, so traffic can be sent here
+  router.get("/healthz/ready", async (_req, res) => {
+    const started = Date.now();
+    try {
+      await pingStorage(storage);
+      res.status(200).json({
+        ok: true,
+        buildTime,
+        storage: { ok: true, backend: storage.name, ms: Date.now() - started },
+      });
+    } catch (e) {
+      // The error can name the spreadsheet, file path or Google's reply, and
+      // this is answered before sign-in: it goes to the log only
+      logError("ready", e, { backend: storage.name });
+      res.status(503).json({ ok: false, buildTime, storage: { ok: false, backend: storage.name } });
+    }
+  });
+
+  // Prometheus text format, for whoever has METRICS_TOKEN as a bearer token.
+  // The counts say who uses the app and how much, so without a token it's off.
+  router.get("/metrics", (req, res) => {
+    if (!metricsToken) return res.sendStatus(404);
+    if (!tokenMatches(req, metricsToken)) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).type("text/plain").send("Unauthorized\n");
+    }
+    res.type("text/plain; version=0.0.4");
+    res.send(metricsText(processGauges(buildTime)));
+  });
+
+  return router;
+};
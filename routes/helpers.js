@@ -0,0 +1,127 @@
+// Shared by the page routes: rendering, CSRF tokens, notices and the error pages.
+const crypto = require("crypto");
+const { logError } = require("../lib/log");
+const { ActionError } = require("../services/errors");
+
+// ---------- CSRF ----------
+//
+// Each session gets a random token; render adds it to every POST form and
+// every POST outside the API has to send it back. The API authenticates with
+// bearer tokens, not cookies, so it needs none.
+
+function csrfToken(req) {
+  if (!req.session.csrf) req.session.csrf = crypto.randomBytes(24).toString("hex");
+  return req.session.csrf;
+}
+
+function csrfValid(req, token) {
+  const expected = req.session?.csrf;
+  if (!expected || typeof token !== "string") return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function escapeAttr(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("<", "&lt;");
+}
+
+function withCsrf(html, token) {
+  if (!token) return html;
+  const field = `<input type="hidden" name="_csrf" value="${escapeAttr(token)}" />`;
+  return html.replace(/<form\b[^>]*\bmethod="POST"[^>]*>/g, (tag) => tag + field);
+}
+
+// ---------- pages ----------
+
+// Renders views/<view>.ejs for the signed-in viewer (if any) and sends it
+function render(req, res, view, locals = {}) {
+  res.render(view, { viewer: req.viewer, ...locals }, (err, html) => {
+    if (err) {
+      logError(`render ${view}`, err);
+      return res.status(500).send("Something went wrong.");
+    }
+    res.send(withCsrf(html, csrfToken(req)));
+  });
+}
+
+// The one-time banner set before a redirect
+function takeNotice(req) {
+  const notice = req.session.notice || "";
+  delete req.session.notice;
+  return notice;
+}
+
+// Banner text for a failed read
+function readError(label, e) {
+  return `${label}: ${e?.message || String(e)}`;
+}
+
+function forbidden(req, res) {
+  res.status(403);
+  render(req, res, "message", {
+    title: "Not allowed",
+    text: "You don't have access to that student or action.",
+  });
+}
+
+function csrfRejected(req, res) {
+  res.status(403);
+  render(req, res, "message", {
+    title: "Form expired",
+    text: "That form was out of date or came from another site, so nothing was changed. Go back, reload the page and try again.",
+  });
+}
+
+// ---------- JSON ----------
+
+// Scripts posting a page form ask for JSON instead of the redirect
+function wantsJson(req) {
+  return req.accepts(["html", "json"]) === "json";
+}
+
+// { error: { code, message, fields? } } with the ActionError's status
+function apiError(res, e, tag) {
+  if (e instanceof ActionError) {
+    return res.status(e.status).json({
+      error: { code: e.code, message: e.message, ...(e.fields ? { fields: e.fields } : {}) },
+    });
+  }
+  logError(`api ${tag}`, e);
+  res.status(500).json({ error: { code: "server_error", message: "Something went wrong." } });
+}
+
+// ---------- errors ----------
+
+// A 403 gets the error page, anything else a notice on the redirect. A storage
+// or other unexpected failure is logged and still gets one ("Save failed: ..."),
+// so nobody is left thinking their change went through.
+function pageActionError(req, res, e, tag, failed = "Save failed") {
+  if (e instanceof ActionError) {
+    if (e.status === 403) {
+      forbidden(req, res);
+      return true;
+    }
+    req.session.notice = e.message;
+  } else {
+    logError(tag, e);
+    req.session.notice = `${failed}: ${e?.message || e}`;
+  }
+  return false;
+}
+
+module.exports = {
+  csrfToken,
+  csrfValid,
+  render,
+  takeNotice,
+  readError,
+  forbidden,
+  csrfRejected,
+  pageActionError,
+  wantsJson,
+  apiError,
+};
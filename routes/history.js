@@ -0,0 +1,163 @@
+// Editing what's already recorded: this week's check-ins and saved history rows.
+const express = require("express");
+const { checkinFields } = require("../domain/checkins");
+const { parseCount, rowPlan } = require("../domain/plans");
+const { checkinWeek, currentWeekEnding, isDateISO, weekEndingForDate } = require("../domain/weeks");
+const { logError } = require("../lib/log");
+const { studentUrl } = require("../lib/views");
+const { forbidden } = require("./helpers");
+
+module.exports = function historyRoutes({ storage, services }) {
+  const router = express.Router();
+
+  // Check-ins in the current week can be changed by the student's owner (or an
+  // admin) and by whoever entered them.
+  async function editableCheckin(req, res) {
+    const checkin = (await storage.readCheckins()).find((c) => c.id === req.params.id);
+    if (!checkin || checkinWeek(checkin) !== currentWeekEnding()) {
+      res.redirect("/");
+      return null;
+    }
+    const access = await services.loadAccess(req.viewer, { id: checkin.studentId, owner: checkin.owner });
+    if (!access.manage && checkin.enteredBy !== req.viewer.username) {
+      forbidden(req, res);
+      return null;
+    }
+    return checkin;
+  }
+
+  router.post("/checkins/:id/edit", async (req, res) => {
+    try {
+      const checkin = await editableCheckin(req, res);
+      if (!checkin) return;
+      const updated = await storage.updateCheckin(checkin.id, checkinFields(req.body));
+      await services.resaveSavedWeek(checkin.studentId, checkinWeek(checkin));
+      await services.audit(req.viewer, "checkin.edit", {
+        student: { id: checkin.studentId, student: checkin.student },
+        before: checkin,
+        after: updated,
+      });
+      res.redirect(studentUrl(checkin.studentId));
+    } catch (e) {
+      logError("checkin-edit", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+      res.redirect("/");
+    }
+  });
+
+  router.post("/checkins/:id/delete", async (req, res) => {
+    try {
+      const checkin = await editableCheckin(req, res);
+      if (!checkin) return;
+      await storage.deleteCheckins([checkin.id]);
+      await services.resaveSavedWeek(checkin.studentId, checkinWeek(checkin));
+      await services.audit(req.viewer, "checkin.delete", {
+        student: { id: checkin.studentId, student: checkin.student },
+        before: checkin,
+      });
+      res.redirect(studentUrl(checkin.studentId));
+    } catch (e) {
+      logError("checkin-delete", e);
+      req.session.notice = `Delete failed: ${e?.message || e}`;
+      res.redirect("/");
+    }
+  });
+
+  // History rows can be changed by the student's owner or an admin only
+  async function managedHistoryRow(req, res) {
+    const row = (await storage.readHistoryRows()).find((r) => r.id === req.params.id);
+    if (!row) {
+      res.redirect("/");
+      return null;
+    }
+    const access = await services.loadAccess(req.viewer, { id: row.studentId, owner: row.owner });
+    if (!access.manage) {
+      forbidden(req, res);
+      return null;
+    }
+    return row;
+  }
+
+  router.post("/history/:id/edit", async (req, res) => {
+    try {
+      const row = await managedHistoryRow(req, res);
+      if (!row) return;
+      const { maxCheckins } = rowPlan(row);
+      const checkins = parseCount(req.body.checkins, maxCheckins);
+      if (checkins === null) {
+        req.session.notice = `Check-ins must be a whole number from 0 to ${maxCheckins}.`;
+      } else {
+        const updated = await storage.updateHistoryRow(row.id, {
+          checkins,
+          teacher: (req.body.teacher || "").trim(),
+        });
+        await services.audit(req.viewer, "history.edit", {
+          student: { id: row.studentId, student: row.student },
+          before: row,
+          after: updated,
+        });
+      }
+      res.redirect(studentUrl(row.studentId));
+    } catch (e) {
+      logError("history-edit", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+      res.redirect("/");
+    }
+  });
+
+  router.post("/history/:id/delete", async (req, res) => {
+    try {
+      const row = await managedHistoryRow(req, res);
+      if (!row) return;
+      await storage.deleteHistoryRows([row.id]);
+      await services.audit(req.viewer, "history.delete", {
+        student: { id: row.studentId, student: row.student },
+        before: row,
+      });
+      res.redirect(studentUrl(row.studentId));
+    } catch (e) {
+      logError("history-delete", e);
+      req.session.notice = `Delete failed: ${e?.message || e}`;
+      res.redirect("/");
+    }
+  });
+
+  // Records a past week that was never saved
+  router.post("/history/backfill", async (req, res) => {
+    try {
+      const student = await services.findStudent(req.body.sid);
+      if (!student) return res.redirect("/");
+      const access = await services.loadAccess(req.viewer, student);
+      if (!access.manage) return forbidden(req, res);
+
+      const day = String(req.body.week || "").trim();
+      const weekEnding = isDateISO(day) ? weekEndingForDate(day) : "";
+      // Recorded against the student's goal as it is now, prorated for that week
+      const plan = await services.weekPlanFor(student, weekEnding || currentWeekEnding());
+      const checkins = parseCount(req.body.checkins, plan.maxCheckins);
+      const history = await storage.readHistoryRows();
+
+      if (!weekEnding || weekEnding >= currentWeekEnding()) {
+        req.session.notice = "Pick a day in a past week.";
+      } else if (checkins === null) {
+        req.session.notice = `Check-ins must be a whole number from 0 to ${plan.maxCheckins}.`;
+      } else if (history.some((r) => r.studentId === student.id && r.weekEnding === weekEnding)) {
+        req.session.notice = `The week ending ${weekEnding} is already recorded; edit that row instead.`;
+      } else {
+        const teacher = (req.body.teacher || "").trim();
+        await storage.saveWeekToHistory(student.id, weekEnding, checkins, teacher, plan);
+        await services.audit(req.viewer, "history.backfill", {
+          student,
+          after: { weekEnding, checkins, teacher, ...plan },
+        });
+      }
+    } catch (e) {
+      logError("backfill", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+    }
+
+    res.redirect(studentUrl(req.body.sid));
+  });
+
+  return router;
+};
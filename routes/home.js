@@ -0,0 +1,158 @@
+// The home page: one student's week, history and settings.
+const express = require("express");
+const { normalizeOwner, normalizeStudentName } = require("../storage/common");
+const { ROLLOVER_DAY, ROLLOVER_TIME } = require("../lib/config");
+const { canShare, accessFor, visibleStudents } = require("../domain/access");
+const { CHECKIN_CATEGORIES } = require("../domain/checkins");
+const { weeklySummary } = require("../domain/history");
+const { PLAN_LIMIT, planFor } = require("../domain/plans");
+const { teacherEntries } = require("../domain/teachers");
+const { inYear, pickYear, yearRanges } = require("../domain/years");
+const {
+  WEEKDAY_NAMES,
+  addDaysISO,
+  checkinDays,
+  currentWeekEnding,
+  prorate,
+  schoolWeek,
+  weekCheckinsFor,
+} = require("../domain/weeks");
+const { readError, render, takeNotice } = require("./helpers");
+
+// Torrey pine photo (Wikimedia Commons)
+const TORREY_PINE_IMG =
+  "https://commons.wikimedia.org/wiki/Special:FilePath/Pinus_torreyana_at_State_Reserve.jpg?width=1200";
+
+// Admins see every caseload grouped by owner; everyone else sees their own
+// students plus whatever has been shared with them.
+function studentGroups(viewer, entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const label = e.archived
+      ? "Archived"
+      : viewer.role === "admin"
+        ? e.owner
+        : e.owner === viewer.username
+          ? "My students"
+          : `Shared by ${e.owner}`;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(e);
+  }
+  return Array.from(groups, ([label, students]) => ({ label, students }));
+}
+
+module.exports = function homeRoutes({ storage, services }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const viewer = req.viewer;
+
+    let historyAll = [];
+    let studentsRows = [];
+    let shares = [];
+    let users = [];
+    let errorBanner = "";
+
+    try {
+      historyAll = await storage.readHistoryRows();
+    } catch (e) {
+      errorBanner = readError("History read error", e);
+    }
+
+    try {
+      studentsRows = await storage.readStudentsList();
+    } catch (e) {
+      errorBanner = readError("Students read error", e);
+    }
+
+    try {
+      shares = await storage.listShares();
+      users = await storage.listUsers();
+    } catch (e) {
+      errorBanner = readError("Sharing read error", e);
+    }
+
+    const entries = visibleStudents(viewer, studentsRows, shares).sort(
+      (a, b) =>
+        a.archived - b.archived ||
+        (a.owner !== viewer.username) - (b.owner !== viewer.username) ||
+        a.owner.localeCompare(b.owner) ||
+        a.student.localeCompare(b.student, undefined, { sensitivity: "base" })
+    );
+
+    const notice = takeNotice(req);
+
+    let student = entries.find((e) => e.id === String(req.query.sid || ""));
+    if (!student && req.query.student) {
+      // Links from before students had ids name them instead
+      const o = normalizeOwner(String(req.query.owner || "")) || viewer.username;
+      const name = normalizeStudentName(String(req.query.student)).toLowerCase();
+      student = entries.find((e) => e.owner === o && e.student.toLowerCase() === name);
+    }
+    student =
+      student ||
+      entries.find((e) => e.owner === viewer.username && !e.archived) ||
+      entries.find((e) => !e.archived);
+
+    if (!student) {
+      const archived = entries.filter((e) => e.archived).length;
+      return render(req, res, "home", { student: null, archived, errorBanner, notice });
+    }
+
+    const owner = student.owner;
+    const weekEnding = currentWeekEnding();
+
+    let checkins = [];
+    try {
+      checkins = await storage.readCheckins();
+    } catch (e) {
+      errorBanner = readError("Check-ins read error", e);
+    }
+    const weekCheckins = weekCheckinsFor(checkins, student.id, weekEnding);
+    const [school, closures, directory, schoolYears] = await Promise.all([
+      services.schoolPlan(),
+      services.schoolClosures(),
+      services.teacherDirectory(),
+      services.schoolYears(),
+    ]);
+    // Saved weeks a year at a time once school years have started
+    const years = yearRanges(schoolYears);
+    const studentHistory = weeklySummary(historyAll, student.id);
+    const year = pickYear(years, studentHistory, String(req.query.year || ""));
+    const studentPlan = planFor(student, school);
+    const thisWeek = schoolWeek(weekEnding, closures);
+    const plan = prorate(studentPlan, thisWeek);
+
+    render(req, res, "home", {
+      errorBanner,
+      notice,
+      student,
+      owner,
+      access: accessFor(viewer, student, shares),
+      canShare: canShare(viewer),
+      // Archived students stay out of the list unless one is open
+      groups: studentGroups(viewer, entries.filter((e) => !e.archived || e.id === student.id)),
+      weekCheckins,
+      categories: CHECKIN_CATEGORIES,
+      teacherOptions: teacherEntries(directory, historyAll, checkins).map((t) => t.name),
+      checkinDays: checkinDays(),
+      school,
+      studentPlan,
+      thisWeek,
+      plan,
+      current: Math.min(weekCheckins.length, plan.maxCheckins),
+      history: year ? studentHistory.filter((r) => inYear(year, r.weekEnding)) : studentHistory,
+      years,
+      year,
+      otherUsers: users.filter((u) => !u.disabled && u.username !== owner),
+      studentShares: shares.filter((s) => s.studentId === student.id),
+      mergeTargets: entries.filter((e) => e.owner === owner && e.id !== student.id),
+      rollover: { day: WEEKDAY_NAMES[ROLLOVER_DAY], time: ROLLOVER_TIME, weekEnding },
+      backfillMax: addDaysISO(weekEnding, -7),
+      planLimit: PLAN_LIMIT,
+      torreyPineImg: TORREY_PINE_IMG,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,161 @@
+// Student progress reports (page, PDF, email) and the weekly digest settings.
+const express = require("express");
+const { DIGEST_DAY, DIGEST_TIME } = require("../lib/config");
+const { logError } = require("../lib/log");
+const { isEmail, mailEnabled, sendMail } = require("../lib/mailer");
+const { reportPdf } = require("../lib/reports");
+const { renderView } = require("../lib/views");
+const { visibleStudents } = require("../domain/access");
+const { reportRange, studentReport } = require("../domain/history");
+const { WEEKDAY_NAMES, addDaysISO, currentWeekEnding } = require("../domain/weeks");
+const { forbidden, readError, render, takeNotice } = require("./helpers");
+
+function reportFilename(report) {
+  const name = report.student.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "") || "student";
+  return `${name}-${report.from}-to-${report.to}.pdf`;
+}
+
+module.exports = function reportRoutes({ storage, services }) {
+  const router = express.Router();
+
+  router.get("/reports", async (req, res) => {
+    const viewer = req.viewer;
+    let errorBanner = "";
+    let account = null;
+    let students = [];
+    try {
+      const [user, studentsRows, shares] = await Promise.all([
+        storage.getUser(viewer.username),
+        storage.readStudentsList(),
+        storage.listShares(),
+      ]);
+      account = user;
+      students = visibleStudents(viewer, studentsRows, shares).sort(
+        (a, b) =>
+          a.archived - b.archived ||
+          a.owner.localeCompare(b.owner) ||
+          a.student.localeCompare(b.student, undefined, { sensitivity: "base" })
+      );
+    } catch (e) {
+      errorBanner = readError("Read error", e);
+    }
+
+    render(req, res, "reports", {
+      errorBanner,
+      notice: takeNotice(req),
+      mailEnabled: mailEnabled(),
+      students,
+      range: reportRange({}),
+      digestDay: WEEKDAY_NAMES[DIGEST_DAY],
+      digestTime: DIGEST_TIME,
+      account,
+    });
+  });
+
+  router.post("/reports/settings", async (req, res) => {
+    const email = String(req.body.email || "").trim();
+    if (email && !isEmail(email)) {
+      req.session.notice = `${email} doesn't look like an email address.`;
+      return res.redirect("/reports");
+    }
+    try {
+      const user = await storage.getUser(req.viewer.username);
+      const digest = Boolean(req.body.digest) && Boolean(email);
+      await storage.saveUser({ ...user, email, digest });
+      await services.audit(req.viewer, "user.settings", {
+        before: { email: user.email, digest: user.digest },
+        after: { email, digest },
+      });
+      req.session.notice = digest ? `Digest will go to ${email}.` : "Saved. No digest will be sent.";
+    } catch (e) {
+      logError("report-settings", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+    }
+    res.redirect("/reports");
+  });
+
+  router.post("/reports/digest/test", async (req, res) => {
+    try {
+      const user = await storage.getUser(req.viewer.username);
+      const weekEnding = addDaysISO(currentWeekEnding(), -7);
+      const digest = await services.ownerDigest(user.username, weekEnding, await services.digestData());
+      if (!user.email) {
+        req.session.notice = "Save your email address first.";
+      } else if (!digest) {
+        req.session.notice = "You have no active students to report on.";
+      } else {
+        await sendMail({ to: user.email, ...digest });
+        req.session.notice = `Sent the week ending ${weekEnding} digest to ${user.email}.`;
+      }
+    } catch (e) {
+      logError("digest-test", e);
+      req.session.notice = `Sending failed: ${e?.message || e}`;
+    }
+    res.redirect("/reports");
+  });
+
+  // Student named by `sid` (query or form) and the report for it, or null after
+  // redirecting / refusing
+  async function reportFor(req, res, input, level) {
+    const student = await services.findStudent(input.sid);
+    if (!student) {
+      res.redirect("/reports");
+      return null;
+    }
+    if (!(await services.loadAccess(req.viewer, student))[level]) {
+      forbidden(req, res);
+      return null;
+    }
+    const { from, to } = reportRange(input);
+    return studentReport(student, await storage.readHistoryRows(), from, to);
+  }
+
+  router.get("/reports/student", async (req, res) => {
+    try {
+      const report = await reportFor(req, res, req.query, "view");
+      if (!report) return;
+      if (req.query.format === "pdf") {
+        res.type("application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="${reportFilename(report)}"`);
+        return res.send(await reportPdf(report));
+      }
+      res.send(await renderView("report", { report, printable: true }));
+    } catch (e) {
+      logError("report", e);
+      res.status(500).send("Report failed");
+    }
+  });
+
+  // Emailing a report outside the school is the owner's (or an admin's) call
+  router.post("/reports/student/email", async (req, res) => {
+    try {
+      const to = String(req.body.email || "").trim();
+      if (!isEmail(to)) {
+        req.session.notice = "Enter the email address to send the report to.";
+        return res.redirect("/reports");
+      }
+      const report = await reportFor(req, res, req.body, "manage");
+      if (!report) return;
+      const sender = await storage.getUser(req.viewer.username);
+      await sendMail({
+        to,
+        replyTo: sender?.email || undefined,
+        subject: `${report.student}: weekly check-ins, ${report.from} to ${report.to}`,
+        text: `Attached is ${report.student}'s weekly check-in report for the weeks ending ${report.from} to ${report.to}.`,
+        html: await renderView("report", { report, printable: false }),
+        attachments: [{ filename: reportFilename(report), content: await reportPdf(report) }],
+      });
+      await services.audit(req.viewer, "report.email", {
+        student: { id: String(req.body.sid), student: report.student },
+        after: { to, from: report.from, through: report.to },
+      });
+      req.session.notice = `Emailed ${report.student}'s report to ${to}.`;
+    } catch (e) {
+      logError("report-email", e);
+      req.session.notice = `Sending failed: ${e?.message || e}`;
+    }
+    res.redirect("/reports");
+  });
+
+  return router;
+};
@@ -0,0 +1,174 @@
+// Roster import (CSV/XLSX with a preview) and history/student export.
+const express = require("express");
+const multer = require("multer");
+const { normalizeOwner, normalizeStudentName } = require("../storage/common");
+const { logError } = require("../lib/log");
+const { readTable, toCsv, toXlsx } = require("../lib/tables");
+const { visibleStudents } = require("../domain/access");
+const { rowPlan } = require("../domain/plans");
+const { checkRoster, rosterColumns, rosterEntries } = require("../domain/roster");
+const { isDateISO, zonedParts } = require("../domain/weeks");
+const { csrfRejected, csrfValid, render, takeNotice } = require("./helpers");
+
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+}).single("file");
+
+module.exports = function rosterRoutes({ storage, services }) {
+  const router = express.Router();
+
+  router.get("/roster", (req, res) => {
+    render(req, res, "roster", { notice: takeNotice(req) });
+  });
+
+  router.post(
+    "/roster/preview",
+    (req, res, next) =>
+      rosterUpload(req, res, (err) => {
+        if (!csrfValid(req, req.body?._csrf)) return csrfRejected(req, res);
+        if (!err) return next();
+        req.session.notice = `Upload failed: ${err.message}`;
+        res.redirect("/roster");
+      }),
+    async (req, res) => {
+      if (!req.file) {
+        req.session.notice = "Choose a file to import.";
+        return res.redirect("/roster");
+      }
+
+      let checked;
+      try {
+        const table = await readTable(req.file.buffer, req.file.originalname);
+        const cols = rosterColumns(table[0] || []);
+        if (cols.student < 0) {
+          req.session.notice = "The first row needs a \"student\" column header.";
+          return res.redirect("/roster");
+        }
+        const [studentsRows, users] = await Promise.all([storage.readStudentsList(), storage.listUsers()]);
+        checked = checkRoster(
+          rosterEntries(table, cols),
+          req.viewer,
+          studentsRows,
+          new Set(users.map((u) => u.username))
+        );
+      } catch (e) {
+        logError("roster", e);
+        req.session.notice = `Couldn't read that file: ${e?.message || e}`;
+        return res.redirect("/roster");
+      }
+
+      render(req, res, "roster-preview", { filename: req.file.originalname, checked });
+    }
+  );
+
+  router.post("/roster/import", async (req, res) => {
+    try {
+      const entries = JSON.parse(req.body.rows || "[]");
+      if (!Array.isArray(entries)) throw new Error("Bad import data");
+      const [studentsRows, users] = await Promise.all([storage.readStudentsList(), storage.listUsers()]);
+      // Checked again: the roster may have changed since the preview
+      const toAdd = checkRoster(
+        entries,
+        req.viewer,
+        studentsRows,
+        new Set(users.map((u) => u.username))
+      ).filter((r) => r.status === "new");
+      const added = await storage.addStudents(toAdd);
+      if (added > 0) {
+        await services.audit(req.viewer, "student.import", {
+          after: { added, students: toAdd.map((r) => `${r.owner}: ${r.student}`) },
+        });
+      }
+      req.session.notice = `Imported ${added} student${added === 1 ? "" : "s"}.`;
+    } catch (e) {
+      logError("roster-import", e);
+      req.session.notice = `Import failed: ${e?.message || e}`;
+    }
+    res.redirect("/roster");
+  });
+
+  // ---------- export ----------
+
+  router.get("/export", async (req, res) => {
+    let owners = [];
+    try {
+      const [studentsRows, shares] = await Promise.all([storage.readStudentsList(), storage.listShares()]);
+      owners = Array.from(new Set(visibleStudents(req.viewer, studentsRows, shares).map((e) => e.owner))).sort();
+    } catch (e) {
+      logError("export", e);
+    }
+
+    render(req, res, "export", { owners });
+  });
+
+  router.get("/export/download", async (req, res) => {
+    const viewer = req.viewer;
+    const data = req.query.data === "students" ? "students" : "history";
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const from = isDateISO(req.query.from) ? req.query.from : "";
+    const to = isDateISO(req.query.to) ? req.query.to : "";
+    const owner = normalizeOwner(req.query.owner);
+    const student = normalizeStudentName(req.query.student).toLowerCase();
+
+    try {
+      const [studentsRows, historyAll, shares] = await Promise.all([
+        storage.readStudentsList(),
+        storage.readHistoryRows(),
+        storage.listShares(),
+      ]);
+      const visible = new Map(visibleStudents(viewer, studentsRows, shares).map((s) => [s.id, s]));
+      const keep = (studentId) => {
+        const s = visible.get(studentId);
+        return Boolean(s) && (!owner || s.owner === owner) && (!student || s.student.toLowerCase() === student);
+      };
+      const byName = (a, b) =>
+        a.owner.localeCompare(b.owner) || a.student.localeCompare(b.student, undefined, { sensitivity: "base" });
+
+      let rows;
+      if (data === "students") {
+        rows = [
+          ["owner", "student", "grade", "id", "goal", "max_checkins"],
+          ...studentsRows
+            .filter((s) => keep(s.id))
+            .sort(byName)
+            .map((s) => [s.owner, s.student, s.grade, s.externalId, s.goal ?? "", s.maxCheckins ?? ""]),
+        ];
+      } else {
+        rows = [
+          ["owner", "student", "grade", "id", "week_ending", "checkins", "goal", "max_checkins", "teacher"],
+          ...historyAll
+            .filter((r) => keep(r.studentId) && (!from || r.weekEnding >= from) && (!to || r.weekEnding <= to))
+            .sort((a, b) => byName(a, b) || a.weekEnding.localeCompare(b.weekEnding))
+            .map((r) => [
+              r.owner,
+              r.student,
+              visible.get(r.studentId).grade,
+              visible.get(r.studentId).externalId,
+              r.weekEnding,
+              r.checkins,
+              rowPlan(r).goal,
+              rowPlan(r).maxCheckins,
+              r.teacher,
+            ]),
+        ];
+      }
+
+      const filename = `${data === "students" ? "students" : "weekly-history"}-${zonedParts(new Date()).dateISO}.${format}`;
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      if (format === "xlsx") {
+        res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        // exceljs won't take "History" as a sheet name (Excel reserves it)
+        res.send(await toXlsx(rows, data === "students" ? "Students" : "Weekly History"));
+      } else {
+        res.type("text/csv; charset=utf-8");
+        res.send(toCsv(rows));
+      }
+    } catch (e) {
+      logError("export", e);
+      res.status(500).send("Export failed");
+    }
+  });
+
+  return router;
+};
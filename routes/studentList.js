@@ -0,0 +1,149 @@
+// The Students page: search and filter every student the viewer can see, and
+// add one check-in to several at once (a group session). Archived students
+// (every one, after a new school year) and deleted ones can be brought back here.
+const express = require("express");
+const { accessFor, visibleStudents } = require("../domain/access");
+const { CHECKIN_CATEGORIES } = require("../domain/checkins");
+const { parseSchoolPlan } = require("../domain/plans");
+const {
+  STUDENT_SORTS,
+  STUDENT_VIEWS,
+  WEEK_STATUSES,
+  filterStudentRows,
+  lastSavedWeeks,
+  sortStudentRows,
+  studentListQuery,
+  studentWeekRows,
+} = require("../domain/studentList");
+const { parseTeacherDirectory, teacherEntries } = require("../domain/teachers");
+const { checkinDays, currentWeekEnding, schoolWeek } = require("../domain/weeks");
+const { pageActionError, readError, render, takeNotice } = require("./helpers");
+
+// The list's own query string, so a post can land back on the same view
+function listUrl(back) {
+  const query = String(back || "");
+  return query.startsWith("?") ? `/students${query}` : "/students";
+}
+
+// One notice line per reason a student was refused: a bad date is the same for everyone
+function refusalLines(refused, verb) {
+  const byReason = new Map();
+  for (const r of refused) {
+    // No names for students the viewer can't see
+    const who = r.error.status === 403 || !r.student ? "a student" : r.student.student;
+    byReason.set(r.error.message, [...(byReason.get(r.error.message) || []), who]);
+  }
+  return Array.from(byReason, ([reason, names]) => `Not ${verb} for ${names.join(", ")}: ${reason}`);
+}
+
+module.exports = function studentListRoutes({ storage, services }) {
+  const router = express.Router();
+
+  router.get("/students", async (req, res) => {
+    const viewer = req.viewer;
+
+    let errorBanner = "";
+    let historyAll = [];
+    let studentsRows = [];
+    let checkins = [];
+    let shares = [];
+    let deletedRows = [];
+    // The defaults, should the settings not be readable either
+    let school = parseSchoolPlan(null);
+    let closures = [];
+    let directory = parseTeacherDirectory(null);
+    try {
+      [historyAll, studentsRows, checkins, shares, deletedRows, school, closures, directory] =
+        await Promise.all([
+          storage.readHistoryRows(),
+          storage.readStudentsList(),
+          storage.readCheckins(),
+          storage.listShares(),
+          storage.readDeletedStudents(),
+          services.schoolPlan(),
+          services.schoolClosures(),
+          services.teacherDirectory(),
+        ]);
+    } catch (e) {
+      errorBanner = readError("Read error", e);
+    }
+
+    const visible = visibleStudents(viewer, studentsRows, shares);
+    const archived = req.query.view === "archived";
+    const listed = visible.filter((s) => s.archived === archived);
+    const grades = Array.from(new Set(listed.map((s) => s.grade).filter(Boolean))).sort((a, b) =>
+      a.localeCompare(b, undefined, { numeric: true })
+    );
+    const owners = Array.from(new Set(listed.map((s) => s.owner))).sort();
+    const query = studentListQuery(req.query, grades, owners);
+
+    const all = studentWeekRows(listed, checkins, school, schoolWeek(currentWeekEnding(), closures));
+    const rows = sortStudentRows(filterStudentRows(all, query), query.sort);
+    // Only their owner (or an admin) sees deleted students
+    const deleted = deletedRows.filter((s) => accessFor(viewer, s, []).manage);
+    const archivedCount = visible.filter((s) => s.archived).length;
+
+    render(req, res, "students", {
+      errorBanner,
+      notice: takeNotice(req),
+      query,
+      grades,
+      owners,
+      views: STUDENT_VIEWS,
+      counts: { "": visible.length - archivedCount, archived: archivedCount, deleted: deleted.length },
+      statuses: WEEK_STATUSES,
+      sorts: STUDENT_SORTS,
+      rows,
+      total: all.length,
+      deleted,
+      lastSaved: lastSavedWeeks(historyAll),
+      back: req.originalUrl.slice("/students".length),
+      categories: CHECKIN_CATEGORIES,
+      teacherOptions: teacherEntries(directory, historyAll, checkins).map((t) => t.name),
+      checkinDays: checkinDays(),
+    });
+  });
+
+  router.post("/students/checkin", async (req, res) => {
+    try {
+      const { added, refused } = await services.actionAddCheckins(req.viewer, {
+        ...req.body,
+        studentIds: req.body.sid,
+      });
+      const lines = [];
+      if (added.length > 0) {
+        lines.push(`Added a check-in for ${added.length} student${added.length === 1 ? "" : "s"}.`);
+      }
+      req.session.notice = [...lines, ...refusalLines(refused, "added")].join(" ");
+    } catch (e) {
+      if (pageActionError(req, res, e, "bulk checkin")) return;
+    }
+    res.redirect(listUrl(req.body.back));
+  });
+
+  router.post("/students/restore", async (req, res) => {
+    try {
+      const { restored, refused } = await services.actionRestoreStudents(req.viewer, { studentIds: req.body.sid });
+      const lines = [];
+      if (restored.length > 0) {
+        lines.push(`Restored ${restored.length} student${restored.length === 1 ? "" : "s"}.`);
+      }
+      req.session.notice = [...lines, ...refusalLines(refused, "restored")].join(" ");
+    } catch (e) {
+      if (pageActionError(req, res, e, "restore")) return;
+    }
+    res.redirect(listUrl(req.body.back));
+  });
+
+  router.post("/students/undelete", async (req, res) => {
+    try {
+      const student = await services.actionUndeleteStudent(req.viewer, { studentId: req.body.sid });
+      req.session.notice = `${student.student} is back, history and all.`;
+    } catch (e) {
+      if (pageActionError(req, res, e, "undelete")) return;
+    }
+    res.redirect(listUrl(req.body.back));
+  });
+
+  return router;
+};
@@ -0,0 +1,234 @@
+// Form posts from the home page that act on a student: check-ins and the
+// week, renaming, archiving, deleting, goals, merging, sharing and handing over.
+const express = require("express");
+const { normalizeOwner, normalizeStudentName } = require("../storage/common");
+const { canShare } = require("../domain/access");
+const { checkinJson } = require("../domain/checkins");
+const { planText } = require("../domain/plans");
+const { logError } = require("../lib/log");
+const { studentUrl } = require("../lib/views");
+const { apiError, forbidden, pageActionError, wantsJson } = require("./helpers");
+
+module.exports = function studentRoutes({ storage, services }) {
+  const router = express.Router();
+
+  // The home page's form script asks for JSON so it can stay on the page
+  router.post("/add", async (req, res) => {
+    try {
+      const checkin = await services.actionAddCheckin(req.viewer, { ...req.body, studentId: req.body.sid });
+      if (wantsJson(req)) return res.status(201).json({ checkin: checkinJson(checkin) });
+    } catch (e) {
+      if (wantsJson(req)) return apiError(res, e, "add");
+      if (pageActionError(req, res, e, "add")) return;
+    }
+    res.redirect(studentUrl(req.body.sid));
+  });
+
+  router.post("/clearweek", async (req, res) => {
+    try {
+      await services.actionClearWeek(req.viewer, { studentId: req.body.sid });
+    } catch (e) {
+      if (pageActionError(req, res, e, "clearweek")) return;
+    }
+    res.redirect(studentUrl(req.body.sid));
+  });
+
+  router.post("/addstudent", async (req, res) => {
+    try {
+      const student = await services.actionAddStudent(req.viewer, req.body);
+      return res.redirect(studentUrl(student.id));
+    } catch (e) {
+      if (pageActionError(req, res, e, "addstudent")) return;
+    }
+    res.redirect("/");
+  });
+
+  router.post("/endweek", async (req, res) => {
+    try {
+      await services.actionEndWeek(req.viewer, { studentId: req.body.sid });
+    } catch (e) {
+      if (pageActionError(req, res, e, "endweek")) return;
+    }
+    res.redirect(studentUrl(req.body.sid));
+  });
+
+  // ---------- rename / archive / delete / merge ----------
+
+  // The :id student, if the viewer manages it
+  async function managedStudent(req, res) {
+    const student = await services.findStudent(req.params.id);
+    if (!student) {
+      res.redirect("/");
+      return null;
+    }
+    if (!(await services.loadAccess(req.viewer, student)).manage) {
+      forbidden(req, res);
+      return null;
+    }
+    return student;
+  }
+
+  router.post("/students/:id/rename", async (req, res) => {
+    try {
+      const student = await managedStudent(req, res);
+      if (!student) return;
+      const name = normalizeStudentName(req.body.name);
+      if (name && name !== student.student) {
+        await storage.renameStudent(student.id, name);
+        await services.audit(req.viewer, "student.rename", {
+          student: { ...student, student: name },
+          before: { student: student.student },
+          after: { student: name },
+        });
+        req.session.notice = `Renamed ${student.student} to ${name}.`;
+      }
+    } catch (e) {
+      logError("rename", e);
+      req.session.notice = `Rename failed: ${e?.message || e}`;
+    }
+    res.redirect(studentUrl(req.params.id));
+  });
+
+  router.post("/students/:id/archive", async (req, res) => {
+    try {
+      const student = await managedStudent(req, res);
+      if (!student) return;
+      const archived = Boolean(req.body.archived);
+      await storage.setStudentArchived(student.id, archived);
+      await services.audit(req.viewer, archived ? "student.archive" : "student.restore", { student });
+      req.session.notice = `${student.student} ${archived ? "archived" : "restored"}.`;
+    } catch (e) {
+      logError("archive", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+    }
+    res.redirect(studentUrl(req.params.id));
+  });
+
+  router.post("/students/:id/delete", async (req, res) => {
+    try {
+      const student = await services.actionDeleteStudent(req.viewer, { studentId: req.params.id });
+      req.session.notice = `Deleted ${student.student}. Bring them back from Students, under Deleted.`;
+      return res.redirect("/");
+    } catch (e) {
+      if (pageActionError(req, res, e, "delete-student")) return;
+    }
+    res.redirect(studentUrl(req.params.id));
+  });
+
+  router.post("/students/:id/plan", async (req, res) => {
+    try {
+      const plan = await services.actionSetPlan(req.viewer, {
+        studentId: req.params.id,
+        goal: req.body.goal,
+        maxCheckins: req.body.maxCheckins,
+      });
+      req.session.notice = `${planText(plan)}.`;
+    } catch (e) {
+      if (pageActionError(req, res, e, "plan")) return;
+    }
+    res.redirect(studentUrl(req.params.id));
+  });
+
+  // History, check-ins and shares of :id move to `into` (same owner) and :id goes away
+  router.post("/students/:id/merge", async (req, res) => {
+    try {
+      const student = await managedStudent(req, res);
+      if (!student) return;
+      const into = await services.findStudent(req.body.into);
+      if (!into || into.id === student.id || into.owner !== student.owner) {
+        req.session.notice = "Pick another student on the same caseload to merge into.";
+        return res.redirect(studentUrl(student.id));
+      }
+      await storage.mergeStudents(student.id, into.id);
+      await services.audit(req.viewer, "student.merge", {
+        student: into,
+        before: { id: student.id, student: student.student },
+        after: { id: into.id, student: into.student },
+      });
+      req.session.notice = `Merged ${student.student} into ${into.student}. Weeks both had recorded show as duplicates${
+        req.viewer.role === "admin" ? " under Duplicates" : " until an admin merges them"
+      }.`;
+      return res.redirect(studentUrl(into.id));
+    } catch (e) {
+      logError("merge-student", e);
+      req.session.notice = `Merge failed: ${e?.message || e}`;
+    }
+    res.redirect(studentUrl(req.params.id));
+  });
+
+  // ---------- sharing / hand over ----------
+
+  router.post("/share", async (req, res) => {
+    try {
+      const student = await services.findStudent(req.body.sid);
+      if (!student) return res.redirect("/");
+      if (student.owner !== req.viewer.username && req.viewer.role !== "admin") {
+        return forbidden(req, res);
+      }
+      if (!canShare(req.viewer)) return forbidden(req, res);
+
+      const username = normalizeOwner(req.body.username);
+      const user = username ? await storage.getUser(username) : null;
+      if (user && user.username !== student.owner) {
+        await storage.addShare(student.id, username);
+        await services.audit(req.viewer, "share.add", { student, after: { username } });
+      }
+    } catch (e) {
+      logError("share", e);
+      req.session.notice = `Sharing failed: ${e?.message || e}`;
+    }
+
+    res.redirect(studentUrl(req.body.sid));
+  });
+
+  router.post("/unshare", async (req, res) => {
+    try {
+      const student = await services.findStudent(req.body.sid);
+      if (!student) return res.redirect("/");
+      if (student.owner !== req.viewer.username && req.viewer.role !== "admin") {
+        return forbidden(req, res);
+      }
+      if (!canShare(req.viewer)) return forbidden(req, res);
+
+      await storage.removeShare(student.id, req.body.username);
+      await services.audit(req.viewer, "share.remove", {
+        student,
+        before: { username: normalizeOwner(req.body.username) },
+      });
+    } catch (e) {
+      logError("unshare", e);
+      req.session.notice = `Sharing failed: ${e?.message || e}`;
+    }
+
+    res.redirect(studentUrl(req.body.sid));
+  });
+
+  router.post("/transfer", async (req, res) => {
+    const from = normalizeOwner(req.body.from) || req.viewer.username;
+    const to = normalizeOwner(req.body.to);
+
+    // Owners hand over their own caseload; admins can move anyone's
+    if (from !== req.viewer.username && req.viewer.role !== "admin") {
+      return forbidden(req, res);
+    }
+    if (!to || to === from) return res.redirect("/");
+
+    try {
+      const user = await storage.getUser(to);
+      if (!user || user.disabled) {
+        req.session.notice = `No active user named ${to}.`;
+        return res.redirect("/");
+      }
+      await storage.transferCaseload(from, to);
+      await services.audit(req.viewer, "caseload.transfer", { before: { owner: from }, after: { owner: to } });
+      req.session.notice = `Caseload handed over from ${from} to ${to}.`;
+    } catch (e) {
+      logError("transfer", e);
+      req.session.notice = `Hand over failed: ${e?.message || e}`;
+    }
+
+    res.redirect("/");
+  });
+
+  return router;
+};
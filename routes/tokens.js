@@ -0,0 +1,58 @@
+// The signed-in user's API tokens.
+const express = require("express");
+const { logError } = require("../lib/log");
+const { generateApiToken, hashApiToken } = require("../lib/passwords");
+const { readError, render, takeNotice } = require("./helpers");
+
+module.exports = function tokenRoutes({ storage, services }) {
+  const router = express.Router();
+
+  router.get("/tokens", async (req, res) => {
+    let tokens = [];
+    let errorBanner = "";
+    try {
+      tokens = (await storage.listApiTokens()).filter((t) => t.username === req.viewer.username);
+    } catch (e) {
+      errorBanner = readError("Token read error", e);
+    }
+
+    // Shown once, right after it's created
+    const newToken = req.session.newToken || "";
+    delete req.session.newToken;
+
+    render(req, res, "tokens", { errorBanner, notice: takeNotice(req), tokens, newToken });
+  });
+
+  router.post("/tokens", async (req, res) => {
+    try {
+      const token = generateApiToken();
+      const saved = await storage.addApiToken({
+        username: req.viewer.username,
+        label: (req.body.label || "").trim().slice(0, 80),
+        tokenHash: hashApiToken(token),
+      });
+      await services.audit(req.viewer, "token.create", { after: { id: saved.id, label: saved.label } });
+      req.session.newToken = token;
+    } catch (e) {
+      logError("tokens", e);
+      req.session.notice = `Save failed: ${e?.message || e}`;
+    }
+    res.redirect("/tokens");
+  });
+
+  router.post("/tokens/:id/delete", async (req, res) => {
+    try {
+      const token = (await storage.listApiTokens()).find((t) => t.id === req.params.id);
+      if (token && token.username === req.viewer.username) {
+        await storage.deleteApiToken(token.id);
+        await services.audit(req.viewer, "token.revoke", { before: { id: token.id, label: token.label } });
+      }
+    } catch (e) {
+      logError("tokens", e);
+      req.session.notice = `Revoke failed: ${e?.message || e}`;
+    }
+    res.redirect("/tokens");
+  });
+
+  return router;
+};
@@ -0,0 +1,109 @@
+// Imports the weeks saved by the SQLite versions from before owners into the
+// configured storage (Sheets unless STORAGE_BACKEND says otherwise):
+//
+//   npm run migrate-legacy -- [--dry-run] [--owner <username>] [--student <name>] [file ...]
+//
+// Files default to checkins.db and checkins_old.db and are only read. Their
+// students go to --owner (default SQLITE_LEGACY_OWNER); checkins_old.db's
+// weeks name no student, so they go to --student. A week already in history
+// with the same count is skipped, one with a different count is reported as a
+// conflict and left alone. --dry-run prints the same report without writing.
+require("dotenv").config();
+const path = require("path");
+const { readLegacyFile } = require("../storage/legacy");
+const { planLegacyImport } = require("../domain/legacy");
+
+const DEFAULT_FILES = ["checkins.db", "checkins_old.db"];
+const STATUS_LABELS = { import: "Import", conflict: "Conflict", skip: "Skip" };
+
+function usage() {
+  console.error("Usage: npm run migrate-legacy -- [--dry-run] [--owner <username>] [--student <name>] [file ...]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: false, owner: process.env.SQLITE_LEGACY_OWNER || "", student: "", files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--owner" || arg === "--student") {
+      if (i + 1 >= argv.length) usage();
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith("--")) usage();
+    else options.files.push(arg);
+  }
+  if (options.files.length === 0) options.files = DEFAULT_FILES;
+  return options;
+}
+
+// With STORAGE_BACKEND=sqlite, an older setup may have pointed SQLITE_PATH at
+// checkins.db itself; the app upgraded it in place, so there's nothing to import
+function isAppDatabase(file) {
+  return (
+    (process.env.STORAGE_BACKEND || "").trim().toLowerCase() === "sqlite" &&
+    path.resolve(file) === path.resolve(process.env.SQLITE_PATH || path.join("data", "app.db"))
+  );
+}
+
+function printReport(report) {
+  for (const status of ["import", "conflict", "skip"]) {
+    const rows = report.filter((r) => r.status === status);
+    if (rows.length === 0) continue;
+    console.log(`\n${STATUS_LABELS[status]} (${rows.length}):`);
+    for (const r of rows) {
+      const fields = [r.source, r.owner || "-", r.student || "-", r.weekEnding || "-", r.checkins];
+      console.log(`  ${fields.join("\t")}${r.reason ? `\t${r.reason}` : ""}`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const sources = [];
+  for (const file of options.files) {
+    if (isAppDatabase(file)) {
+      console.log(`Skipping ${file}: it is the app's own SQLite database, already upgraded in place.`);
+      continue;
+    }
+    sources.push(readLegacyFile(file));
+  }
+
+  // Only now: with the sqlite backend, loading storage opens (and upgrades) SQLITE_PATH
+  const storage = require("../storage");
+  const report = planLegacyImport(sources, await storage.readHistoryRows(), options);
+  printReport(report);
+
+  const imports = report.filter((r) => r.status === "import");
+  const count = (status) => report.filter((r) => r.status === status).length;
+  const summary = `${imports.length} week(s), skipped ${count("skip")}, ${count("conflict")} conflict(s).`;
+  if (options.dryRun) {
+    console.log(`\nDry run: would import ${summary}`);
+    return;
+  }
+
+  const studentIds = new Map();
+  for (const r of imports) {
+    const key = `${r.owner}||${r.student.toLowerCase()}`;
+    if (!studentIds.has(key)) studentIds.set(key, (await storage.ensureStudent(r.owner, r.student)).id);
+    await storage.saveWeekToHistory(studentIds.get(key), r.weekEnding, r.checkins, r.teacher, {});
+  }
+  if (imports.length > 0) {
+    await storage.addAuditEntry({
+      username: "cli",
+      action: "history.import",
+      after: {
+        files: sources.map((s) => s.file).join(", "),
+        imported: imports.length,
+        skipped: count("skip"),
+        conflicts: count("conflict"),
+      },
+    });
+  }
+  console.log(`\nImported ${summary}`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
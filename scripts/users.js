@@ -0,0 +1,138 @@
+// Manage login accounts:
+//
+//   npm run users -- list
+//   npm run users -- add <username> [password]
+//   npm run users -- reset <username> [password]
+//   npm run users -- disable <username>
+//   npm run users -- enable <username>
+//   npm run users -- role <username> <admin|counselor|teacher>
+//   npm run users -- token <username> [label]
+//   npm run users -- email <username> <address|none>
+//
+// add/reset print a generated password when none is given; token prints a new
+// API token for /api/v1 (shown once, only its hash is kept). Accounts live in
+// whichever STORAGE_BACKEND the app is configured for; every change is written
+// to the audit log as made by "cli".
+require("dotenv").config();
+const storage = require("../storage");
+const { normalizeOwner } = require("../storage/common");
+const {
+  hashPassword,
+  generatePassword,
+  generateApiToken,
+  hashApiToken,
+} = require("../lib/passwords");
+
+const { isEmail } = require("../lib/mailer");
+
+const ROLES = ["admin", "counselor", "teacher"];
+
+function usage() {
+  console.error("Usage: npm run users -- <list|add|reset|disable|enable|role|token|email> [username] [password|role|label|address]");
+  process.exit(1);
+}
+
+function audit(action, username, details = {}) {
+  return storage.addAuditEntry({ username: "cli", action, after: { username, ...details } });
+}
+
+async function requireUser(username) {
+  const user = await storage.getUser(username);
+  if (!user) {
+    console.error(`No such user: ${username}`);
+    process.exit(1);
+  }
+  return user;
+}
+
+async function main() {
+  const [command, rawUsername, extra] = process.argv.slice(2);
+  const username = normalizeOwner(rawUsername);
+
+  if (command === "list") {
+    const users = await storage.listUsers();
+    if (users.length === 0) console.log("(no users)");
+    for (const u of users) {
+      const locked = u.lockedUntil > Date.now() ? " (locked)" : "";
+      console.log(`${u.username}\t${u.role}\t${u.disabled ? "disabled" : "active"}${locked}`);
+    }
+    return;
+  }
+
+  if (!username) usage();
+
+  if (command === "add" || command === "reset") {
+    if (command === "add" && (await storage.getUser(username))) {
+      console.error(`User already exists: ${username} (use reset)`);
+      process.exit(1);
+    }
+    const existing = command === "reset" ? await requireUser(username) : {};
+    const password = extra || generatePassword();
+    await storage.saveUser({
+      ...existing,
+      username,
+      passwordHash: await hashPassword(password),
+      failedAttempts: 0,
+      lockedUntil: 0,
+    });
+    await audit(command === "add" ? "user.add" : "user.reset", username);
+    console.log(`${command === "add" ? "Added" : "Reset"} ${username}`);
+    if (!extra) console.log(`Password: ${password}`);
+    return;
+  }
+
+  if (command === "disable" || command === "enable") {
+    const user = await requireUser(username);
+    await storage.saveUser({
+      ...user,
+      disabled: command === "disable",
+      failedAttempts: 0,
+      lockedUntil: 0,
+    });
+    await audit(command === "disable" ? "user.disable" : "user.enable", username);
+    console.log(`${command === "disable" ? "Disabled" : "Enabled"} ${username}`);
+    return;
+  }
+
+  if (command === "role") {
+    const role = (extra || "").trim().toLowerCase();
+    if (!ROLES.includes(role)) {
+      console.error(`Role must be one of: ${ROLES.join(", ")}`);
+      process.exit(1);
+    }
+    const user = await requireUser(username);
+    await storage.saveUser({ ...user, role });
+    await audit("user.role", username, { role });
+    console.log(`${username} is now ${role}`);
+    return;
+  }
+
+  if (command === "token") {
+    await requireUser(username);
+    const token = generateApiToken();
+    const saved = await storage.addApiToken({ username, label: extra || "cli", tokenHash: hashApiToken(token) });
+    await audit("token.create", username, { id: saved.id, label: saved.label });
+    console.log(`API token for ${username}: ${token}`);
+    return;
+  }
+
+  if (command === "email") {
+    const user = await requireUser(username);
+    const email = extra === "none" ? "" : (extra || "").trim();
+    if (extra !== "none" && !isEmail(email)) {
+      console.error("Give an email address, or none to clear it");
+      process.exit(1);
+    }
+    await storage.saveUser({ ...user, email, digest: email ? user.digest : false });
+    await audit("user.settings", username, { email });
+    console.log(email ? `${username} <${email}>` : `Cleared ${username}'s email`);
+    return;
+  }
+
+  usage();
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,276 @@
+// What /add, /clearweek, /endweek, /addstudent and restoring or deleting
+// students do, shared by the HTML routes and the JSON API. Each takes the
+// viewer and plain input and throws an ActionError when the request can't be
+// carried out.
+const { normalizeOwner, normalizeStudentName } = require("../storage/common");
+const { CHECKIN_CATEGORIES, checkinFields } = require("../domain/checkins");
+const { mergeTeachers } = require("../domain/history");
+const { PLAN_LIMIT, parsePlanNumber, planFor } = require("../domain/plans");
+const {
+  checkinDays,
+  checkinTimeFor,
+  currentWeekEnding,
+  isDateISO,
+  weekCheckinsFor,
+} = require("../domain/weeks");
+const { ActionError } = require("./errors");
+
+module.exports = function actionServices(storage, services) {
+  // The student named by input.studentId
+  async function actionStudent(input) {
+    const student = await services.findStudent(input.studentId);
+    if (!student) {
+      throw new ActionError(404, "not_found", "No such student.", { studentId: "unknown" });
+    }
+    return student;
+  }
+
+  async function requireAccess(viewer, student, level) {
+    const access = await services.loadAccess(viewer, student);
+    if (!access[level]) {
+      throw new ActionError(403, "forbidden", "You don't have access to that student or action.");
+    }
+    return access;
+  }
+
+  // input: { owner?, student, grade?, externalId? }; owner defaults to the viewer
+  async function actionAddStudent(viewer, input) {
+    const name = normalizeStudentName(String(input.student ?? ""));
+    if (!name) {
+      throw new ActionError(400, "validation", "Student name is required.", {
+        student: "required",
+      });
+    }
+    const owner = normalizeOwner(String(input.owner ?? "")) || viewer.username;
+    // Students can only be added to your own caseload (admins: anyone's)
+    if (owner !== viewer.username && viewer.role !== "admin") {
+      throw new ActionError(403, "forbidden", "You can only add students to your own caseload.");
+    }
+    const existing = (await storage.readStudentsList()).find(
+      (s) => s.owner === owner && s.student.toLowerCase() === name.toLowerCase()
+    );
+    if (existing) return existing;
+    const student = await storage.ensureStudent(owner, name, {
+      grade: String(input.grade ?? ""),
+      externalId: String(input.externalId ?? ""),
+    });
+    await services.audit(viewer, "student.add", {
+      student,
+      after: { owner, student: student.student, grade: student.grade, externalId: student.externalId },
+    });
+    return student;
+  }
+
+  async function actionAddCheckin(viewer, input) {
+    const student = await actionStudent(input);
+    await requireAccess(viewer, student, "checkin");
+    // A phone replaying its offline queue sends each check-in's own id; one
+    // whose first post got through but whose answer was lost is only counted once
+    const clientId = String(input.clientId ?? "").trim().slice(0, 100);
+    const checkins = await storage.readCheckins();
+    const seen = clientId && checkins.find((c) => c.clientId === clientId && c.studentId === student.id);
+    if (seen) return seen;
+    if (student.archived) {
+      throw new ActionError(409, "archived", `${student.student} is archived.`);
+    }
+
+    const category = String(input.category ?? "").trim();
+    if (category && !CHECKIN_CATEGORIES.includes(category)) {
+      throw new ActionError(400, "validation", `Category must be one of: ${CHECKIN_CATEGORIES.join(", ")}.`, {
+        category: "invalid",
+      });
+    }
+    // A day earlier this week for one entered late; blank is now. A day in a
+    // week that's already been saved (say a check-in queued offline over the
+    // rollover) is a conflict rather than a bad date.
+    const date = String(input.date ?? "").trim();
+    const days = checkinDays();
+    if (date && !(isDateISO(date) && date <= days.max)) {
+      throw new ActionError(400, "validation", `Date must be between ${days.min} and ${days.max}.`, {
+        date: "invalid",
+      });
+    }
+    if (date && date < days.min) {
+      throw new ActionError(409, "week_closed", `The week of ${date} has already been saved to history.`, {
+        date: "week_closed",
+      });
+    }
+    const week = weekCheckinsFor(checkins, student.id, currentWeekEnding());
+    const plan = await services.weekPlanFor(student, currentWeekEnding());
+    if (week.length >= plan.maxCheckins) {
+      throw new ActionError(409, "week_full", `${student.student} already has ${plan.maxCheckins} check-ins this week.`);
+    }
+    const checkin = await storage.addCheckin({
+      studentId: student.id,
+      enteredBy: viewer.username,
+      ...(date ? { occurredAt: checkinTimeFor(date) } : {}),
+      ...checkinFields({
+        teacher: String(input.teacher ?? ""),
+        category,
+        note: String(input.note ?? ""),
+      }),
+      clientId,
+    });
+    await services.audit(viewer, "checkin.add", { student, after: checkin });
+    return checkin;
+  }
+
+  // One check-in with the same fields for each of input.studentIds (a group
+  // session). Each is added or refused on its own:
+  // -> { added: [{ student, checkin }], refused: [{ studentId, student?, error }] }
+  async function actionAddCheckins(viewer, input) {
+    const ids = Array.from(new Set([].concat(input.studentIds ?? []).map(String).filter(Boolean)));
+    if (ids.length === 0) {
+      throw new ActionError(400, "validation", "Pick at least one student.", { studentIds: "required" });
+    }
+    const added = [];
+    const refused = [];
+    for (const studentId of ids) {
+      const student = await services.findStudent(studentId);
+      try {
+        added.push({ student, checkin: await actionAddCheckin(viewer, { ...input, studentId }) });
+      } catch (e) {
+        if (!(e instanceof ActionError)) throw e;
+        refused.push({ studentId, student, error: e });
+      }
+    }
+    return { added, refused };
+  }
+
+  // Restores each of input.studentIds the viewer manages, e.g. the returning
+  // students of a new school year. Like actionAddCheckins:
+  // -> { restored: [student], refused: [{ studentId, student?, error }] }
+  async function actionRestoreStudents(viewer, input) {
+    const ids = Array.from(new Set([].concat(input.studentIds ?? []).map(String).filter(Boolean)));
+    if (ids.length === 0) {
+      throw new ActionError(400, "validation", "Pick at least one student.", { studentIds: "required" });
+    }
+    const restored = [];
+    const refused = [];
+    for (const studentId of ids) {
+      let student = null;
+      try {
+        student = await actionStudent({ studentId });
+        await requireAccess(viewer, student, "manage");
+      } catch (e) {
+        if (!(e instanceof ActionError)) throw e;
+        refused.push({ studentId, student, error: e });
+        continue;
+      }
+      if (!student.archived) continue;
+      await storage.setStudentArchived(student.id, false);
+      await services.audit(viewer, "student.restore", { student });
+      restored.push(student);
+    }
+    return { restored, refused };
+  }
+
+  // Soft delete: the student and their history drop out everywhere but stay
+  // stored, so the audit log can undo it and re-adding the name brings them back
+  async function actionDeleteStudent(viewer, input) {
+    const student = await actionStudent(input);
+    await requireAccess(viewer, student, "manage");
+    await storage.setStudentDeleted(student.id, true);
+    await services.audit(viewer, "student.delete", { student, before: student });
+    return student;
+  }
+
+  // input: { studentId } of a deleted student
+  async function actionUndeleteStudent(viewer, input) {
+    const id = String(input.studentId ?? "");
+    const student = (await storage.readDeletedStudents()).find((s) => s.id === id);
+    if (!student) {
+      throw new ActionError(404, "not_found", "No such deleted student.", { studentId: "unknown" });
+    }
+    await requireAccess(viewer, student, "manage");
+    await storage.setStudentDeleted(student.id, false);
+    await services.audit(viewer, "student.undelete", { student });
+    return student;
+  }
+
+  // Deletes this week's check-ins; returns how many there were
+  async function actionClearWeek(viewer, input) {
+    const student = await actionStudent(input);
+    await requireAccess(viewer, student, "manage");
+
+    const weekEnding = currentWeekEnding();
+    const week = weekCheckinsFor(await storage.readCheckins(), student.id, weekEnding);
+    await storage.deleteCheckins(week.map((c) => c.id));
+    await services.resaveSavedWeek(student.id, weekEnding);
+    await services.audit(viewer, "week.clear", { student, before: { weekEnding, checkins: week } });
+    return { weekEnding, deleted: week.length };
+  }
+
+  // Saves the current week early; the rollover would otherwise do it at the cutoff
+  async function actionEndWeek(viewer, input) {
+    const student = await actionStudent(input);
+    await requireAccess(viewer, student, "manage");
+
+    const weekEnding = currentWeekEnding();
+    const [checkins, history] = await Promise.all([
+      storage.readCheckins(),
+      storage.readHistoryRows(),
+    ]);
+    const plan = await services.weekPlanFor(student, weekEnding);
+    await services.saveStudentWeek(student.id, weekEnding, checkins, history, plan, { force: true });
+    const isWeek = (r) => r.studentId === student.id && r.weekEnding === weekEnding;
+    const row = (await storage.readHistoryRows()).find(isWeek);
+    await services.audit(viewer, "week.end", { student, before: history.find(isWeek) || null, after: row || null });
+    return row;
+  }
+
+  // input: { studentId, goal, maxCheckins }; blank ones follow the school
+  // default. Returns the plan the student ends up on.
+  async function actionSetPlan(viewer, input) {
+    const student = await actionStudent(input);
+    await requireAccess(viewer, student, "manage");
+
+    const goal = parsePlanNumber(input.goal);
+    const maxCheckins = parsePlanNumber(input.maxCheckins);
+    const fields = {};
+    if (Number.isNaN(goal)) fields.goal = "invalid";
+    if (Number.isNaN(maxCheckins)) fields.maxCheckins = "invalid";
+    if (Object.keys(fields).length > 0) {
+      throw new ActionError(400, "validation", `Goal and max must be whole numbers from 1 to ${PLAN_LIMIT}.`, fields);
+    }
+    if (goal && maxCheckins && maxCheckins < goal) {
+      throw new ActionError(400, "validation", "Max can't be below the goal.", {
+        maxCheckins: "below_goal",
+      });
+    }
+    await storage.setStudentPlan(student.id, { goal, maxCheckins });
+    await services.audit(viewer, "student.plan", {
+      student,
+      before: { goal: student.goal, maxCheckins: student.maxCheckins },
+      after: { goal, maxCheckins },
+    });
+    return planFor({ ...student, goal, maxCheckins }, await services.schoolPlan());
+  }
+
+  // Keeps one row of a duplicate group (with every teacher named) and deletes the rest
+  async function mergeHistoryGroup(viewer, rows, keepId) {
+    const keep = rows.find((r) => r.id === keepId);
+    const kept = await storage.updateHistoryRow(keep.id, {
+      teacher: mergeTeachers(rows.map((r) => r.teacher)),
+    });
+    await storage.deleteHistoryRows(rows.filter((r) => r !== keep).map((r) => r.id));
+    await services.audit(viewer, "history.merge", {
+      student: { id: keep.studentId, student: keep.student },
+      before: rows,
+      after: kept,
+    });
+  }
+
+  return {
+    actionAddStudent,
+    actionAddCheckin,
+    actionAddCheckins,
+    actionRestoreStudents,
+    actionDeleteStudent,
+    actionUndeleteStudent,
+    actionClearWeek,
+    actionEndWeek,
+    actionSetPlan,
+    mergeHistoryGroup,
+  };
+};
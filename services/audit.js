@@ -0,0 +1,26 @@
+// Every change is appended to the audit log with who made it, when, the
+// student (if any) and the values before and after.
+const { logError } = require("../lib/log");
+
+module.exports = function auditServices(storage) {
+  // Appends an entry; viewer null means the app itself (the rollover). The
+  // change has already been made by the time this runs, so a failure is logged
+  // rather than shown to the user.
+  async function audit(viewer, action, { student = null, before = null, after = null, undoOf = "" } = {}) {
+    try {
+      await storage.addAuditEntry({
+        username: viewer ? viewer.username : "system",
+        action,
+        studentId: student ? student.id : "",
+        student: student ? student.student : "",
+        before,
+        after,
+        undoOf,
+      });
+    } catch (e) {
+      logError("audit", e, { action });
+    }
+  }
+
+  return { audit };
+};
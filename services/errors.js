@@ -0,0 +1,12 @@
+// Thrown by the actions when a request can't be carried out. Pages turn it
+// into a notice (or the 403 page); the API into { error: { code, message, fields } }.
+class ActionError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+module.exports = { ActionError };
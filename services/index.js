@@ -0,0 +1,22 @@
+// Everything the routes do that reads or writes storage, built around one
+// backend so the app (and the tests) can hand in whichever they like.
+// Each part gets the shared object and calls the others through it, so the
+// order they're assembled in doesn't matter.
+const { ActionError } = require("./errors");
+
+const PARTS = [
+  require("./school"),
+  require("./audit"),
+  require("./actions"),
+  require("./undo"),
+  require("./rollover"),
+  require("./years"),
+];
+
+function createServices(storage) {
+  const services = { storage };
+  for (const part of PARTS) Object.assign(services, part(storage, services));
+  return services;
+}
+
+module.exports = { createServices, ActionError };
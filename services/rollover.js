@@ -0,0 +1,206 @@
+// The weekly rollover and the digests that follow it.
+const { DIGEST_DAY, DIGEST_MINUTES, ROLLOVER_DAY } = require("../lib/config");
+const { logError, logInfo } = require("../lib/log");
+const { mailEnabled, sendMail } = require("../lib/mailer");
+const { appLink, renderView } = require("../lib/views");
+const { digestItems, digestLine } = require("../domain/history");
+const { planFor, rowPlan } = require("../domain/plans");
+const {
+  addDaysISO,
+  checkinWeek,
+  prorate,
+  schoolWeek,
+  weekCheckinsFor,
+  weekEndingFor,
+  zonedParts,
+} = require("../domain/weeks");
+
+module.exports = function rolloverServices(storage, services) {
+  // Writes one student's week to history from its check-ins and marks them
+  // saved. A week that already has a row is only rewritten when check-ins were
+  // added since (or with `force`), so running this twice never duplicates it.
+  // plan: the student's goal and max now; a week saved before keeps the one it
+  // was first recorded with
+  async function saveStudentWeek(studentId, weekEnding, checkins, history, plan, { force = false } = {}) {
+    const week = weekCheckinsFor(checkins, studentId, weekEnding);
+    const open = week.filter((c) => c.status === "open");
+    const saved = history.find((r) => r.studentId === studentId && r.weekEnding === weekEnding);
+    if (saved && open.length === 0 && !force) return;
+    const weekPlan = saved ? rowPlan(saved) : plan;
+
+    const teacherSummary = week
+      .map((c) => c.teacher.trim())
+      .filter(Boolean)
+      .join("; ");
+    await storage.saveWeekToHistory(
+      studentId,
+      weekEnding,
+      Math.min(week.length, weekPlan.maxCheckins),
+      teacherSummary,
+      weekPlan
+    );
+    if (open.length > 0) {
+      await storage.setCheckinStatus(
+        open.map((c) => c.id),
+        "saved"
+      );
+    }
+  }
+
+  // After editing a week that was already saved early, bring its row up to date
+  async function resaveSavedWeek(studentId, weekEnding) {
+    const [checkins, history] = await Promise.all([
+      storage.readCheckins(),
+      storage.readHistoryRows(),
+    ]);
+    const saved = history.find((r) => r.studentId === studentId && r.weekEnding === weekEnding);
+    if (saved) {
+      await saveStudentWeek(studentId, weekEnding, checkins, history, rowPlan(saved), { force: true });
+    }
+  }
+
+  // Closes every week whose cutoff has passed: each active student gets a
+  // history row (zero if nothing was logged, nothing at all over a break) and
+  // stray open check-ins from earlier weeks are saved too. The last week closed is kept in settings so
+  // restarts and other instances don't redo it.
+  async function runRollover(now = new Date()) {
+    const lastClosed = addDaysISO(weekEndingFor(now), -7);
+    const done = await storage.getSetting("last_rollover_week");
+    if (done && done >= lastClosed) return;
+
+    const [studentsRows, historyAll, checkins] = await Promise.all([
+      storage.readStudentsList(),
+      storage.readHistoryRows(),
+      storage.readCheckins(),
+    ]);
+
+    const [school, closures] = await Promise.all([services.schoolPlan(), services.schoolClosures()]);
+    const weeks = [];
+    for (let w = done ? addDaysISO(done, 7) : lastClosed; w <= lastClosed; w = addDaysISO(w, 7)) {
+      if (schoolWeek(w, closures).days > 0) weeks.push(w);
+    }
+
+    const targets = new Map(); // studentId||week -> { studentId, weekEnding }
+    const addTarget = (studentId, weekEnding) => {
+      const key = `${studentId}||${weekEnding}`;
+      if (!targets.has(key)) targets.set(key, { studentId, weekEnding });
+    };
+    for (const s of studentsRows.filter((s) => !s.archived)) {
+      for (const w of weeks) addTarget(s.id, w);
+    }
+    for (const c of checkins) {
+      const w = checkinWeek(c);
+      if (c.status === "open" && w && w <= lastClosed) addTarget(c.studentId, w);
+    }
+
+    const byId = new Map(studentsRows.map((s) => [s.id, s]));
+    for (const t of targets.values()) {
+      const week = schoolWeek(t.weekEnding, closures);
+      const plan = prorate(planFor(byId.get(t.studentId) || {}, school), week);
+      await saveStudentWeek(t.studentId, t.weekEnding, checkins, historyAll, plan);
+    }
+    await storage.setSetting("last_rollover_week", lastClosed);
+    await services.audit(null, "week.rollover", { after: { weekEnding: lastClosed, studentWeeks: targets.size } });
+    logInfo("rollover", `closed week ending ${lastClosed} (${targets.size} student-weeks)`);
+  }
+
+  async function digestData() {
+    const [studentsRows, historyAll, checkins, school, closures] = await Promise.all([
+      storage.readStudentsList(),
+      storage.readHistoryRows(),
+      storage.readCheckins(),
+      services.schoolPlan(),
+      services.schoolClosures(),
+    ]);
+    return { studentsRows, historyAll, checkins, school, closures };
+  }
+
+  // One owner's digest email for the week ending `weekEnding`:
+  // { subject, text, html }, or null if they have no students
+  async function ownerDigest(username, weekEnding, data) {
+    const items = digestItems(username, weekEnding, data);
+    if (!items) return null;
+    const missed = items.filter((i) => i.missed);
+    const met = items.filter((i) => !i.missed);
+    const link = appLink("/dashboard");
+
+    const text = [
+      `Check-ins for the week ending ${weekEnding}`,
+      "",
+      `Below goal (${missed.length}):`,
+      ...(missed.length ? missed.map((i) => `- ${digestLine(i)}`) : ["- nobody"]),
+      "",
+      `Met goal (${met.length}):`,
+      ...met.map((i) => `- ${digestLine(i)}`),
+      ...(link ? ["", `Dashboard: ${link}`] : []),
+    ].join("\n");
+
+    return {
+      subject: `Check-ins, week ending ${weekEnding}: ${missed.length} of ${items.length} below goal`,
+      text,
+      html: await renderView("email/digest", { weekEnding, missed, met, link, digestLine }),
+    };
+  }
+
+  // Emails each opted-in owner a digest of the week just closed, once the
+  // rollover has saved it and DIGEST_DAY/DIGEST_TIME has come. Break weeks get
+  // none. Like the rollover, the last week sent is kept in settings.
+  async function runDigests(now = new Date()) {
+    if (!mailEnabled()) return;
+    const weekEnding = addDaysISO(weekEndingFor(now), -7);
+    const done = await storage.getSetting("last_digest_week");
+    if (done && done >= weekEnding) return;
+    const rolled = await storage.getSetting("last_rollover_week");
+    if (!rolled || rolled < weekEnding) return;
+
+    const sendOn = addDaysISO(weekEnding, (DIGEST_DAY - ROLLOVER_DAY + 7) % 7 || 7);
+    const p = zonedParts(now);
+    if (p.dateISO < sendOn || (p.dateISO === sendOn && p.minutes < DIGEST_MINUTES)) return;
+
+    const data = await digestData();
+    let sent = 0;
+    if (schoolWeek(weekEnding, data.closures).days > 0) {
+      const users = (await storage.listUsers()).filter((u) => u.digest && u.email && !u.disabled);
+      for (const u of users) {
+        const digest = await ownerDigest(u.username, weekEnding, data);
+        if (!digest) continue;
+        try {
+          await sendMail({ to: u.email, ...digest });
+          sent += 1;
+        } catch (e) {
+          logError("digest", e, { username: u.username });
+        }
+      }
+    }
+    await storage.setSetting("last_digest_week", weekEnding);
+    logInfo("digest", `week ending ${weekEnding}: ${sent} digest${sent === 1 ? "" : "s"} sent`);
+  }
+
+  let rolloverRunning = false;
+  async function rolloverTick() {
+    if (rolloverRunning) return;
+    rolloverRunning = true;
+    try {
+      await runRollover();
+    } catch (e) {
+      logError("rollover", e);
+    }
+    try {
+      await runDigests();
+    } catch (e) {
+      logError("digest", e);
+    } finally {
+      rolloverRunning = false;
+    }
+  }
+
+  return {
+    saveStudentWeek,
+    resaveSavedWeek,
+    runRollover,
+    digestData,
+    ownerDigest,
+    runDigests,
+    rolloverTick,
+  };
+};
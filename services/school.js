@@ -0,0 +1,59 @@
+// School-wide settings, students by id and the viewer's access to them.
+const { accessFor } = require("../domain/access");
+const { parseSchoolPlan, planFor } = require("../domain/plans");
+const { parseTeacherDirectory } = require("../domain/teachers");
+const { parseClosures, prorate, schoolWeek } = require("../domain/weeks");
+
+module.exports = function schoolServices(storage) {
+  async function schoolPlan() {
+    return parseSchoolPlan(await storage.getSetting("school_plan"));
+  }
+
+  async function schoolClosures() {
+    return parseClosures(await storage.getSetting("school_closures"));
+  }
+
+  async function saveClosures(closures) {
+    await storage.setSetting(
+      "school_closures",
+      JSON.stringify(closures.map(({ id, start, end, label }) => ({ id, start, end, label })))
+    );
+  }
+
+  async function teacherDirectory() {
+    return parseTeacherDirectory(await storage.getSetting("teacher_directory"));
+  }
+
+  async function saveTeacherDirectory({ names, hidden }) {
+    await storage.setSetting("teacher_directory", JSON.stringify({ names, hidden }));
+  }
+
+  // The goal and max a student works to in the week ending `weekEnding`
+  async function weekPlanFor(student, weekEnding) {
+    const [school, closures] = await Promise.all([schoolPlan(), schoolClosures()]);
+    return prorate(planFor(student, school), schoolWeek(weekEnding, closures));
+  }
+
+  async function findStudent(studentId) {
+    const id = String(studentId ?? "");
+    return id ? (await storage.readStudentsList()).find((s) => s.id === id) || null : null;
+  }
+
+  async function loadAccess(viewer, student) {
+    if (viewer.role === "admin" || viewer.username === student.owner) {
+      return accessFor(viewer, student, []);
+    }
+    return accessFor(viewer, student, await storage.listShares());
+  }
+
+  return {
+    schoolPlan,
+    schoolClosures,
+    saveClosures,
+    teacherDirectory,
+    saveTeacherDirectory,
+    weekPlanFor,
+    findStudent,
+    loadAccess,
+  };
+};
@@ -0,0 +1,122 @@
+// Destructive changes can be undone from the audit log. Each undo puts back
+// what the entry's `before` recorded and refuses (409) when the data has moved
+// on since, rather than overwrite a later change.
+const { checkinWeek } = require("../domain/weeks");
+const { ActionError } = require("./errors");
+
+const CHECKIN_EDIT_FIELDS = ["teacher", "category", "note"];
+
+module.exports = function undoServices(storage, services) {
+  // Deleted check-ins from an audit entry go back with their old ids; weeks
+  // already saved are recounted
+  async function restoreAuditCheckins(checkins) {
+    const present = new Set((await storage.readCheckins()).map((c) => c.id));
+    const missing = checkins.filter((c) => !present.has(c.id));
+    if (missing.length === 0) {
+      throw new ActionError(409, "conflict", "Those check-ins are already back.");
+    }
+    const studentId = missing[0].studentId;
+    if (!(await services.findStudent(studentId))) {
+      throw new ActionError(409, "conflict", "That student no longer exists (merged into another?).");
+    }
+    await storage.restoreCheckins(missing);
+    for (const weekEnding of new Set(missing.map(checkinWeek))) {
+      await services.resaveSavedWeek(studentId, weekEnding);
+    }
+    return { restored: missing.length };
+  }
+
+  const AUDIT_UNDO = {
+    "week.clear": (entry) => restoreAuditCheckins(entry.before.checkins),
+    "checkin.delete": (entry) => restoreAuditCheckins([entry.before]),
+    "checkin.edit": async (entry) => {
+      const current = (await storage.readCheckins()).find((c) => c.id === entry.before.id);
+      if (!current) throw new ActionError(409, "conflict", "That check-in has since been deleted.");
+      if (CHECKIN_EDIT_FIELDS.some((k) => (current[k] || "") !== (entry.after?.[k] || ""))) {
+        throw new ActionError(409, "conflict", "That check-in was changed again since; edit it instead.");
+      }
+      const restored = Object.fromEntries(CHECKIN_EDIT_FIELDS.map((k) => [k, entry.before[k] || ""]));
+      await storage.updateCheckin(current.id, restored);
+      await services.resaveSavedWeek(current.studentId, checkinWeek(current));
+      return restored;
+    },
+    "history.edit": async (entry) => {
+      const current = (await storage.readHistoryRows()).find((r) => r.id === entry.before.id);
+      if (!current) throw new ActionError(409, "conflict", "That history row has since been deleted.");
+      if (current.checkins !== entry.after?.checkins || current.teacher !== (entry.after?.teacher || "")) {
+        throw new ActionError(409, "conflict", "That history row was changed again since; edit it instead.");
+      }
+      const restored = { checkins: entry.before.checkins, teacher: entry.before.teacher || "" };
+      await storage.updateHistoryRow(current.id, restored);
+      return restored;
+    },
+    "history.delete": async (entry) => {
+      const row = entry.before;
+      if (!(await services.findStudent(row.studentId))) {
+        throw new ActionError(409, "conflict", "That student no longer exists (merged into another?).");
+      }
+      const history = await storage.readHistoryRows();
+      if (history.some((r) => r.studentId === row.studentId && r.weekEnding === row.weekEnding)) {
+        throw new ActionError(409, "conflict", `The week ending ${row.weekEnding} was recorded again since; edit that row instead.`);
+      }
+      await storage.saveWeekToHistory(row.studentId, row.weekEnding, row.checkins, row.teacher, {
+        goal: row.goal,
+        maxCheckins: row.maxCheckins,
+      });
+      return { weekEnding: row.weekEnding, checkins: row.checkins };
+    },
+    "student.delete": async (entry) => {
+      const deleted = await storage.readDeletedStudents();
+      if (!deleted.some((s) => s.id === entry.before.id)) {
+        throw new ActionError(409, "conflict", "That student is already back.");
+      }
+      await storage.setStudentDeleted(entry.before.id, false);
+      return { id: entry.before.id, student: entry.before.student };
+    },
+    // Restores the students the new year archived (those still archived) and
+    // forgets the year, unless another has started since
+    "year.start": async (entry) => {
+      const years = await services.schoolYears();
+      const last = years[years.length - 1];
+      if (!last || last.start !== entry.after.start) {
+        throw new ActionError(409, "conflict", "Another school year has started since; restore students instead.");
+      }
+      const archived = new Set(entry.before.archivedIds || []);
+      const students = (await storage.readStudentsList()).filter((s) => s.archived && archived.has(s.id));
+      for (const s of students) await storage.setStudentArchived(s.id, false);
+      await services.saveSchoolYears(years.slice(0, -1));
+      return { label: last.label, restored: students.length };
+    },
+  };
+
+  // Whether the audit page offers Undo for an entry (`undone`: ids already undone)
+  function canUndo(entry, undone) {
+    if (!AUDIT_UNDO[entry.action] || !entry.before || undone.has(entry.id)) return false;
+    return entry.action !== "week.clear" || (entry.before.checkins || []).length > 0;
+  }
+
+  // input: { id } of the audit entry. Admins only; the undo is logged too.
+  async function actionUndo(viewer, input) {
+    if (viewer.role !== "admin") {
+      throw new ActionError(403, "forbidden", "Only admins can undo changes.");
+    }
+    const log = await storage.readAuditLog();
+    const entry = log.find((e) => e.id === String(input.id ?? ""));
+    if (!entry || !AUDIT_UNDO[entry.action]) {
+      throw new ActionError(404, "not_found", "That change can't be undone.");
+    }
+    if (!canUndo(entry, new Set(log.map((e) => e.undoOf).filter(Boolean)))) {
+      throw new ActionError(409, "conflict", "That change was already undone.");
+    }
+    const after = await AUDIT_UNDO[entry.action](entry);
+    await services.audit(viewer, "undo", {
+      student: entry.studentId ? { id: entry.studentId, student: entry.student } : null,
+      before: { action: entry.action, at: entry.at, username: entry.username },
+      after,
+      undoOf: entry.id,
+    });
+    return entry;
+  }
+
+  return { canUndo, actionUndo };
+};
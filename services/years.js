@@ -0,0 +1,46 @@
+// School years: a new one starts with everyone archived, and returning students
+// are restored from the Students page.
+const { parseSchoolYears, yearLabel } = require("../domain/years");
+const { zonedParts } = require("../domain/weeks");
+const { ActionError } = require("./errors");
+
+module.exports = function yearServices(storage, services) {
+  async function schoolYears() {
+    return parseSchoolYears(await storage.getSetting("school_years"));
+  }
+
+  async function saveSchoolYears(years) {
+    await storage.setSetting("school_years", JSON.stringify(years.map(({ label, start }) => ({ label, start }))));
+  }
+
+  // input: { label }. Admins only. Archives every active student (on every
+  // caseload) and starts the year today.
+  async function actionStartSchoolYear(viewer, input, now = new Date()) {
+    if (viewer.role !== "admin") {
+      throw new ActionError(403, "forbidden", "Only admins can start a new school year.");
+    }
+    const label = yearLabel(input.label);
+    if (!label) {
+      throw new ActionError(400, "validation", "Name the new school year.", { label: "required" });
+    }
+    const start = zonedParts(now).dateISO;
+    const years = await schoolYears();
+    if (years.some((y) => y.label.toLowerCase() === label.toLowerCase())) {
+      throw new ActionError(409, "conflict", `There's already a school year called ${label}.`);
+    }
+    if (years.length > 0 && years[years.length - 1].start >= start) {
+      throw new ActionError(409, "conflict", "A school year already started today.");
+    }
+
+    const active = (await storage.readStudentsList()).filter((s) => !s.archived);
+    for (const s of active) await storage.setStudentArchived(s.id, true);
+    await saveSchoolYears([...years, { label, start }]);
+    await services.audit(viewer, "year.start", {
+      before: { archivedIds: active.map((s) => s.id) },
+      after: { label, start, archived: active.length },
+    });
+    return { label, start, archived: active.length };
+  }
+
+  return { schoolYears, saveSchoolYears, actionStartSchoolYear };
+};
@@ -0,0 +1,19 @@
+// Normalization shared by the routes and every storage backend, so the same
+// owner/student strings key the same rows no matter where they are stored.
+
+function normalizeStudentName(s) {
+  return (s || "").trim();
+}
+
+function normalizeOwner(s) {
+  return (s || "").trim().toLowerCase();
+}
+
+function splitTeachers(s) {
+  return (s || "")
+    .split(";")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+module.exports = { normalizeStudentName, normalizeOwner, splitTeachers };
@@ -0,0 +1,66 @@
+// Storage backend selection. Every backend exposes the same async functions:
+//
+//   prepare()                (one-time setup at server start; reads and writes also work without it)
+//   ping()                   (throws unless the backend answers; the readiness check, so keep it cheap)
+//   readStudentsList()       -> [{ id, owner, student, grade, externalId, archived,
+//                                  goal, maxCheckins }]  (goal/max null = school default)
+//   ensureStudent(owner, name, { grade, externalId }?) -> student
+//   addStudents([{ owner, student, grade, externalId }]) -> number added
+//                            (skips students already on that owner's list; restores deleted ones)
+//   renameStudent(id, name)  (throws if the owner already has a student by that name)
+//   setStudentArchived(id, archived)
+//   setStudentDeleted(id, deleted)  (a deleted student keeps its row but drops out of every
+//                            read, history, check-ins and shares included; addStudents with
+//                            its name brings it back)
+//   readDeletedStudents()    -> [{ id, owner, student, grade, deletedAt }]  (newest first)
+//   setStudentPlan(id, { goal, maxCheckins })  (null clears back to the school default)
+//   mergeStudents(fromId, intoId)  (moves history, check-ins and shares, then removes fromId)
+//
+// Everything below refers to a student by id; the owner/student fields on the
+// rows returned are the student's current ones, so renames show everywhere.
+//
+//   readHistoryRows()        -> [{ id, studentId, owner, student, weekEnding, checkins, teacher,
+//                                  goal, maxCheckins }]  (goal/max null on rows saved before goals)
+//   saveWeekToHistory(studentId, weekEnding, count, teacherSummary, { goal, maxCheckins })
+//                            (replaces that student's row for the week if present)
+//   updateHistoryRow(id, { checkins, teacher, goal, maxCheckins }) -> row or null
+//   deleteHistoryRows(ids)
+//   readCheckins()           -> [{ id, studentId, owner, student, occurredAt, enteredBy, teacher,
+//                                  category, note, status: "open" | "saved", clientId }]
+//   addCheckin({ studentId, occurredAt?, enteredBy, teacher, category, note, clientId? }) -> check-in
+//                            (clientId: the id a phone gave a check-in it may send twice; "" if none)
+//   updateCheckin(id, changes) -> check-in or null
+//   restoreCheckins(checkins)  (puts deleted check-ins back with the same id and status)
+//   setCheckinStatus(ids, status)
+//   deleteCheckins(ids)
+//   listUsers()              -> [{ username, passwordHash, disabled, failedAttempts, lockedUntil, createdAt, role,
+//                                  email, digest }]
+//   getUser(username)        -> user or null
+//   saveUser(user)           (insert or replace by username)
+//   listApiTokens()          -> [{ id, username, label, tokenHash, createdAt }]
+//   addApiToken({ username, label, tokenHash }) -> token / deleteApiToken(id)
+//   listShares()             -> [{ studentId, owner, student, username }]
+//   addShare(studentId, username) / removeShare(studentId, username)
+//   transferCaseload(fromOwner, toOwner)  (throws if a student name would collide)
+//   getSetting(key) -> string or null / setSetting(key, value)
+//   readAuditLog()           -> [{ id, at, username, action, studentId, student, before, after, undoOf }]
+//                            (oldest first; before/after are whatever JSON the caller stored)
+//   addAuditEntry({ username, action, studentId?, student?, before?, after?, undoOf? }) -> entry
+//                            (append-only: entries are never changed or removed)
+//
+// STORAGE_BACKEND=sheets (default) talks to Google Sheets; STORAGE_BACKEND=sqlite
+// uses a local database file so the app runs without network or credentials.
+
+const BACKENDS = {
+  sheets: () => require("./sheets"),
+  sqlite: () => require("./sqlite"),
+};
+
+const backendName = (process.env.STORAGE_BACKEND || "sheets").trim().toLowerCase();
+if (!BACKENDS[backendName]) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backendName}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`
+  );
+}
+
+module.exports = BACKENDS[backendName]();
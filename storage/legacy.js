@@ -0,0 +1,47 @@
+// Reads the SQLite files from before owners and teacher names, read-only and
+// without upgrading them the way storage/sqlite.js upgrades its own file.
+// checkins.db had students, their weekly_history and a current_week counter
+// each; checkins_old.db tracked one unnamed student, so neither its history
+// nor its counter has a student_id.
+const Database = require("better-sqlite3");
+
+// -> { file, history: [{ legacyId, studentId, student, owner, weekEnding, checkins, teacher }],
+//      counters: [{ student, owner, checkins }] }  (counters only when above zero)
+function readLegacyFile(file) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const tables = new Set(
+      db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((t) => t.name)
+    );
+    const rowsOf = (table) => (tables.has(table) ? db.prepare(`SELECT * FROM ${table}`).all() : []);
+    const students = new Map(rowsOf("students").map((s) => [s.id, s]));
+
+    const history = rowsOf("weekly_history")
+      .sort((a, b) => a.id - b.id)
+      .map((r) => {
+        const s = students.get(r.student_id);
+        return {
+          legacyId: r.id,
+          studentId: r.student_id ?? null,
+          student: s?.name || "",
+          owner: s?.owner || "",
+          weekEnding: r.week_ending_friday,
+          checkins: r.checkins,
+          teacher: r.teacher || "",
+        };
+      });
+
+    const counters = rowsOf("current_week")
+      .filter((c) => c.checkins > 0)
+      .map((c) => {
+        const s = students.get(c.student_id);
+        return { student: s?.name || "", owner: s?.owner || "", checkins: c.checkins };
+      });
+
+    return { file, history, counters };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { readLegacyFile };
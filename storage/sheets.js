@@ -0,0 +1,1282 @@
+const crypto = require("crypto");
+const { google } = require("googleapis");
+const { logError, logWarn } = require("../lib/log");
+const { sheetsCalls, sheetsErrors } = require("../lib/metrics");
+const { normalizeOwner, normalizeStudentName, splitTeachers } = require("./common");
+
+// --- Google Sheets auth (service account) ---
+let serviceAccountCredentials = undefined;
+if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+  try {
+    serviceAccountCredentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
+  } catch (e) {
+    logError("sheets", e, { setting: "GOOGLE_SERVICE_ACCOUNT_JSON" });
+  }
+}
+
+const authConfig = {
+  scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+};
+if (serviceAccountCredentials) {
+  authConfig.credentials = serviceAccountCredentials;
+} else {
+  authConfig.keyFile =
+    process.env.GOOGLE_APPLICATION_CREDENTIALS || "service-account.json";
+}
+const auth = new google.auth.GoogleAuth(authConfig);
+// Retries are handled by callSheets below, which knows which calls are safe to repeat
+const sheets = google.sheets({ version: "v4", auth, retry: false });
+
+const SHEET_ID = process.env.SHEET_ID;
+const HISTORY_TAB = process.env.SHEET_TAB || "Sheet1";
+const STUDENTS_TAB = process.env.STUDENTS_TAB || "Students";
+// One row per check-in; the open ones make up each student's in-progress week
+const CHECKINS_TAB = process.env.CHECKINS_TAB || "Checkins";
+// Older per-student counter tab, converted into check-ins on first read
+const CURRENT_TAB = process.env.CURRENT_TAB || "CurrentWeek";
+// Hidden tab with login accounts (password hashes, lockout state)
+const USERS_TAB = process.env.USERS_TAB || "Users";
+// Hidden tab listing which students are shared with which other users
+const SHARES_TAB = process.env.SHARES_TAB || "Shares";
+// Hidden tab of API tokens (hashes only) and the user each acts as
+const TOKENS_TAB = process.env.TOKENS_TAB || "ApiTokens";
+// Hidden key/value tab for app state such as the last week rolled over
+const SETTINGS_TAB = process.env.SETTINGS_TAB || "Settings";
+// Hidden, append-only tab recording who changed what
+const AUDIT_TAB = process.env.AUDIT_TAB || "AuditLog";
+
+// Seconds a tab read is reused before going back to Sheets; writes made by this
+// process clear the tabs they touch straight away. 0 turns the cache off.
+// Another instance, or someone editing the sheet, can still shift rows under a
+// cached read, so row numbers about to be written to always come from a fresh
+// read (`fresh` below), never from the cache.
+const CACHE_MS = Math.max(0, Number(process.env.SHEETS_CACHE_SECONDS ?? 30) || 0) * 1000;
+const MAX_ATTEMPTS = 5;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function errorStatus(e) {
+  return Number(e?.response?.status ?? e?.status ?? e?.code) || 0;
+}
+
+// Every Sheets call goes through here. Quota (429) and server (5xx) errors are
+// retried with exponential backoff. Appends and row deletes may already have
+// gone through when a 5xx comes back, so those are only retried on 429.
+// op names the API method for the /metrics counts.
+async function callSheets(request, { op, idempotent = true, attempts = MAX_ATTEMPTS }) {
+  for (let attempt = 1; ; attempt++) {
+    sheetsCalls.inc({ op });
+    try {
+      return await request();
+    } catch (e) {
+      const status = errorStatus(e);
+      sheetsErrors.inc({ op, status });
+      const retry = status === 429 || (idempotent && status >= 500 && status < 600);
+      if (!retry || attempt >= attempts) throw e;
+      const delay = Math.round(1000 * 2 ** (attempt - 1) * (0.5 + Math.random()));
+      logWarn("sheets", `${status} from Google, retrying in ${delay}ms (attempt ${attempt + 1} of ${attempts})`, { op });
+      await sleep(delay);
+    }
+  }
+}
+
+// range -> { promise, expires }. Entries stay while the read is in flight so
+// concurrent callers share it.
+const readCache = new Map();
+
+function tabOf(rangeA1) {
+  return rangeA1.slice(0, rangeA1.lastIndexOf("!"));
+}
+
+function invalidateTabs(tabs) {
+  for (const range of readCache.keys()) {
+    if (tabs.has(tabOf(range))) readCache.delete(range);
+  }
+}
+
+// Reads asked for in the same tick (e.g. a page's Promise.all) go out as one
+// values.batchGet
+let pendingReads = null;
+function queueRead(rangeA1) {
+  if (!pendingReads) {
+    pendingReads = new Map();
+    setImmediate(flushReads);
+  }
+  return new Promise((resolve, reject) => {
+    if (!pendingReads.has(rangeA1)) pendingReads.set(rangeA1, []);
+    pendingReads.get(rangeA1).push({ resolve, reject });
+  });
+}
+
+async function flushReads() {
+  const batch = pendingReads;
+  pendingReads = null;
+  const ranges = [...batch.keys()];
+  try {
+    const resp = await callSheets(() => sheets.spreadsheets.values.batchGet({ spreadsheetId: SHEET_ID, ranges }), {
+      op: "values.batchGet",
+    });
+    const valueRanges = resp.data.valueRanges || [];
+    ranges.forEach((range, i) => {
+      for (const w of batch.get(range)) w.resolve(valueRanges[i]?.values || []);
+    });
+  } catch (e) {
+    for (const waiters of batch.values()) for (const w of waiters) w.reject(e);
+  }
+}
+
+// The rows returned are shared with other callers; don't modify them.
+// fresh: go to Sheets even if the tab is cached (the result is cached as usual)
+function getSheetValues(rangeA1, { fresh = false } = {}) {
+  const cached = readCache.get(rangeA1);
+  if (!fresh && cached && cached.expires > Date.now()) return cached.promise;
+
+  const entry = { expires: Infinity };
+  entry.promise = queueRead(rangeA1).then(
+    (values) => {
+      entry.expires = Date.now() + CACHE_MS;
+      return values;
+    },
+    (e) => {
+      if (readCache.get(rangeA1) === entry) readCache.delete(rangeA1);
+      throw e;
+    }
+  );
+  readCache.set(rangeA1, entry);
+  return entry.promise;
+}
+
+// Runs a write, then drops cached reads of the tabs it touched
+async function writeTabs(tabs, request, options) {
+  try {
+    return await callSheets(request, options);
+  } finally {
+    invalidateTabs(new Set(tabs));
+  }
+}
+
+// raw: store free text exactly as typed (a note starting with "=" stays text)
+async function updateSheetValues(rangeA1, values, { raw = false } = {}) {
+  await writeTabs([tabOf(rangeA1)], () =>
+    sheets.spreadsheets.values.update({
+      spreadsheetId: SHEET_ID,
+      range: rangeA1,
+      valueInputOption: raw ? "RAW" : "USER_ENTERED",
+      requestBody: { values },
+    }),
+    { op: "values.update" }
+  );
+}
+
+// data: [{ range, values }], possibly across several tabs
+async function batchUpdateValues(data, { raw = false } = {}) {
+  if (data.length === 0) return;
+  await writeTabs(
+    data.map((d) => tabOf(d.range)),
+    () =>
+      sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: SHEET_ID,
+        requestBody: { valueInputOption: raw ? "RAW" : "USER_ENTERED", data },
+      }),
+    { op: "values.batchUpdate" }
+  );
+}
+
+async function appendRow(rangeA1, row, { raw = false } = {}) {
+  await appendRows(rangeA1, [row], { raw });
+}
+
+async function appendRows(rangeA1, rows, { raw = false } = {}) {
+  await writeTabs(
+    [tabOf(rangeA1)],
+    () =>
+      sheets.spreadsheets.values.append({
+        spreadsheetId: SHEET_ID,
+        range: rangeA1,
+        valueInputOption: raw ? "RAW" : "USER_ENTERED",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: rows },
+      }),
+    { op: "values.append", idempotent: false }
+  );
+}
+
+// owner and student are kept for people reading the sheet; student_id is
+// what the app goes by. goal/max_checkins are blank on rows saved before
+// per-student goals.
+const HISTORY_HEADERS = [
+  "owner",
+  "student",
+  "week_ending",
+  "checkins",
+  "teacher",
+  "id",
+  "student_id",
+  "goal",
+  "max_checkins",
+];
+
+async function ensureHistoryHeaders() {
+  await ensureHeaders();
+  if (!historyIdsReady) {
+    historyIdsReady = assignHistoryIds().catch((e) => {
+      historyIdsReady = null;
+      throw e;
+    });
+  }
+  await historyIdsReady;
+}
+
+// Rows written before history could be edited have no id; give each one so
+// they can be edited, deleted and merged. Runs once per process.
+let historyIdsReady = null;
+async function assignHistoryIds() {
+  const values = await getSheetValues(`${HISTORY_TAB}!A:F`, { fresh: true });
+  const data = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = values[i] || [];
+    if ((r[0] || "").toString().trim() && !(r[5] || "").toString().trim()) {
+      data.push({ range: `${HISTORY_TAB}!F${i + 1}`, values: [[crypto.randomUUID()]] });
+    }
+  }
+  await batchUpdateValues(data, { raw: true });
+}
+
+// Blank goal/max_checkins: the student follows the school default. A deleted
+// student keeps its row, with the time it went in deleted_at.
+const STUDENT_HEADERS = [
+  "owner",
+  "student",
+  "grade",
+  "external_id",
+  "id",
+  "archived",
+  "goal",
+  "max_checkins",
+  "deleted_at",
+];
+
+// A goal or max cell: a positive whole number, or null when blank
+function planCell(value) {
+  const n = Number((value ?? "").toString().trim());
+  return (value ?? "").toString().trim() && Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// Tabs that point at a student, and the column holding its id
+const STUDENT_REFS = [
+  { tab: HISTORY_TAB, col: "G" },
+  { tab: CHECKINS_TAB, col: "J" },
+  { tab: SHARES_TAB, col: "D" },
+];
+
+// History, check-ins and shares used to name their student by owner and name.
+// Give every student an id and fill in student_id everywhere, adding a
+// Students row for names that only ever appeared in history. Runs once per
+// process; afterwards only rows typed in by hand can lack an id.
+let studentIdsReady = null;
+async function ensureStudentIds() {
+  if (!studentIdsReady) {
+    studentIdsReady = migrateStudentIds().catch((e) => {
+      studentIdsReady = null;
+      throw e;
+    });
+  }
+  await studentIdsReady;
+}
+
+async function migrateStudentIds() {
+  await ensureHeaders();
+  const data = [];
+  const ids = new Map(); // owner||lowercased name -> id
+  const students = await getSheetValues(`${STUDENTS_TAB}!A:I`, { fresh: true });
+  for (let i = 1; i < students.length; i++) {
+    const r = students[i] || [];
+    const owner = normalizeOwner((r[0] || "").toString());
+    const name = normalizeStudentName((r[1] || "").toString());
+    if (!owner || !name) continue;
+    let id = (r[4] || "").toString().trim();
+    if (!id) {
+      id = crypto.randomUUID();
+      data.push({ range: `${STUDENTS_TAB}!E${i + 1}`, values: [[id]] });
+    }
+    const key = `${owner}||${name.toLowerCase()}`;
+    if (!ids.has(key)) ids.set(key, id);
+  }
+
+  const added = [];
+  for (const { tab, col } of STUDENT_REFS) {
+    if (!(await tabExists(tab))) continue;
+    const idIndex = col.charCodeAt(0) - 65;
+    const values = await getSheetValues(`${tab}!A:${col}`, { fresh: true });
+    for (let i = 1; i < values.length; i++) {
+      const r = values[i] || [];
+      const owner = normalizeOwner((r[0] || "").toString());
+      const name = normalizeStudentName((r[1] || "").toString());
+      if (!owner || !name || (r[idIndex] || "").toString().trim()) continue;
+      const key = `${owner}||${name.toLowerCase()}`;
+      if (!ids.has(key)) {
+        ids.set(key, crypto.randomUUID());
+        added.push([owner, name, "", "", ids.get(key), "", "", "", ""]);
+      }
+      data.push({ range: `${tab}!${col}${i + 1}`, values: [[ids.get(key)]] });
+    }
+  }
+
+  if (added.length > 0) await appendRows(`${STUDENTS_TAB}!A:I`, added, { raw: true });
+  await batchUpdateValues(data, { raw: true });
+}
+
+// Every student row, deleted ones included (with deletedAt set). fresh: the
+// caller is about to write to one of the rowNumbers (see CACHE_MS).
+async function readStudentSheetRows({ fresh = false } = {}) {
+  await ensureStudentIds();
+  const values = await getSheetValues(`${STUDENTS_TAB}!A:I`, { fresh });
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = (values[i] || []).map((x) => (x || "").toString().trim());
+    const owner = normalizeOwner(r[0]);
+    const student = r[1] || "";
+    const id = r[4] || "";
+    if (!owner || !student || !id) continue;
+    rows.push({
+      rowNumber: i + 1,
+      student: {
+        id,
+        owner,
+        student,
+        grade: r[2] || "",
+        externalId: r[3] || "",
+        archived: (r[5] || "").toUpperCase() === "TRUE",
+        goal: planCell(r[6]),
+        maxCheckins: planCell(r[7]),
+      },
+      deletedAt: r[8] || "",
+    });
+  }
+  return rows;
+}
+
+// id -> student, for filling in the current owner and name on other rows.
+// Deleted students are left out, so their rows drop out everywhere too.
+async function studentsById() {
+  return new Map(
+    (await readStudentSheetRows()).filter((r) => !r.deletedAt).map((r) => [r.student.id, r.student])
+  );
+}
+
+// Point every row of `tab` at `student` (replacing student `fromId`) and
+// refresh its owner/name columns
+async function rewriteStudentRows(tab, col, fromId, student) {
+  if (!(await tabExists(tab))) return;
+  const idIndex = col.charCodeAt(0) - 65;
+  const values = await getSheetValues(`${tab}!A:${col}`, { fresh: true });
+  const data = [];
+  for (let i = 1; i < values.length; i++) {
+    if (((values[i] || [])[idIndex] || "").toString().trim() !== fromId) continue;
+    data.push({ range: `${tab}!A${i + 1}:B${i + 1}`, values: [[student.owner, student.student]] });
+    if (student.id !== fromId) {
+      data.push({ range: `${tab}!${col}${i + 1}`, values: [[student.id]] });
+    }
+  }
+  await batchUpdateValues(data, { raw: true });
+}
+
+const sheetIds = new Map();
+async function loadSheetIds() {
+  const meta = await callSheets(
+    () =>
+      sheets.spreadsheets.get({
+        spreadsheetId: SHEET_ID,
+        fields: "sheets.properties(title,sheetId)",
+      }),
+    { op: "get" }
+  );
+  for (const s of meta.data.sheets || []) {
+    sheetIds.set(s.properties.title, s.properties.sheetId);
+  }
+}
+
+async function tabExists(tab) {
+  if (!sheetIds.has(tab)) await loadSheetIds();
+  return sheetIds.has(tab);
+}
+
+async function sheetIdFor(tab) {
+  if (!(await tabExists(tab))) throw new Error(`Sheet tab not found: ${tab}`);
+  return sheetIds.get(tab);
+}
+
+// rowNumbers are 1-based, from a fresh read; deleted bottom-up so earlier
+// deletions don't shift later ones
+async function deleteRows(tab, rowNumbers) {
+  if (rowNumbers.length === 0) return;
+  const sheetId = await sheetIdFor(tab);
+  const requests = [...rowNumbers]
+    .sort((a, b) => b - a)
+    .map((rowNumber) => ({
+      deleteDimension: {
+        range: { sheetId, dimension: "ROWS", startIndex: rowNumber - 1, endIndex: rowNumber },
+      },
+    }));
+  await writeTabs(
+    [tab],
+    () => sheets.spreadsheets.batchUpdate({ spreadsheetId: SHEET_ID, requestBody: { requests } }),
+    { op: "batchUpdate", idempotent: false }
+  );
+}
+
+// Point every row of `tab` owned by `from` (owner in column A) at `to`
+async function rewriteOwnerColumn(tab, from, to) {
+  const values = await getSheetValues(`${tab}!A:A`, { fresh: true });
+  const data = [];
+  for (let i = 1; i < values.length; i++) {
+    if (normalizeOwner(((values[i] || [])[0] || "").toString()) === from) {
+      data.push({ range: `${tab}!A${i + 1}`, values: [[to]] });
+    }
+  }
+  await batchUpdateValues(data, { raw: true });
+}
+
+const CHECKIN_HEADERS = [
+  "owner",
+  "student",
+  "id",
+  "occurred_at",
+  "entered_by",
+  "teacher",
+  "category",
+  "note",
+  "status",
+  "student_id",
+  "client_id",
+];
+
+const USER_HEADERS = [
+  "username",
+  "password_hash",
+  "disabled",
+  "failed_attempts",
+  "locked_until",
+  "created_at",
+  "role",
+  "email",
+  "digest",
+];
+
+const TOKEN_HEADERS = ["id", "username", "label", "token_hash", "created_at"];
+const SHARE_HEADERS = ["owner", "student", "username", "student_id"];
+const SETTING_HEADERS = ["key", "value"];
+// before/after hold JSON
+const AUDIT_HEADERS = [
+  "id",
+  "at",
+  "username",
+  "action",
+  "student_id",
+  "student",
+  "before",
+  "after",
+  "undo_of",
+];
+
+const TAB_HEADERS = [
+  { tab: HISTORY_TAB, headers: HISTORY_HEADERS },
+  { tab: STUDENTS_TAB, headers: STUDENT_HEADERS },
+  { tab: CHECKINS_TAB, headers: CHECKIN_HEADERS },
+  { tab: USERS_TAB, headers: USER_HEADERS, hidden: true },
+  { tab: TOKENS_TAB, headers: TOKEN_HEADERS, hidden: true },
+  { tab: SHARES_TAB, headers: SHARE_HEADERS, hidden: true },
+  { tab: SETTINGS_TAB, headers: SETTING_HEADERS, hidden: true },
+  { tab: AUDIT_TAB, headers: AUDIT_HEADERS, hidden: true },
+];
+
+function columnLetter(n) {
+  return String.fromCharCode(64 + n);
+}
+
+// Creates missing tabs and fixes header rows, once per process (prepare() runs
+// it at startup): one metadata read, one batchGet of every header row, and at
+// most one write of each kind.
+let headersReady = null;
+function ensureHeaders() {
+  if (!headersReady) {
+    headersReady = checkHeaders().catch((e) => {
+      headersReady = null;
+      throw e;
+    });
+  }
+  return headersReady;
+}
+
+async function checkHeaders() {
+  await loadSheetIds();
+  const missing = TAB_HEADERS.filter((t) => !sheetIds.has(t.tab));
+  if (missing.length > 0) {
+    const requests = missing.map((t) => ({
+      addSheet: { properties: { title: t.tab, hidden: Boolean(t.hidden) } },
+    }));
+    await callSheets(
+      () => sheets.spreadsheets.batchUpdate({ spreadsheetId: SHEET_ID, requestBody: { requests } }),
+      { op: "batchUpdate", idempotent: false }
+    );
+    await loadSheetIds();
+  }
+
+  const ranges = TAB_HEADERS.map((t) => `${t.tab}!A1:${columnLetter(t.headers.length)}1`);
+  const resp = await callSheets(() => sheets.spreadsheets.values.batchGet({ spreadsheetId: SHEET_ID, ranges }), {
+    op: "values.batchGet",
+  });
+  const valueRanges = resp.data.valueRanges || [];
+  const data = [];
+  TAB_HEADERS.forEach((t, i) => {
+    const row = (valueRanges[i]?.values || [])[0] || [];
+    const normalized = row.map((x) => (x || "").toString().trim().toLowerCase());
+    if (!t.headers.every((h, k) => (normalized[k] || "") === h)) {
+      data.push({ range: ranges[i], values: [t.headers] });
+    }
+  });
+  await batchUpdateValues(data, { raw: true });
+}
+
+// Valid history rows with their 1-based sheet row numbers
+async function readHistorySheetRows({ fresh = false } = {}) {
+  await ensureHistoryHeaders();
+  const [students, values] = await Promise.all([
+    studentsById(),
+    getSheetValues(`${HISTORY_TAB}!A:I`, { fresh }),
+  ]);
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = values[i] || [];
+    const weekEnding = (r[2] || "").toString().trim();
+    const checkins = Number((r[3] || "").toString().trim());
+    const teacher = (r[4] || "").toString().trim();
+    const id = (r[5] || "").toString().trim();
+    const s = students.get((r[6] || "").toString().trim());
+    if (!s || !weekEnding || Number.isNaN(checkins)) continue;
+    rows.push({
+      rowNumber: i + 1,
+      row: {
+        id,
+        studentId: s.id,
+        owner: s.owner,
+        student: s.student,
+        weekEnding,
+        checkins,
+        teacher,
+        goal: planCell(r[7]),
+        maxCheckins: planCell(r[8]),
+      },
+    });
+  }
+  return rows;
+}
+
+// Written raw, so student and teacher text is never taken for a formula:
+// counts go in as numbers and week_ending as YYYY-MM-DD text, like the dates
+// in the other tabs
+function historyToRow(h) {
+  return [
+    h.owner,
+    h.student,
+    h.weekEnding,
+    Number(h.checkins),
+    h.teacher || "",
+    h.id,
+    h.studentId,
+    h.goal == null ? "" : Number(h.goal),
+    h.maxCheckins == null ? "" : Number(h.maxCheckins),
+  ];
+}
+
+async function readHistoryRows() {
+  return (await readHistorySheetRows()).map((r) => r.row);
+}
+
+async function readStudentsList() {
+  return (await readStudentSheetRows()).filter((r) => !r.deletedAt).map((r) => r.student);
+}
+
+async function readDeletedStudents() {
+  return (await readStudentSheetRows())
+    .filter((r) => r.deletedAt)
+    .map(({ student: s, deletedAt }) => ({
+      id: s.id,
+      owner: s.owner,
+      student: s.student,
+      grade: s.grade,
+      deletedAt,
+    }))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+async function ensureStudent(owner, name, details = {}) {
+  const [added] = await appendStudents([{ owner, student: name, ...details }]);
+  if (added) return added;
+  const o = normalizeOwner(owner);
+  const student = normalizeStudentName(name).toLowerCase();
+  return (
+    (await readStudentsList()).find(
+      (r) => r.owner === o && r.student.toLowerCase() === student
+    ) || null
+  );
+}
+
+async function addStudents(rows) {
+  return (await appendStudents(rows)).length;
+}
+
+// Appends every student not already on its owner's list in a single write and
+// returns the ones added. A deleted student by the same name comes back instead.
+async function appendStudents(rows) {
+  const sheetRows = await readStudentSheetRows({ fresh: true });
+  const keyOf = (s) => `${s.owner}||${s.student.toLowerCase()}`;
+  const seen = new Set(sheetRows.filter((r) => !r.deletedAt).map((r) => keyOf(r.student)));
+  const deleted = new Map(sheetRows.filter((r) => r.deletedAt).map((r) => [keyOf(r.student), r]));
+  const added = [];
+  const undeleted = [];
+  for (const r of rows) {
+    const o = normalizeOwner(r.owner);
+    const student = normalizeStudentName(r.student);
+    const key = `${o}||${student.toLowerCase()}`;
+    if (!o || !student || seen.has(key)) continue;
+    seen.add(key);
+    if (deleted.has(key)) {
+      undeleted.push(deleted.get(key));
+      continue;
+    }
+    added.push({
+      id: crypto.randomUUID(),
+      owner: o,
+      student,
+      grade: (r.grade || "").trim(),
+      externalId: (r.externalId || "").trim(),
+      archived: false,
+      goal: null,
+      maxCheckins: null,
+    });
+  }
+  const values = added.map((a) => [a.owner, a.student, a.grade, a.externalId, a.id, "", "", "", ""]);
+  if (values.length > 0) await appendRows(`${STUDENTS_TAB}!A:I`, values, { raw: true });
+  await batchUpdateValues(
+    undeleted.map((r) => ({ range: `${STUDENTS_TAB}!I${r.rowNumber}`, values: [[""]] })),
+    { raw: true }
+  );
+  return [...undeleted.map((r) => r.student), ...added];
+}
+
+async function renameStudent(id, name) {
+  const rows = await readStudentSheetRows({ fresh: true });
+  const found = rows.find((r) => r.student.id === id);
+  const newName = normalizeStudentName(name);
+  if (!found || !newName) return;
+  const clash = rows.some(
+    (r) =>
+      r.student.id !== id &&
+      r.student.owner === found.student.owner &&
+      r.student.student.toLowerCase() === newName.toLowerCase()
+  );
+  if (clash) throw new Error(`${found.student.owner} already has a student named ${newName}`);
+
+  await updateSheetValues(`${STUDENTS_TAB}!B${found.rowNumber}`, [[newName]], { raw: true });
+  for (const { tab, col } of STUDENT_REFS) {
+    await rewriteStudentRows(tab, col, id, { ...found.student, student: newName });
+  }
+}
+
+async function setStudentArchived(id, archived) {
+  const found = (await readStudentSheetRows({ fresh: true })).find((r) => r.student.id === id);
+  if (!found) return;
+  await updateSheetValues(`${STUDENTS_TAB}!F${found.rowNumber}`, [[archived ? "TRUE" : ""]], {
+    raw: true,
+  });
+}
+
+async function setStudentDeleted(id, deleted) {
+  const found = (await readStudentSheetRows({ fresh: true })).find((r) => r.student.id === id);
+  if (!found) return;
+  const deletedAt = deleted ? new Date().toISOString() : "";
+  await updateSheetValues(`${STUDENTS_TAB}!I${found.rowNumber}`, [[deletedAt]], { raw: true });
+}
+
+async function setStudentPlan(id, { goal, maxCheckins }) {
+  const found = (await readStudentSheetRows({ fresh: true })).find((r) => r.student.id === id);
+  if (!found) return;
+  await updateSheetValues(
+    `${STUDENTS_TAB}!G${found.rowNumber}:H${found.rowNumber}`,
+    [[goal ?? "", maxCheckins ?? ""]],
+    { raw: true }
+  );
+}
+
+// Moves fromId's history, check-ins and shares onto intoId and deletes fromId
+async function mergeStudents(fromId, intoId) {
+  if (fromId === intoId) return;
+  const students = await studentsById();
+  const into = students.get(intoId);
+  if (!students.has(fromId) || !into) return;
+
+  await ensureHistoryHeaders();
+  for (const { tab, col } of STUDENT_REFS) {
+    await rewriteStudentRows(tab, col, fromId, into);
+  }
+
+  // Both students may have been shared with the same person
+  const seen = new Set();
+  const extraShares = [];
+  for (const r of await readShareRows({ fresh: true })) {
+    const key = `${r.share.studentId}||${r.share.username}`;
+    if (seen.has(key)) extraShares.push(r.rowNumber);
+    seen.add(key);
+  }
+  await deleteRows(SHARES_TAB, extraShares);
+
+  const gone = (await readStudentSheetRows({ fresh: true })).find((r) => r.student.id === fromId);
+  if (gone) await deleteRows(STUDENTS_TAB, [gone.rowNumber]);
+}
+
+// ---------- check-ins ----------
+
+function checkinFromRow(r, students) {
+  const s = students.get((r[9] || "").toString().trim());
+  return {
+    studentId: s ? s.id : "",
+    owner: s ? s.owner : "",
+    student: s ? s.student : "",
+    id: (r[2] || "").toString().trim(),
+    occurredAt: (r[3] || "").toString().trim(),
+    enteredBy: normalizeOwner((r[4] || "").toString()),
+    teacher: (r[5] || "").toString().trim(),
+    category: (r[6] || "").toString().trim(),
+    note: (r[7] || "").toString(),
+    status: (r[8] || "").toString().trim().toLowerCase() || "open",
+    clientId: (r[10] || "").toString().trim(),
+  };
+}
+
+function checkinToRow(c) {
+  return [
+    normalizeOwner(c.owner),
+    c.student,
+    c.id,
+    c.occurredAt,
+    normalizeOwner(c.enteredBy),
+    c.teacher || "",
+    c.category || "",
+    c.note || "",
+    c.status || "open",
+    c.studentId,
+    c.clientId || "",
+  ];
+}
+
+// Counts kept by the older CurrentWeek counter tab become one check-in each
+// (with the teacher names in order), then the counter is zeroed.
+let legacyCurrentMigrated = null;
+async function migrateLegacyCurrentWeek() {
+  if (!(await tabExists(CURRENT_TAB))) return;
+  const values = await getSheetValues(`${CURRENT_TAB}!A:E`, { fresh: true });
+  for (let i = 1; i < values.length; i++) {
+    const r = values[i] || [];
+    const owner = normalizeOwner((r[0] || "").toString());
+    const student = (r[1] || "").toString().trim();
+    const count = Number((r[2] || "").toString().trim());
+    if (!owner || !student || !(count > 0)) continue;
+    const teachers = splitTeachers((r[3] || "").toString());
+    const occurredAt = (r[4] || "").toString().trim() || new Date().toISOString();
+    const { id: studentId } = await ensureStudent(owner, student);
+    for (let k = 0; k < count; k++) {
+      await addCheckin({ studentId, occurredAt, teacher: teachers[k] || "" });
+    }
+    await updateSheetValues(`${CURRENT_TAB}!C${i + 1}:D${i + 1}`, [[0, ""]], { raw: true });
+  }
+}
+
+async function readCheckinRows({ fresh = false } = {}) {
+  await ensureHeaders();
+  if (!legacyCurrentMigrated) {
+    legacyCurrentMigrated = migrateLegacyCurrentWeek().catch((e) => {
+      legacyCurrentMigrated = null;
+      throw e;
+    });
+  }
+  await legacyCurrentMigrated;
+
+  const [students, values] = await Promise.all([
+    studentsById(),
+    getSheetValues(`${CHECKINS_TAB}!A:K`, { fresh }),
+  ]);
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const checkin = checkinFromRow(values[i] || [], students);
+    if (checkin.studentId && checkin.id) {
+      rows.push({ rowNumber: i + 1, checkin });
+    }
+  }
+  return rows;
+}
+
+async function readCheckins() {
+  return (await readCheckinRows()).map((r) => r.checkin);
+}
+
+async function addCheckin(checkin) {
+  await ensureHeaders();
+  const s = (await studentsById()).get(checkin.studentId);
+  if (!s) throw new Error(`Unknown student ${checkin.studentId}`);
+  const stored = {
+    ...checkin,
+    owner: s.owner,
+    student: s.student,
+    id: crypto.randomUUID(),
+    occurredAt: checkin.occurredAt || new Date().toISOString(),
+    status: "open",
+  };
+  await appendRow(`${CHECKINS_TAB}!A:K`, checkinToRow(stored), { raw: true });
+  return stored;
+}
+
+// changes: any of teacher, category, note, occurredAt
+async function updateCheckin(id, changes) {
+  const found = (await readCheckinRows({ fresh: true })).find((r) => r.checkin.id === id);
+  if (!found) return null;
+  const updated = { ...found.checkin, ...changes, id };
+  await updateSheetValues(
+    `${CHECKINS_TAB}!A${found.rowNumber}:K${found.rowNumber}`,
+    [checkinToRow(updated)],
+    { raw: true }
+  );
+  return updated;
+}
+
+// Puts deleted check-ins back with their old ids and status
+async function restoreCheckins(checkins) {
+  const [rows, students] = await Promise.all([readCheckinRows(), studentsById()]);
+  const present = new Set(rows.map((r) => r.checkin.id));
+  const values = [];
+  for (const c of checkins) {
+    const s = students.get(c.studentId);
+    if (!s || present.has(c.id)) continue;
+    values.push(checkinToRow({ ...c, owner: s.owner, student: s.student }));
+  }
+  if (values.length > 0) await appendRows(`${CHECKINS_TAB}!A:K`, values, { raw: true });
+}
+
+async function setCheckinStatus(ids, status) {
+  const wanted = new Set(ids);
+  const data = (await readCheckinRows({ fresh: true }))
+    .filter((r) => wanted.has(r.checkin.id))
+    .map((r) => ({ range: `${CHECKINS_TAB}!I${r.rowNumber}`, values: [[status]] }));
+  await batchUpdateValues(data, { raw: true });
+}
+
+async function deleteCheckins(ids) {
+  const wanted = new Set(ids);
+  const rows = await readCheckinRows({ fresh: true });
+  await deleteRows(
+    CHECKINS_TAB,
+    rows.filter((r) => wanted.has(r.checkin.id)).map((r) => r.rowNumber)
+  );
+}
+
+// Writes the student's row for that week, replacing it if one is already
+// there, so saving the same week again never adds a second row.
+async function saveWeekToHistory(studentId, friday, count, teacherSummary, plan = {}) {
+  const goal = plan.goal ?? null;
+  const maxCheckins = plan.maxCheckins ?? null;
+  const existing = (await readHistorySheetRows({ fresh: true })).find(
+    (r) => r.row.studentId === studentId && r.row.weekEnding === friday
+  );
+  if (existing) {
+    await updateHistoryRow(existing.row.id, {
+      checkins: count,
+      teacher: teacherSummary || "",
+      goal,
+      maxCheckins,
+    });
+    return;
+  }
+  const s = (await studentsById()).get(studentId);
+  if (!s) throw new Error(`Unknown student ${studentId}`);
+  await appendRow(
+    `${HISTORY_TAB}!A:I`,
+    historyToRow({
+      id: crypto.randomUUID(),
+      studentId,
+      owner: s.owner,
+      student: s.student,
+      weekEnding: friday,
+      checkins: count,
+      teacher: teacherSummary,
+      goal,
+      maxCheckins,
+    }),
+    { raw: true }
+  );
+}
+
+// changes: any of checkins, teacher, goal, maxCheckins
+async function updateHistoryRow(id, changes) {
+  const found = (await readHistorySheetRows({ fresh: true })).find((r) => r.row.id === id);
+  if (!found) return null;
+  const updated = { ...found.row, ...changes, id };
+  await updateSheetValues(
+    `${HISTORY_TAB}!A${found.rowNumber}:I${found.rowNumber}`,
+    [historyToRow(updated)],
+    { raw: true }
+  );
+  return updated;
+}
+
+async function deleteHistoryRows(ids) {
+  const wanted = new Set(ids);
+  const rows = await readHistorySheetRows({ fresh: true });
+  await deleteRows(
+    HISTORY_TAB,
+    rows.filter((r) => wanted.has(r.row.id)).map((r) => r.rowNumber)
+  );
+}
+
+// ---------- settings ----------
+
+async function readSettingRows({ fresh = false } = {}) {
+  await ensureHeaders();
+  const values = await getSheetValues(`${SETTINGS_TAB}!A:B`, { fresh });
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = values[i] || [];
+    const key = (r[0] || "").toString().trim();
+    if (key) rows.push({ rowNumber: i + 1, key, value: (r[1] || "").toString() });
+  }
+  return rows;
+}
+
+async function getSetting(key) {
+  const found = (await readSettingRows()).find((r) => r.key === key);
+  return found ? found.value : null;
+}
+
+async function setSetting(key, value) {
+  const found = (await readSettingRows({ fresh: true })).find((r) => r.key === key);
+  const row = [key, String(value)];
+  if (found) {
+    await updateSheetValues(`${SETTINGS_TAB}!A${found.rowNumber}:B${found.rowNumber}`, [row], {
+      raw: true,
+    });
+  } else {
+    await appendRow(`${SETTINGS_TAB}!A:B`, row, { raw: true });
+  }
+}
+
+// ---------- audit log ----------
+
+function jsonCell(value) {
+  const text = (value ?? "").toString();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function readAuditLog() {
+  await ensureHeaders();
+  const values = await getSheetValues(`${AUDIT_TAB}!A:I`);
+  const entries = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = values[i] || [];
+    const id = (r[0] || "").toString().trim();
+    if (!id) continue;
+    entries.push({
+      id,
+      at: (r[1] || "").toString().trim(),
+      username: normalizeOwner((r[2] || "").toString()),
+      action: (r[3] || "").toString().trim(),
+      studentId: (r[4] || "").toString().trim(),
+      student: (r[5] || "").toString(),
+      before: jsonCell(r[6]),
+      after: jsonCell(r[7]),
+      undoOf: (r[8] || "").toString().trim(),
+    });
+  }
+  return entries;
+}
+
+async function addAuditEntry(entry) {
+  await ensureHeaders();
+  const stored = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    username: normalizeOwner(entry.username) || "system",
+    action: entry.action,
+    studentId: String(entry.studentId ?? ""),
+    student: entry.student || "",
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    undoOf: entry.undoOf || "",
+  };
+  await appendRow(
+    `${AUDIT_TAB}!A:I`,
+    [
+      stored.id,
+      stored.at,
+      stored.username,
+      stored.action,
+      stored.studentId,
+      stored.student,
+      stored.before === null ? "" : JSON.stringify(stored.before),
+      stored.after === null ? "" : JSON.stringify(stored.after),
+      stored.undoOf,
+    ],
+    { raw: true }
+  );
+  return stored;
+}
+
+// ---------- users ----------
+
+function userFromRow(r) {
+  const failedAttempts = Number((r[3] || "").toString().trim());
+  const lockedUntil = Number((r[4] || "").toString().trim());
+  return {
+    username: normalizeOwner((r[0] || "").toString()),
+    passwordHash: (r[1] || "").toString().trim(),
+    disabled: (r[2] || "").toString().trim().toUpperCase() === "TRUE",
+    failedAttempts: Number.isNaN(failedAttempts) ? 0 : failedAttempts,
+    lockedUntil: Number.isNaN(lockedUntil) ? 0 : lockedUntil,
+    createdAt: (r[5] || "").toString().trim(),
+    role: (r[6] || "").toString().trim().toLowerCase() || "teacher",
+    email: (r[7] || "").toString().trim(),
+    digest: (r[8] || "").toString().trim().toUpperCase() === "TRUE",
+  };
+}
+
+// Counts and times (ms) as numbers
+function userToRow(u) {
+  return [
+    normalizeOwner(u.username),
+    u.passwordHash || "",
+    u.disabled ? "TRUE" : "FALSE",
+    Number(u.failedAttempts) || 0,
+    Number(u.lockedUntil) || "",
+    u.createdAt || "",
+    u.role || "teacher",
+    u.email || "",
+    u.digest ? "TRUE" : "FALSE",
+  ];
+}
+
+async function readUserRows({ fresh = false } = {}) {
+  await ensureHeaders();
+  const values = await getSheetValues(`${USERS_TAB}!A:I`, { fresh });
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const user = userFromRow(values[i] || []);
+    if (user.username) rows.push({ rowNumber: i + 1, user });
+  }
+  return rows;
+}
+
+async function listUsers() {
+  return (await readUserRows()).map((r) => r.user);
+}
+
+async function getUser(username) {
+  const u = normalizeOwner(username);
+  const found = (await readUserRows()).find((r) => r.user.username === u);
+  return found ? found.user : null;
+}
+
+// Insert or replace the account row for user.username
+async function saveUser(user) {
+  const u = normalizeOwner(user.username);
+  const found = (await readUserRows({ fresh: true })).find((r) => r.user.username === u);
+  if (found) {
+    await updateSheetValues(`${USERS_TAB}!A${found.rowNumber}:I${found.rowNumber}`, [userToRow(user)], {
+      raw: true,
+    });
+  } else {
+    await appendRow(`${USERS_TAB}!A:I`, userToRow(user), { raw: true });
+  }
+}
+
+// ---------- API tokens ----------
+
+async function readTokenRows({ fresh = false } = {}) {
+  await ensureHeaders();
+  const values = await getSheetValues(`${TOKENS_TAB}!A:E`, { fresh });
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = (values[i] || []).map((x) => (x || "").toString().trim());
+    if (r[0] && r[3]) {
+      rows.push({
+        rowNumber: i + 1,
+        token: {
+          id: r[0],
+          username: normalizeOwner(r[1]),
+          label: r[2] || "",
+          tokenHash: r[3],
+          createdAt: r[4] || "",
+        },
+      });
+    }
+  }
+  return rows;
+}
+
+async function listApiTokens() {
+  return (await readTokenRows()).map((r) => r.token);
+}
+
+async function addApiToken({ username, label, tokenHash }) {
+  await readTokenRows();
+  const token = {
+    id: crypto.randomUUID(),
+    username: normalizeOwner(username),
+    label: label || "",
+    tokenHash,
+    createdAt: new Date().toISOString(),
+  };
+  await appendRow(
+    `${TOKENS_TAB}!A:E`,
+    [token.id, token.username, token.label, token.tokenHash, token.createdAt],
+    { raw: true }
+  );
+  return token;
+}
+
+async function deleteApiToken(id) {
+  const rows = await readTokenRows({ fresh: true });
+  await deleteRows(
+    TOKENS_TAB,
+    rows.filter((r) => r.token.id === id).map((r) => r.rowNumber)
+  );
+}
+
+// ---------- sharing ----------
+
+async function readShareRows({ fresh = false } = {}) {
+  await ensureHeaders();
+  const [students, values] = await Promise.all([
+    studentsById(),
+    getSheetValues(`${SHARES_TAB}!A:D`, { fresh }),
+  ]);
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    const r = values[i] || [];
+    const username = normalizeOwner((r[2] || "").toString());
+    const s = students.get((r[3] || "").toString().trim());
+    if (s && username) {
+      rows.push({
+        rowNumber: i + 1,
+        share: { studentId: s.id, owner: s.owner, student: s.student, username },
+      });
+    }
+  }
+  return rows;
+}
+
+async function listShares() {
+  return (await readShareRows()).map((r) => r.share);
+}
+
+async function addShare(studentId, username) {
+  const u = normalizeOwner(username);
+  const rows = await readShareRows();
+  if (rows.some((r) => r.share.studentId === studentId && r.share.username === u)) return;
+  const s = (await studentsById()).get(studentId);
+  if (!s) return;
+  await appendRow(`${SHARES_TAB}!A:D`, [s.owner, s.student, u, studentId], { raw: true });
+}
+
+async function removeShare(studentId, username) {
+  const u = normalizeOwner(username);
+  const rows = await readShareRows({ fresh: true });
+  await deleteRows(
+    SHARES_TAB,
+    rows
+      .filter((r) => r.share.studentId === studentId && r.share.username === u)
+      .map((r) => r.rowNumber)
+  );
+}
+
+// Hand every student (with history, current week and shares) from one owner to
+// another. Refuses when the new owner already has a student with the same name.
+async function transferCaseload(fromOwner, toOwner) {
+  const from = normalizeOwner(fromOwner);
+  const to = normalizeOwner(toOwner);
+  const students = await readStudentsList();
+  const theirs = new Set(
+    students.filter((r) => r.owner === to).map((r) => r.student.toLowerCase())
+  );
+  const conflicts = students
+    .filter((r) => r.owner === from && theirs.has(r.student.toLowerCase()))
+    .map((r) => r.student);
+  if (conflicts.length > 0) {
+    throw new Error(`${to} already has students named: ${conflicts.join(", ")}`);
+  }
+
+  await ensureHistoryHeaders();
+  await readCheckinRows();
+  for (const tab of [STUDENTS_TAB, HISTORY_TAB, CHECKINS_TAB, SHARES_TAB]) {
+    await rewriteOwnerColumn(tab, from, to);
+  }
+}
+
+// Header checks and the one-time migrations, run at server start so the first
+// page load doesn't wait on them
+async function prepare() {
+  await ensureHistoryHeaders();
+  await readCheckinRows();
+}
+
+// Straight to Google, past the read cache, and without the retries: a
+// readiness check should say "not now" quickly rather than wait out a backoff
+async function ping() {
+  await callSheets(() => sheets.spreadsheets.get({ spreadsheetId: SHEET_ID, fields: "spreadsheetId" }), {
+    op: "get",
+    attempts: 1,
+  });
+}
+
+module.exports = {
+  name: "sheets",
+  prepare,
+  ping,
+  readHistoryRows,
+  readStudentsList,
+  readDeletedStudents,
+  ensureStudent,
+  addStudents,
+  renameStudent,
+  setStudentArchived,
+  setStudentDeleted,
+  setStudentPlan,
+  mergeStudents,
+  saveWeekToHistory,
+  updateHistoryRow,
+  deleteHistoryRows,
+  readCheckins,
+  addCheckin,
+  updateCheckin,
+  restoreCheckins,
+  setCheckinStatus,
+  deleteCheckins,
+  listUsers,
+  getUser,
+  saveUser,
+  listApiTokens,
+  addApiToken,
+  deleteApiToken,
+  listShares,
+  addShare,
+  removeShare,
+  transferCaseload,
+  getSetting,
+  setSetting,
+  readAuditLog,
+  addAuditEntry,
+};
@@ -0,0 +1,684 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { normalizeOwner, normalizeStudentName, splitTeachers } = require("./common");
+
+// Not checkins.db: that's a legacy file for `npm run migrate-legacy` to read
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join("data", "app.db");
+
+fs.mkdirSync(path.dirname(SQLITE_PATH), { recursive: true });
+const db = new Database(SQLITE_PATH);
+db.pragma("busy_timeout = 5000");
+
+function columnNames(table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+}
+
+// The legacy checkins.db and checkins_old.db have students without an owner,
+// or history without a student
+function isLegacyFile() {
+  const students = columnNames("students");
+  const history = columnNames("weekly_history");
+  return (
+    (students.length > 0 && !students.includes("owner")) ||
+    (history.length > 0 && !history.includes("student_id"))
+  );
+}
+
+// Same tables as the legacy checkins.db, plus the owner/teacher columns the
+// Sheets layout has. Files from older versions of the app are upgraded in
+// place; a legacy file is refused before anything is written to it.
+function migrate() {
+  if (isLegacyFile()) {
+    db.close();
+    throw new Error(
+      `${SQLITE_PATH} is a legacy database from before owners. Point SQLITE_PATH at a new file ` +
+        "and bring its history over with npm run migrate-legacy."
+    );
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS students (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner TEXT NOT NULL DEFAULT '',
+      name TEXT NOT NULL,
+      grade TEXT NOT NULL DEFAULT '',
+      external_id TEXT NOT NULL DEFAULT '',
+      archived INTEGER NOT NULL DEFAULT 0,
+      goal INTEGER,
+      max_checkins INTEGER,
+      deleted_at TEXT NOT NULL DEFAULT '',
+      UNIQUE (owner, name COLLATE NOCASE)
+    );
+    CREATE TABLE IF NOT EXISTS current_week (
+      student_id INTEGER PRIMARY KEY,
+      checkins INTEGER NOT NULL DEFAULT 0,
+      teachers TEXT NOT NULL DEFAULT '',
+      updated_at TEXT,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+    CREATE TABLE IF NOT EXISTS weekly_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id INTEGER NOT NULL,
+      week_ending_friday TEXT NOT NULL,
+      checkins INTEGER NOT NULL,
+      teacher TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      goal INTEGER,
+      max_checkins INTEGER,
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_history_student_date
+      ON weekly_history(student_id, week_ending_friday);
+    CREATE TABLE IF NOT EXISTS checkins (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      student_id INTEGER NOT NULL,
+      occurred_at TEXT NOT NULL,
+      entered_by TEXT NOT NULL DEFAULT '',
+      teacher TEXT NOT NULL DEFAULT '',
+      category TEXT NOT NULL DEFAULT '',
+      note TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'open',
+      client_id TEXT NOT NULL DEFAULT '',
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_checkins_student
+      ON checkins(student_id, status);
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS users (
+      username TEXT PRIMARY KEY,
+      password_hash TEXT NOT NULL,
+      disabled INTEGER NOT NULL DEFAULT 0,
+      failed_attempts INTEGER NOT NULL DEFAULT 0,
+      locked_until INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      role TEXT NOT NULL DEFAULT 'teacher',
+      email TEXT NOT NULL DEFAULT '',
+      digest INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      label TEXT NOT NULL DEFAULT '',
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS shares (
+      student_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      PRIMARY KEY (student_id, username),
+      FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+    );
+    -- Append-only; student_id is kept as text with no foreign key so entries
+    -- outlive a merged student. before/after hold JSON.
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at TEXT NOT NULL,
+      username TEXT NOT NULL,
+      action TEXT NOT NULL,
+      student_id TEXT NOT NULL DEFAULT '',
+      student TEXT NOT NULL DEFAULT '',
+      before TEXT,
+      after TEXT,
+      undo_of TEXT NOT NULL DEFAULT ''
+    );
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+
+  if (!columnNames("current_week").includes("teachers")) {
+    db.exec(`
+      ALTER TABLE current_week ADD COLUMN teachers TEXT NOT NULL DEFAULT '';
+      ALTER TABLE current_week ADD COLUMN updated_at TEXT;
+    `);
+  }
+  if (!columnNames("weekly_history").includes("teacher")) {
+    db.exec("ALTER TABLE weekly_history ADD COLUMN teacher TEXT NOT NULL DEFAULT ''");
+  }
+  if (!columnNames("students").includes("grade")) {
+    db.exec(`
+      ALTER TABLE students ADD COLUMN grade TEXT NOT NULL DEFAULT '';
+      ALTER TABLE students ADD COLUMN external_id TEXT NOT NULL DEFAULT '';
+    `);
+  }
+  if (!columnNames("students").includes("archived")) {
+    db.exec("ALTER TABLE students ADD COLUMN archived INTEGER NOT NULL DEFAULT 0");
+  }
+  // NULL goal/max: the student follows the school default; a history row
+  // without them predates per-student goals (4 of 5)
+  for (const table of ["students", "weekly_history"]) {
+    if (!columnNames(table).includes("goal")) {
+      db.exec(`
+        ALTER TABLE ${table} ADD COLUMN goal INTEGER;
+        ALTER TABLE ${table} ADD COLUMN max_checkins INTEGER;
+      `);
+    }
+  }
+  // Deleted students keep their row (and history) with the time they went
+  if (!columnNames("students").includes("deleted_at")) {
+    db.exec("ALTER TABLE students ADD COLUMN deleted_at TEXT NOT NULL DEFAULT ''");
+  }
+  if (!columnNames("checkins").includes("client_id")) {
+    db.exec("ALTER TABLE checkins ADD COLUMN client_id TEXT NOT NULL DEFAULT ''");
+  }
+  if (!columnNames("users").includes("role")) {
+    db.exec("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'teacher'");
+  }
+  if (!columnNames("users").includes("email")) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN email TEXT NOT NULL DEFAULT '';
+      ALTER TABLE users ADD COLUMN digest INTEGER NOT NULL DEFAULT 0;
+    `);
+  }
+  db.pragma("foreign_keys = ON");
+
+  // current_week only held a counter; turn each counted check-in into a row
+  // of its own (teacher names in order) and zero the counter.
+  const counters = db.prepare("SELECT * FROM current_week WHERE checkins > 0").all();
+  if (counters.length > 0) {
+    const insert = db.prepare(
+      "INSERT INTO checkins (student_id, occurred_at, teacher) VALUES (?, ?, ?)"
+    );
+    db.transaction(() => {
+      for (const c of counters) {
+        const teachers = splitTeachers(c.teachers);
+        const occurredAt = c.updated_at || new Date().toISOString();
+        for (let k = 0; k < c.checkins; k++) {
+          insert.run(c.student_id, occurredAt, teachers[k] || "");
+        }
+      }
+      db.exec("UPDATE current_week SET checkins = 0, teachers = ''");
+    })();
+  }
+}
+
+migrate();
+
+// ORDER BY after these needs table.id: a bare id sorts the TEXT alias (1, 10, 2)
+const STUDENT_SELECT = `
+  SELECT CAST(id AS TEXT) AS id, owner, name AS student, grade,
+         external_id AS externalId, archived, goal, max_checkins AS maxCheckins
+    FROM students`;
+
+function studentFromRow(row) {
+  return { ...row, archived: Boolean(row.archived) };
+}
+
+const HISTORY_SELECT = `
+  SELECT CAST(h.id AS TEXT) AS id, CAST(h.student_id AS TEXT) AS studentId,
+         s.owner, s.name AS student,
+         h.week_ending_friday AS weekEnding, h.checkins, h.teacher,
+         h.goal, h.max_checkins AS maxCheckins
+    FROM weekly_history h
+    JOIN students s ON s.id = h.student_id`;
+
+async function readHistoryRows() {
+  return db.prepare(`${HISTORY_SELECT} WHERE s.owner <> '' AND s.deleted_at = '' ORDER BY h.id`).all();
+}
+
+async function readStudentsList() {
+  return db
+    .prepare(`${STUDENT_SELECT} WHERE owner <> '' AND deleted_at = '' ORDER BY students.id`)
+    .all()
+    .map(studentFromRow);
+}
+
+async function readDeletedStudents() {
+  return db
+    .prepare(
+      `SELECT CAST(id AS TEXT) AS id, owner, name AS student, grade, deleted_at AS deletedAt
+         FROM students WHERE owner <> '' AND deleted_at <> '' ORDER BY deleted_at DESC, students.id`
+    )
+    .all();
+}
+
+async function ensureStudent(owner, name, details = {}) {
+  await addStudents([{ owner, student: name, ...details }]);
+  const row = db
+    .prepare(`${STUDENT_SELECT} WHERE owner = ? AND name = ? COLLATE NOCASE`)
+    .get(normalizeOwner(owner), normalizeStudentName(name));
+  return row ? studentFromRow(row) : null;
+}
+
+async function addStudents(rows) {
+  const undelete = db.prepare(
+    "UPDATE students SET deleted_at = '' WHERE owner = ? AND name = ? COLLATE NOCASE AND deleted_at <> ''"
+  );
+  const insert = db.prepare(
+    "INSERT OR IGNORE INTO students (owner, name, grade, external_id) VALUES (?, ?, ?, ?)"
+  );
+  let added = 0;
+  db.transaction(() => {
+    for (const r of rows) {
+      const o = normalizeOwner(r.owner);
+      const student = normalizeStudentName(r.student);
+      if (!o || !student) continue;
+      added +=
+        undelete.run(o, student).changes ||
+        insert.run(o, student, (r.grade || "").trim(), (r.externalId || "").trim()).changes;
+    }
+  })();
+  return added;
+}
+
+async function renameStudent(id, name) {
+  const student = db.prepare(`${STUDENT_SELECT} WHERE id = ?`).get(Number(id));
+  const newName = normalizeStudentName(name);
+  if (!student || !newName) return;
+  const clash = db
+    .prepare("SELECT id FROM students WHERE owner = ? AND name = ? COLLATE NOCASE AND id <> ?")
+    .get(student.owner, newName, Number(id));
+  if (clash) throw new Error(`${student.owner} already has a student named ${newName}`);
+  db.prepare("UPDATE students SET name = ? WHERE id = ?").run(newName, Number(id));
+}
+
+async function setStudentArchived(id, archived) {
+  db.prepare("UPDATE students SET archived = ? WHERE id = ?").run(archived ? 1 : 0, Number(id));
+}
+
+async function setStudentDeleted(id, deleted) {
+  db.prepare("UPDATE students SET deleted_at = ? WHERE id = ?").run(
+    deleted ? new Date().toISOString() : "",
+    Number(id)
+  );
+}
+
+async function setStudentPlan(id, { goal, maxCheckins }) {
+  db.prepare("UPDATE students SET goal = ?, max_checkins = ? WHERE id = ?").run(
+    goal ?? null,
+    maxCheckins ?? null,
+    Number(id)
+  );
+}
+
+// Moves fromId's history, check-ins and shares onto intoId and deletes fromId
+async function mergeStudents(fromId, intoId) {
+  const from = Number(fromId);
+  const into = Number(intoId);
+  if (from === into) return;
+  db.transaction(() => {
+    db.prepare("UPDATE weekly_history SET student_id = ? WHERE student_id = ?").run(into, from);
+    db.prepare("UPDATE checkins SET student_id = ? WHERE student_id = ?").run(into, from);
+    db.prepare(
+      "INSERT OR IGNORE INTO shares (student_id, username) SELECT ?, username FROM shares WHERE student_id = ?"
+    ).run(into, from);
+    db.prepare("DELETE FROM shares WHERE student_id = ?").run(from);
+    db.prepare("DELETE FROM current_week WHERE student_id = ?").run(from);
+    db.prepare("DELETE FROM students WHERE id = ?").run(from);
+  })();
+}
+
+// Replaces the student's row for that week if there is one, else inserts
+async function saveWeekToHistory(studentId, friday, count, teacherSummary, plan = {}) {
+  const id = Number(studentId);
+  const existing = db
+    .prepare(
+      `SELECT id FROM weekly_history
+        WHERE student_id = ? AND week_ending_friday = ?
+        ORDER BY id LIMIT 1`
+    )
+    .get(id, friday);
+  const goal = plan.goal ?? null;
+  const maxCheckins = plan.maxCheckins ?? null;
+  if (existing) {
+    db.prepare(
+      "UPDATE weekly_history SET checkins = ?, teacher = ?, goal = ?, max_checkins = ? WHERE id = ?"
+    ).run(count, teacherSummary || "", goal, maxCheckins, existing.id);
+  } else {
+    db.prepare(
+      `INSERT INTO weekly_history (student_id, week_ending_friday, checkins, teacher, goal, max_checkins)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(id, friday, count, teacherSummary || "", goal, maxCheckins);
+  }
+}
+
+async function updateHistoryRow(id, changes) {
+  const row = db.prepare(`${HISTORY_SELECT} WHERE h.id = ?`).get(Number(id));
+  if (!row) return null;
+  const updated = { ...row, ...changes, id: row.id };
+  db.prepare(
+    "UPDATE weekly_history SET checkins = ?, teacher = ?, goal = ?, max_checkins = ? WHERE id = ?"
+  ).run(updated.checkins, updated.teacher || "", updated.goal ?? null, updated.maxCheckins ?? null, Number(id));
+  return updated;
+}
+
+async function deleteHistoryRows(ids) {
+  const remove = db.prepare("DELETE FROM weekly_history WHERE id = ?");
+  db.transaction(() => {
+    for (const id of ids) remove.run(Number(id));
+  })();
+}
+
+// ---------- check-ins ----------
+
+const CHECKIN_SELECT = `
+  SELECT CAST(c.student_id AS TEXT) AS studentId, s.owner, s.name AS student,
+         c.id, c.occurred_at AS occurredAt,
+         c.entered_by AS enteredBy, c.teacher, c.category, c.note, c.status,
+         c.client_id AS clientId
+    FROM checkins c
+    JOIN students s ON s.id = c.student_id`;
+
+function checkinFromRow(row) {
+  return { ...row, id: String(row.id) };
+}
+
+async function readCheckins() {
+  return db
+    .prepare(`${CHECKIN_SELECT} WHERE s.owner <> '' AND s.deleted_at = '' ORDER BY c.occurred_at, c.id`)
+    .all()
+    .map(checkinFromRow);
+}
+
+async function addCheckin(checkin) {
+  const occurredAt = checkin.occurredAt || new Date().toISOString();
+  const info = db
+    .prepare(
+      `INSERT INTO checkins (student_id, occurred_at, entered_by, teacher, category, note, client_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      Number(checkin.studentId),
+      occurredAt,
+      normalizeOwner(checkin.enteredBy),
+      checkin.teacher || "",
+      checkin.category || "",
+      checkin.note || "",
+      checkin.clientId || ""
+    );
+  return checkinFromRow(
+    db.prepare(`${CHECKIN_SELECT} WHERE c.id = ?`).get(info.lastInsertRowid)
+  );
+}
+
+async function updateCheckin(id, changes) {
+  const row = db.prepare(`${CHECKIN_SELECT} WHERE c.id = ?`).get(Number(id));
+  if (!row) return null;
+  const updated = { ...checkinFromRow(row), ...changes, id: String(row.id) };
+  db.prepare(
+    `UPDATE checkins SET occurred_at = ?, teacher = ?, category = ?, note = ?
+      WHERE id = ?`
+  ).run(updated.occurredAt, updated.teacher || "", updated.category || "", updated.note || "", row.id);
+  return updated;
+}
+
+// Puts deleted check-ins back with their old ids and status
+async function restoreCheckins(checkins) {
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO checkins
+       (id, student_id, occurred_at, entered_by, teacher, category, note, status, client_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    for (const c of checkins) {
+      insert.run(
+        Number(c.id),
+        Number(c.studentId),
+        c.occurredAt,
+        normalizeOwner(c.enteredBy),
+        c.teacher || "",
+        c.category || "",
+        c.note || "",
+        c.status || "open",
+        c.clientId || ""
+      );
+    }
+  })();
+}
+
+async function setCheckinStatus(ids, status) {
+  const update = db.prepare("UPDATE checkins SET status = ? WHERE id = ?");
+  db.transaction(() => {
+    for (const id of ids) update.run(status, Number(id));
+  })();
+}
+
+async function deleteCheckins(ids) {
+  const remove = db.prepare("DELETE FROM checkins WHERE id = ?");
+  db.transaction(() => {
+    for (const id of ids) remove.run(Number(id));
+  })();
+}
+
+// ---------- users ----------
+
+function userFromRow(row) {
+  return {
+    username: row.username,
+    passwordHash: row.password_hash,
+    disabled: Boolean(row.disabled),
+    failedAttempts: row.failed_attempts,
+    lockedUntil: row.locked_until,
+    createdAt: row.created_at,
+    role: row.role,
+    email: row.email,
+    digest: Boolean(row.digest),
+  };
+}
+
+async function listUsers() {
+  return db.prepare("SELECT * FROM users ORDER BY username").all().map(userFromRow);
+}
+
+async function getUser(username) {
+  const row = db
+    .prepare("SELECT * FROM users WHERE username = ?")
+    .get(normalizeOwner(username));
+  return row ? userFromRow(row) : null;
+}
+
+async function saveUser(user) {
+  db.prepare(
+    `INSERT INTO users (username, password_hash, disabled, failed_attempts, locked_until, created_at, role,
+                        email, digest)
+     VALUES (?, ?, ?, ?, ?, COALESCE(?, datetime('now')), ?, ?, ?)
+     ON CONFLICT (username) DO UPDATE SET
+       password_hash = excluded.password_hash,
+       disabled = excluded.disabled,
+       failed_attempts = excluded.failed_attempts,
+       locked_until = excluded.locked_until,
+       role = excluded.role,
+       email = excluded.email,
+       digest = excluded.digest`
+  ).run(
+    normalizeOwner(user.username),
+    user.passwordHash || "",
+    user.disabled ? 1 : 0,
+    user.failedAttempts || 0,
+    user.lockedUntil || 0,
+    user.createdAt || null,
+    user.role || "teacher",
+    user.email || "",
+    user.digest ? 1 : 0
+  );
+}
+
+// ---------- API tokens ----------
+
+async function listApiTokens() {
+  return db
+    .prepare(
+      `SELECT CAST(id AS TEXT) AS id, username, label, token_hash AS tokenHash,
+              created_at AS createdAt
+         FROM api_tokens ORDER BY api_tokens.id`
+    )
+    .all();
+}
+
+async function addApiToken({ username, label, tokenHash }) {
+  const createdAt = new Date().toISOString();
+  const info = db
+    .prepare(
+      "INSERT INTO api_tokens (username, label, token_hash, created_at) VALUES (?, ?, ?, ?)"
+    )
+    .run(normalizeOwner(username), label || "", tokenHash, createdAt);
+  return {
+    id: String(info.lastInsertRowid),
+    username: normalizeOwner(username),
+    label: label || "",
+    tokenHash,
+    createdAt,
+  };
+}
+
+async function deleteApiToken(id) {
+  db.prepare("DELETE FROM api_tokens WHERE id = ?").run(Number(id));
+}
+
+// ---------- sharing ----------
+
+async function listShares() {
+  return db
+    .prepare(
+      `SELECT CAST(sh.student_id AS TEXT) AS studentId, s.owner, s.name AS student, sh.username
+         FROM shares sh
+         JOIN students s ON s.id = sh.student_id
+        WHERE s.deleted_at = ''`
+    )
+    .all();
+}
+
+async function addShare(studentId, username) {
+  db.prepare("INSERT OR IGNORE INTO shares (student_id, username) VALUES (?, ?)").run(
+    Number(studentId),
+    normalizeOwner(username)
+  );
+}
+
+async function removeShare(studentId, username) {
+  db.prepare("DELETE FROM shares WHERE student_id = ? AND username = ?").run(
+    Number(studentId),
+    normalizeOwner(username)
+  );
+}
+
+async function transferCaseload(fromOwner, toOwner) {
+  const from = normalizeOwner(fromOwner);
+  const to = normalizeOwner(toOwner);
+  const conflicts = db
+    .prepare(
+      `SELECT a.name FROM students a
+         JOIN students b ON b.owner = ? AND b.name = a.name COLLATE NOCASE
+        WHERE a.owner = ?`
+    )
+    .all(to, from)
+    .map((r) => r.name);
+  if (conflicts.length > 0) {
+    throw new Error(`${to} already has students named: ${conflicts.join(", ")}`);
+  }
+  db.prepare("UPDATE students SET owner = ? WHERE owner = ?").run(to, from);
+}
+
+// ---------- settings ----------
+
+async function getSetting(key) {
+  const row = db.prepare("SELECT value FROM settings WHERE key = ?").get(key);
+  return row ? row.value : null;
+}
+
+async function setSetting(key, value) {
+  db.prepare(
+    "INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+  ).run(key, String(value));
+}
+
+// ---------- audit log ----------
+
+function parseJson(text) {
+  if (text === null || text === undefined || text === "") return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function readAuditLog() {
+  return db
+    .prepare(
+      `SELECT CAST(id AS TEXT) AS id, at, username, action, student_id AS studentId,
+              student, before, after, undo_of AS undoOf
+         FROM audit_log ORDER BY audit_log.id`
+    )
+    .all()
+    .map((row) => ({ ...row, before: parseJson(row.before), after: parseJson(row.after) }));
+}
+
+async function addAuditEntry(entry) {
+  const stored = {
+    at: new Date().toISOString(),
+    username: normalizeOwner(entry.username) || "system",
+    action: entry.action,
+    studentId: String(entry.studentId ?? ""),
+    student: entry.student || "",
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    undoOf: entry.undoOf || "",
+  };
+  const info = db
+    .prepare(
+      `INSERT INTO audit_log (at, username, action, student_id, student, before, after, undo_of)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      stored.at,
+      stored.username,
+      stored.action,
+      stored.studentId,
+      stored.student,
+      stored.before === null ? null : JSON.stringify(stored.before),
+      stored.after === null ? null : JSON.stringify(stored.after),
+      stored.undoOf
+    );
+  return { id: String(info.lastInsertRowid), ...stored };
+}
+
+// The schema is created and upgraded when the file is opened
+async function prepare() {}
+
+async function ping() {
+  db.prepare("SELECT 1").get();
+}
+
+module.exports = {
+  name: "sqlite",
+  prepare,
+  ping,
+  readHistoryRows,
+  readStudentsList,
+  readDeletedStudents,
+  ensureStudent,
+  addStudents,
+  renameStudent,
+  setStudentArchived,
+  setStudentDeleted,
+  setStudentPlan,
+  mergeStudents,
+  saveWeekToHistory,
+  updateHistoryRow,
+  deleteHistoryRows,
+  readCheckins,
+  addCheckin,
+  updateCheckin,
+  restoreCheckins,
+  setCheckinStatus,
+  deleteCheckins,
+  listUsers,
+  getUser,
+  saveUser,
+  listApiTokens,
+  addApiToken,
+  deleteApiToken,
+  listShares,
+  addShare,
+  removeShare,
+  transferCaseload,
+  getSetting,
+  setSetting,
+  readAuditLog,
+  addAuditEntry,
+};
@@ -0,0 +1,35 @@
+// Downloading the student list and weekly history from /export.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+const { addDaysISO, currentWeekEnding } = require("../domain/weeks");
+
+test("export downloads", async (t) => {
+  const app = await startApp({ users: [{ username: "carol", password: "pw-carol", role: "teacher" }] });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  await app.storage.saveWeekToHistory(amy.id, addDaysISO(currentWeekEnding(), -7), 3, "Ms. Park", {
+    goal: 3,
+    maxCheckins: 5,
+  });
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+
+  for (const data of ["students", "history"]) {
+    await t.test(`${data} as xlsx`, async () => {
+      const res = await carol.get(`/export/download?data=${data}&format=xlsx`);
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /spreadsheetml\.sheet/);
+      assert.match(res.headers.get("content-disposition"), /\.xlsx"$/);
+      // An .xlsx workbook is a zip file
+      assert.ok(res.body.startsWith("PK"));
+    });
+
+    await t.test(`${data} as csv`, async () => {
+      const res = await carol.get(`/export/download?data=${data}&format=csv`);
+      assert.equal(res.status, 200);
+      assert.match(res.body, /^owner,student,grade,id,/);
+      assert.match(res.body, /carol,Amy/);
+    });
+  }
+});
@@ -0,0 +1,141 @@
+// Health checks, /metrics, request ids, and failed reads and saves reaching the page.
+process.env.METRICS_TOKEN = "scrape-token";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { startApp, createClient } = require("./helpers/app");
+const healthRoutes = require("../routes/health");
+const { createFakeStorage } = require("./helpers/fakeStorage");
+
+const scraper = { headers: { authorization: "Bearer scrape-token" } };
+
+test("health checks and metrics", async (t) => {
+  const app = await startApp({ users: [{ username: "carol", password: "pw-carol", role: "teacher" }] });
+  t.after(app.close);
+
+  await t.test("/healthz/ready checks storage", async () => {
+    let res = await fetch(`${app.baseUrl}/healthz/ready`);
+    assert.equal(res.status, 200);
+    const ready = await res.json();
+    assert.equal(ready.ok, true);
+    assert.deepEqual([ready.storage.ok, ready.storage.backend], [true, "memory"]);
+
+    const ping = app.storage.ping;
+    app.storage.ping = async () => {
+      throw new Error("database is locked");
+    };
+    t.after(() => (app.storage.ping = ping));
+    res = await fetch(`${app.baseUrl}/healthz/ready`);
+    assert.equal(res.status, 503);
+    assert.deepEqual((await res.json()).storage, { ok: false, backend: "memory" });
+
+    // Liveness doesn't look at storage
+    assert.equal((await fetch(`${app.baseUrl}/healthz`)).status, 200);
+  });
+
+  await t.test("every response carries a request id, the caller's if it sent one", async () => {
+    let res = await fetch(`${app.baseUrl}/login`);
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    res = await fetch(`${app.baseUrl}/login`, { headers: { "x-request-id": "edge-42" } });
+    assert.equal(res.headers.get("x-request-id"), "edge-42");
+    res = await fetch(`${app.baseUrl}/login`, { headers: { "x-request-id": "no spaces <here>" } });
+    assert.notEqual(res.headers.get("x-request-id"), "no spaces <here>");
+  });
+
+  await t.test("/metrics counts requests by route, not by URL", async () => {
+    const carol = createClient(app.baseUrl);
+    await carol.login("carol", "pw-carol");
+    const amy = await app.storage.ensureStudent("carol", "Amy");
+    await carol.get("/");
+    await carol.post(`/students/${amy.id}/rename`, { name: "Amy B" });
+
+    const res = await fetch(`${app.baseUrl}/metrics`, scraper);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    const text = await res.text();
+    assert.match(text, /^# TYPE http_requests_total counter$/m);
+    assert.match(text, /^http_requests_total\{method="POST",route="\/students\/:id\/rename",status="302"\} 1$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/login"\} \d+$/m);
+    assert.match(text, /^process_resident_memory_bytes \d+$/m);
+    assert.doesNotMatch(text, new RegExp(`route="/students/${amy.id}/`));
+  });
+
+  await t.test("/metrics wants the token", async () => {
+    for (const authorization of [undefined, "Bearer wrong", "scrape-token"]) {
+      const res = await fetch(`${app.baseUrl}/metrics`, { headers: authorization ? { authorization } : {} });
+      assert.equal(res.status, 401, authorization);
+      assert.doesNotMatch(await res.text(), /http_requests_total/);
+    }
+  });
+
+  await t.test("without METRICS_TOKEN there is no /metrics", async () => {
+    const bare = express().use(healthRoutes({ storage: createFakeStorage(), buildTime: "", metricsToken: "" }));
+    const server = await new Promise((resolve) => {
+      const s = bare.listen(0, () => resolve(s));
+    });
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/metrics`, scraper);
+    assert.equal(res.status, 404);
+  });
+});
+
+test("failed saves show up as a notice", async (t) => {
+  const app = await startApp({ users: [{ username: "carol", password: "pw-carol", role: "teacher" }] });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+  await carol.get("/");
+
+  // The storage call under each action fails once, like a Sheets outage would
+  function failOnce(name) {
+    const real = app.storage[name];
+    app.storage[name] = async () => {
+      app.storage[name] = real;
+      throw new Error("Sheets is unavailable");
+    };
+  }
+
+  await t.test("adding a student", async () => {
+    failOnce("ensureStudent");
+    const res = await carol.post("/addstudent", { student: "Ben" });
+    assert.equal(res.location, "/");
+    assert.match((await carol.get("/")).body, /Save failed: Sheets is unavailable/);
+    assert.equal((await app.storage.readStudentsList()).length, 1);
+  });
+
+  await t.test("ending the week", async () => {
+    await carol.post("/add", { sid: amy.id, teacher: "Ms. Park" });
+    failOnce("saveWeekToHistory");
+    const res = await carol.post("/endweek", { sid: amy.id });
+    assert.equal(res.location, `/?sid=${amy.id}`);
+    const page = (await carol.get(`/?sid=${amy.id}`)).body;
+    assert.match(page, /Save failed: Sheets is unavailable/);
+    assert.equal((await app.storage.readHistoryRows()).length, 0);
+    assert.equal((await app.storage.readCheckins()).filter((c) => c.status === "open").length, 1);
+
+    // Shown once
+    assert.doesNotMatch((await carol.get(`/?sid=${amy.id}`)).body, /Save failed/);
+  });
+});
+
+test("a failed read shows the read error banner, not a bare 500", async (t) => {
+  const app = await startApp({ users: [{ username: "root", password: "pw-root", role: "admin" }] });
+  t.after(app.close);
+  await app.storage.ensureStudent("root", "Amy");
+  const root = createClient(app.baseUrl);
+  await root.login("root", "pw-root");
+
+  const getSetting = app.storage.getSetting;
+  app.storage.getSetting = async () => {
+    throw new Error("Sheets is unavailable");
+  };
+  t.after(() => (app.storage.getSetting = getSetting));
+
+  for (const path of ["/admin", "/students"]) {
+    const page = await root.get(path);
+    assert.equal(page.status, 200, path);
+    assert.match(page.body, /Read error: Sheets is unavailable/, path);
+  }
+});
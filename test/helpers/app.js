@@ -0,0 +1,76 @@
+// Starts the app on a random port over in-memory storage, and a small client
+// that keeps the session cookie and sends the CSRF token like a browser would.
+process.env.SCHOOL_TZ = process.env.SCHOOL_TZ || "America/Los_Angeles";
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || "test-secret";
+// Request and error logs would bury the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+
+const session = require("express-session");
+const { createApp } = require("../../app");
+const { hashPassword } = require("../../lib/passwords");
+const { createServices } = require("../../services");
+const { createFakeStorage } = require("./fakeStorage");
+
+// users: [{ username, password, role }]
+async function startApp({ users = [] } = {}) {
+  const storage = createFakeStorage();
+  for (const u of users) {
+    await storage.saveUser({ username: u.username, passwordHash: await hashPassword(u.password), role: u.role });
+  }
+  const services = createServices(storage);
+  const app = createApp({ storage, services, sessionStore: new session.MemoryStore() });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  return {
+    storage,
+    services,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function csrfFrom(html) {
+  return /name="_csrf" value="([^"]*)"/.exec(html)?.[1] || "";
+}
+
+function createClient(baseUrl) {
+  let cookie = "";
+  let csrf = "";
+
+  async function request(path, options = {}) {
+    const res = await fetch(baseUrl + path, {
+      ...options,
+      redirect: "manual",
+      headers: { ...(cookie ? { cookie } : {}), ...options.headers },
+    });
+    const set = res.headers.getSetCookie().find((c) => c.startsWith("checkin.sid="));
+    if (set) cookie = set.split(";")[0];
+    const body = await res.text();
+    csrf = csrfFrom(body) || csrf;
+    return { status: res.status, location: res.headers.get("location") || "", headers: res.headers, body };
+  }
+
+  const client = {
+    get: (path) => request(path),
+
+    // Form post with the page's CSRF token unless the fields bring their own;
+    // an array value is sent as that field repeated, like ticked checkboxes
+    post: (path, fields = {}, headers = {}) =>
+      request(path, {
+        method: "POST",
+        headers: { "content-type": "application/x-www-form-urlencoded", ...headers },
+        body: new URLSearchParams(
+          Object.entries({ _csrf: csrf, ...fields }).flatMap(([k, v]) => [].concat(v).map((x) => [k, x]))
+        ).toString(),
+      }),
+
+    async login(username, password) {
+      await client.get("/login");
+      return client.post("/login", { username, password });
+    },
+  };
+  return client;
+}
+
+module.exports = { startApp, createClient };
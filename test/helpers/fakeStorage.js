@@ -0,0 +1,368 @@
+// An in-memory storage backend with the interface documented in
+// storage/index.js, following the SQLite backend's behaviour. Each call to
+// createFakeStorage() starts empty.
+const { normalizeOwner, normalizeStudentName } = require("../../storage/common");
+
+function createFakeStorage() {
+  let nextId = 1;
+  const newId = () => String(nextId++);
+  const copy = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+  const students = [];
+  const history = [];
+  const checkins = [];
+  const users = new Map();
+  const tokens = [];
+  const shares = [];
+  const settings = new Map();
+  const auditLog = [];
+
+  const studentById = (id) => students.find((s) => s.id === String(id));
+  const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+  // Rows carry their student's current owner and name, like the SQL joins
+  const joined = (row) => {
+    const s = studentById(row.studentId);
+    return { ...copy(row), owner: s.owner, student: s.student };
+  };
+  const live = (s) => Boolean(s?.owner) && !s.deletedAt;
+  const visible = (row) => live(studentById(row.studentId));
+  const studentOut = ({ deletedAt, ...s }) => copy(s);
+
+  // ---------- students ----------
+
+  async function readStudentsList() {
+    return students.filter(live).map(studentOut);
+  }
+
+  async function readDeletedStudents() {
+    return students
+      .filter((s) => s.owner && s.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || Number(a.id) - Number(b.id))
+      .map(({ id, owner, student, grade, deletedAt }) => ({ id, owner, student, grade, deletedAt }));
+  }
+
+  async function addStudents(rows) {
+    let added = 0;
+    for (const r of rows) {
+      const owner = normalizeOwner(r.owner);
+      const student = normalizeStudentName(r.student);
+      if (!owner || !student) continue;
+      const existing = students.find((s) => s.owner === owner && sameName(s.student, student));
+      if (existing?.deletedAt) {
+        existing.deletedAt = "";
+        added += 1;
+      }
+      if (existing) continue;
+      students.push({
+        id: newId(),
+        owner,
+        student,
+        grade: (r.grade || "").trim(),
+        externalId: (r.externalId || "").trim(),
+        archived: false,
+        goal: null,
+        maxCheckins: null,
+        deletedAt: "",
+      });
+      added += 1;
+    }
+    return added;
+  }
+
+  async function ensureStudent(owner, name, details = {}) {
+    await addStudents([{ owner, student: name, ...details }]);
+    const o = normalizeOwner(owner);
+    const n = normalizeStudentName(name);
+    const student = students.find((s) => s.owner === o && sameName(s.student, n));
+    return student ? studentOut(student) : null;
+  }
+
+  async function renameStudent(id, name) {
+    const student = studentById(id);
+    const newName = normalizeStudentName(name);
+    if (!student || !newName) return;
+    if (students.some((s) => s !== student && s.owner === student.owner && sameName(s.student, newName))) {
+      throw new Error(`${student.owner} already has a student named ${newName}`);
+    }
+    student.student = newName;
+  }
+
+  async function setStudentArchived(id, archived) {
+    const student = studentById(id);
+    if (student) student.archived = Boolean(archived);
+  }
+
+  async function setStudentDeleted(id, deleted) {
+    const student = studentById(id);
+    if (student) student.deletedAt = deleted ? new Date().toISOString() : "";
+  }
+
+  async function setStudentPlan(id, { goal, maxCheckins }) {
+    const student = studentById(id);
+    if (!student) return;
+    student.goal = goal ?? null;
+    student.maxCheckins = maxCheckins ?? null;
+  }
+
+  async function mergeStudents(fromId, intoId) {
+    const from = String(fromId);
+    const into = String(intoId);
+    if (from === into) return;
+    for (const r of [...history, ...checkins]) {
+      if (r.studentId === from) r.studentId = into;
+    }
+    for (const sh of shares.filter((sh) => sh.studentId === from)) {
+      if (!shares.some((x) => x.studentId === into && x.username === sh.username)) {
+        shares.push({ studentId: into, username: sh.username });
+      }
+    }
+    remove(shares, (sh) => sh.studentId === from);
+    remove(students, (s) => s.id === from);
+  }
+
+  // ---------- history ----------
+
+  async function readHistoryRows() {
+    return history.filter(visible).map(joined);
+  }
+
+  async function saveWeekToHistory(studentId, weekEnding, count, teacherSummary, plan = {}) {
+    const fields = {
+      checkins: count,
+      teacher: teacherSummary || "",
+      goal: plan.goal ?? null,
+      maxCheckins: plan.maxCheckins ?? null,
+    };
+    const existing = history.find((r) => r.studentId === String(studentId) && r.weekEnding === weekEnding);
+    if (existing) Object.assign(existing, fields);
+    else history.push({ id: newId(), studentId: String(studentId), weekEnding, ...fields });
+  }
+
+  async function updateHistoryRow(id, changes) {
+    const row = history.find((r) => r.id === String(id));
+    if (!row) return null;
+    const updated = { ...joined(row), ...changes, id: row.id };
+    for (const key of ["checkins", "teacher", "goal", "maxCheckins"]) row[key] = updated[key];
+    return updated;
+  }
+
+  async function deleteHistoryRows(ids) {
+    const gone = new Set(ids.map(String));
+    remove(history, (r) => gone.has(r.id));
+  }
+
+  // ---------- check-ins ----------
+
+  async function readCheckins() {
+    return checkins
+      .filter(visible)
+      .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt) || Number(a.id) - Number(b.id))
+      .map(joined);
+  }
+
+  async function addCheckin(checkin) {
+    const row = {
+      id: newId(),
+      studentId: String(checkin.studentId),
+      occurredAt: checkin.occurredAt || new Date().toISOString(),
+      enteredBy: normalizeOwner(checkin.enteredBy),
+      teacher: checkin.teacher || "",
+      category: checkin.category || "",
+      note: checkin.note || "",
+      status: "open",
+      clientId: checkin.clientId || "",
+    };
+    checkins.push(row);
+    return joined(row);
+  }
+
+  async function updateCheckin(id, changes) {
+    const row = checkins.find((c) => c.id === String(id));
+    if (!row) return null;
+    const updated = { ...joined(row), ...changes, id: row.id };
+    for (const key of ["occurredAt", "teacher", "category", "note"]) row[key] = updated[key] || "";
+    return updated;
+  }
+
+  async function restoreCheckins(list) {
+    for (const c of list) {
+      if (checkins.some((x) => x.id === String(c.id))) continue;
+      checkins.push({
+        id: String(c.id),
+        studentId: String(c.studentId),
+        occurredAt: c.occurredAt,
+        enteredBy: normalizeOwner(c.enteredBy),
+        teacher: c.teacher || "",
+        category: c.category || "",
+        note: c.note || "",
+        status: c.status || "open",
+        clientId: c.clientId || "",
+      });
+    }
+  }
+
+  async function setCheckinStatus(ids, status) {
+    const set = new Set(ids.map(String));
+    for (const c of checkins) if (set.has(c.id)) c.status = status;
+  }
+
+  async function deleteCheckins(ids) {
+    const gone = new Set(ids.map(String));
+    remove(checkins, (c) => gone.has(c.id));
+  }
+
+  // ---------- users and tokens ----------
+
+  async function listUsers() {
+    return Array.from(users.values())
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(copy);
+  }
+
+  async function getUser(username) {
+    return copy(users.get(normalizeOwner(username))) || null;
+  }
+
+  async function saveUser(user) {
+    const username = normalizeOwner(user.username);
+    const existing = users.get(username);
+    users.set(username, {
+      username,
+      passwordHash: user.passwordHash || "",
+      disabled: Boolean(user.disabled),
+      failedAttempts: user.failedAttempts || 0,
+      lockedUntil: user.lockedUntil || 0,
+      createdAt: existing?.createdAt || user.createdAt || new Date().toISOString(),
+      role: user.role || "teacher",
+      email: user.email || "",
+      digest: Boolean(user.digest),
+    });
+  }
+
+  async function listApiTokens() {
+    return tokens.map(copy);
+  }
+
+  async function addApiToken({ username, label, tokenHash }) {
+    const token = {
+      id: newId(),
+      username: normalizeOwner(username),
+      label: label || "",
+      tokenHash,
+      createdAt: new Date().toISOString(),
+    };
+    tokens.push(token);
+    return copy(token);
+  }
+
+  async function deleteApiToken(id) {
+    remove(tokens, (t) => t.id === String(id));
+  }
+
+  // ---------- sharing ----------
+
+  async function listShares() {
+    return shares.filter((sh) => !studentById(sh.studentId).deletedAt).map(joined);
+  }
+
+  async function addShare(studentId, username) {
+    const share = { studentId: String(studentId), username: normalizeOwner(username) };
+    if (!shares.some((s) => s.studentId === share.studentId && s.username === share.username)) {
+      shares.push(share);
+    }
+  }
+
+  async function removeShare(studentId, username) {
+    remove(shares, (s) => s.studentId === String(studentId) && s.username === normalizeOwner(username));
+  }
+
+  async function transferCaseload(fromOwner, toOwner) {
+    const from = normalizeOwner(fromOwner);
+    const to = normalizeOwner(toOwner);
+    const conflicts = students
+      .filter((a) => a.owner === from && students.some((b) => b.owner === to && sameName(a.student, b.student)))
+      .map((s) => s.student);
+    if (conflicts.length > 0) {
+      throw new Error(`${to} already has students named: ${conflicts.join(", ")}`);
+    }
+    for (const s of students) if (s.owner === from) s.owner = to;
+  }
+
+  // ---------- settings and audit log ----------
+
+  async function getSetting(key) {
+    return settings.has(key) ? settings.get(key) : null;
+  }
+
+  async function setSetting(key, value) {
+    settings.set(key, String(value));
+  }
+
+  async function readAuditLog() {
+    return auditLog.map(copy);
+  }
+
+  async function addAuditEntry(entry) {
+    const stored = {
+      id: newId(),
+      at: new Date().toISOString(),
+      username: normalizeOwner(entry.username) || "system",
+      action: entry.action,
+      studentId: String(entry.studentId ?? ""),
+      student: entry.student || "",
+      before: copy(entry.before ?? null),
+      after: copy(entry.after ?? null),
+      undoOf: entry.undoOf || "",
+    };
+    auditLog.push(stored);
+    return copy(stored);
+  }
+
+  return {
+    name: "memory",
+    prepare: async () => {},
+    ping: async () => {},
+    readHistoryRows,
+    readStudentsList,
+    readDeletedStudents,
+    ensureStudent,
+    addStudents,
+    renameStudent,
+    setStudentArchived,
+    setStudentDeleted,
+    setStudentPlan,
+    mergeStudents,
+    saveWeekToHistory,
+    updateHistoryRow,
+    deleteHistoryRows,
+    readCheckins,
+    addCheckin,
+    updateCheckin,
+    restoreCheckins,
+    setCheckinStatus,
+    deleteCheckins,
+    listUsers,
+    getUser,
+    saveUser,
+    listApiTokens,
+    addApiToken,
+    deleteApiToken,
+    listShares,
+    addShare,
+    removeShare,
+    transferCaseload,
+    getSetting,
+    setSetting,
+    readAuditLog,
+    addAuditEntry,
+  };
+}
+
+// Drops the items matching `test` from `list` in place
+function remove(list, test) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (test(list[i])) list.splice(i, 1);
+  }
+}
+
+module.exports = { createFakeStorage };
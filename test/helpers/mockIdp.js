@@ -0,0 +1,117 @@
+// A local stand-in for Google's OpenID Connect provider: discovery, an
+// authorize endpoint that signs straight in as whoever the test picked, a
+// token endpoint that checks the client, redirect URI and PKCE verifier, and
+// the JWKS its ID tokens are signed with.
+const crypto = require("crypto");
+const http = require("http");
+
+const CLIENT_ID = "test-client";
+const CLIENT_SECRET = "test-secret";
+
+function signJwt(claims, privateKey, kid) {
+  const part = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const signed = `${part({ alg: "RS256", typ: "JWT", kid })}.${part(claims)}`;
+  return `${signed}.${crypto.sign("sha256", Buffer.from(signed), privateKey).toString("base64url")}`;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+  });
+}
+
+async function startMockIdp() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  // Signs tokens the JWKS doesn't vouch for, under the same key id
+  const rogueKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+  const kid = "mock-key-1";
+  const codes = new Map(); // code -> { claims, nonce, challenge, redirectUri, rogue }
+  const idp = {
+    issuer: "",
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+    // The query of the last authorize request
+    lastAuthorize: null,
+    // Who the next authorize signs in as; any ID token claim can be overridden
+    // (nonce, aud...), and rogue signs with a key that isn't in the JWKS
+    account: { email: "", hd: "", email_verified: true },
+    rogue: false,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, idp.issuer);
+    const json = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return json(200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+      });
+    }
+    if (url.pathname === "/jwks") {
+      return json(200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" }] });
+    }
+    if (url.pathname === "/authorize") {
+      const q = Object.fromEntries(url.searchParams);
+      idp.lastAuthorize = q;
+      const code = crypto.randomBytes(16).toString("hex");
+      codes.set(code, {
+        claims: { ...idp.account },
+        nonce: q.nonce,
+        challenge: q.code_challenge,
+        redirectUri: q.redirect_uri,
+        rogue: idp.rogue,
+      });
+      const back = new URL(q.redirect_uri);
+      back.searchParams.set("code", code);
+      back.searchParams.set("state", q.state);
+      res.writeHead(302, { location: back.toString() });
+      return res.end();
+    }
+    if (url.pathname === "/token" && req.method === "POST") {
+      const form = await readBody(req);
+      const grant = codes.get(form.get("code"));
+      // Codes are single use
+      codes.delete(form.get("code"));
+      if (form.get("client_id") !== CLIENT_ID || form.get("client_secret") !== CLIENT_SECRET) {
+        return json(401, { error: "invalid_client" });
+      }
+      const verifier = form.get("code_verifier") || "";
+      const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+      if (!grant || grant.redirectUri !== form.get("redirect_uri") || grant.challenge !== challenge) {
+        return json(400, { error: "invalid_grant" });
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const claims = {
+        iss: idp.issuer,
+        aud: CLIENT_ID,
+        sub: crypto.createHash("sha256").update(grant.claims.email || "").digest("hex").slice(0, 21),
+        iat: now,
+        exp: now + 3600,
+        nonce: grant.nonce,
+        ...grant.claims,
+      };
+      if (!claims.hd) delete claims.hd;
+      return json(200, {
+        access_token: "mock-access-token",
+        token_type: "Bearer",
+        id_token: signJwt(claims, grant.rogue ? rogueKey : privateKey, kid),
+      });
+    }
+    json(404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  idp.issuer = `http://127.0.0.1:${server.address().port}`;
+  idp.close = () => new Promise((resolve) => server.close(resolve));
+  return idp;
+}
+
+module.exports = { startMockIdp };
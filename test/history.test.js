@@ -0,0 +1,110 @@
+// Saved weeks on a student's page: what's shown, to whom, and editing them.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+const { weeklySummary } = require("../domain/history");
+const { addDaysISO, currentWeekEnding } = require("../domain/weeks");
+
+// [weekEnding, rowsLabel] for each history table row, top to bottom
+function historyWeeks(html, studentName) {
+  const re = new RegExp(`<td>${studentName}</td>\\s*<td>(\\d{4}-\\d{2}-\\d{2})(?: <span[^>]*>\\((\\d+) rows\\))?`, "g");
+  return Array.from(html.matchAll(re), (m) => [m[1], Number(m[2] || 1)]);
+}
+
+test("weeklySummary keeps the highest row of a duplicated week, newest first", () => {
+  const rows = [
+    { id: "1", studentId: "a", weekEnding: "2026-10-02", checkins: 2 },
+    { id: "2", studentId: "a", weekEnding: "2026-10-09", checkins: 1 },
+    { id: "3", studentId: "a", weekEnding: "2026-10-09", checkins: 4 },
+    { id: "4", studentId: "b", weekEnding: "2026-10-16", checkins: 5 },
+  ];
+  assert.deepEqual(
+    weeklySummary(rows, "a").map((r) => [r.id, r.weekEnding, r.checkins, r.rows]),
+    [
+      ["3", "2026-10-09", 4, 2],
+      ["1", "2026-10-02", 2, 1],
+    ]
+  );
+});
+
+test("history on the student page", async (t) => {
+  const app = await startApp({
+    users: [
+      { username: "carol", password: "pw-carol", role: "teacher" },
+      { username: "dave", password: "pw-dave", role: "teacher" },
+    ],
+  });
+  t.after(app.close);
+  const { storage } = app;
+
+  const week = (n) => addDaysISO(currentWeekEnding(), -7 * n);
+  const amy = await storage.ensureStudent("carol", "Amy");
+  await storage.saveWeekToHistory(amy.id, week(1), 3, "Ms. Park", { goal: 4, maxCheckins: 5 });
+  await storage.saveWeekToHistory(amy.id, week(3), 2, "", { goal: 2, maxCheckins: 3 });
+  await storage.saveWeekToHistory(amy.id, week(2), 5, "Mr. Lee; Ms. Park", { goal: 4, maxCheckins: 5 });
+  // Merging a duplicate student leaves two rows for the same week
+  const twin = await storage.ensureStudent("carol", "Amy R");
+  await storage.saveWeekToHistory(twin.id, week(1), 1, "Mr. Lee", { goal: 4, maxCheckins: 5 });
+  await storage.mergeStudents(twin.id, amy.id);
+  await storage.addShare(amy.id, "dave");
+
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+
+  await t.test("weeks are listed newest first with duplicates folded", async () => {
+    const page = await carol.get(`/?sid=${amy.id}`);
+    assert.equal(page.status, 200);
+    assert.deepEqual(historyWeeks(page.body, "Amy"), [
+      [week(1), 2],
+      [week(2), 1],
+      [week(3), 1],
+    ]);
+    // The owner gets editable rows; the week keeps the goal it was saved with
+    assert.match(page.body, /name="checkins" form="history-\d+" min="0" max="5" value="3"/);
+    assert.match(page.body, /value="Mr\. Lee; Ms\. Park"/);
+    assert.match(page.body, /\(goal was 2\)/);
+  });
+
+  await t.test("a teacher it's shared with sees the weeks read-only", async () => {
+    const dave = createClient(app.baseUrl);
+    await dave.login("dave", "pw-dave");
+    const page = await dave.get(`/?sid=${amy.id}`);
+    assert.equal(historyWeeks(page.body, "Amy").length, 3);
+    assert.doesNotMatch(page.body, /action="\/history\/\d+\/edit"/);
+    assert.match(page.body, /<span class="badge" style="background:#14532d">5<\/span>/);
+
+    const row = (await storage.readHistoryRows()).find((r) => r.weekEnding === week(2));
+    await dave.get(`/?sid=${amy.id}`);
+    const res = await dave.post(`/history/${row.id}/edit`, { checkins: "0" });
+    assert.equal(res.status, 403);
+  });
+
+  await t.test("the owner can correct a week", async () => {
+    const row = (await storage.readHistoryRows()).find((r) => r.weekEnding === week(2));
+    await carol.get(`/?sid=${amy.id}`);
+    let res = await carol.post(`/history/${row.id}/edit`, { checkins: "9", teacher: "x" });
+    assert.match((await carol.get(res.location)).body, /Check-ins must be a whole number from 0 to 5/);
+
+    res = await carol.post(`/history/${row.id}/edit`, { checkins: "4", teacher: "Mr. Lee" });
+    assert.equal(res.location, `/?sid=${amy.id}`);
+    const saved = (await storage.readHistoryRows()).find((r) => r.id === row.id);
+    assert.deepEqual([saved.checkins, saved.teacher], [4, "Mr. Lee"]);
+    assert.match((await carol.get(res.location)).body, new RegExp(`form="history-${row.id}" min="0" max="5" value="4"`));
+  });
+
+  await t.test("deleting a week removes it from the page", async () => {
+    const row = (await storage.readHistoryRows()).find((r) => r.weekEnding === week(3));
+    await carol.post(`/history/${row.id}/delete`);
+    const page = await carol.get(`/?sid=${amy.id}`);
+    assert.deepEqual(
+      historyWeeks(page.body, "Amy").map(([w]) => w),
+      [week(1), week(2)]
+    );
+  });
+
+  await t.test("a student with no saved weeks says so", async () => {
+    const ben = await storage.ensureStudent("carol", "Ben");
+    const page = await carol.get(`/?sid=${ben.id}`);
+    assert.match(page.body, /No weeks recorded yet for this student/);
+  });
+});
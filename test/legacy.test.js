@@ -0,0 +1,161 @@
+// Importing the pre-owner SQLite files (storage/legacy, domain/legacy).
+process.env.SCHOOL_TZ = "America/Los_Angeles";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const Database = require("better-sqlite3");
+const { readLegacyFile } = require("../storage/legacy");
+const { planLegacyImport } = require("../domain/legacy");
+
+// A file with the schema of checkins.db, or checkins_old.db when single
+function legacyFile(t, { single = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "legacy-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, single ? "checkins_old.db" : "checkins.db");
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE students (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE);
+    CREATE TABLE weekly_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${single ? "" : "student_id INTEGER NOT NULL,"}
+      week_ending_friday TEXT NOT NULL,
+      checkins INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE current_week (${single ? "id INTEGER PRIMARY KEY CHECK (id = 1)" : "student_id INTEGER PRIMARY KEY"}, checkins INTEGER NOT NULL);
+  `);
+  return { file, db };
+}
+
+test("reads both legacy layouts without changing them", (t) => {
+  const multi = legacyFile(t);
+  multi.db.exec(`
+    INSERT INTO students (id, name) VALUES (2, 'Jasmine');
+    INSERT INTO weekly_history (student_id, week_ending_friday, checkins) VALUES (2, '2025-01-17', 4), (9, '2025-01-17', 1);
+    INSERT INTO current_week (student_id, checkins) VALUES (2, 3);
+  `);
+  multi.db.close();
+  const single = legacyFile(t, { single: true });
+  single.db.exec(`
+    INSERT INTO weekly_history (week_ending_friday, checkins) VALUES ('2024-05-03', 5);
+    INSERT INTO current_week (id, checkins) VALUES (1, 0);
+  `);
+  single.db.close();
+  const before = fs.readFileSync(multi.file);
+
+  assert.deepEqual(readLegacyFile(multi.file), {
+    file: multi.file,
+    history: [
+      { legacyId: 1, studentId: 2, student: "Jasmine", owner: "", weekEnding: "2025-01-17", checkins: 4, teacher: "" },
+      { legacyId: 2, studentId: 9, student: "", owner: "", weekEnding: "2025-01-17", checkins: 1, teacher: "" },
+    ],
+    counters: [{ student: "Jasmine", owner: "", checkins: 3 }],
+  });
+  assert.deepEqual(readLegacyFile(single.file).history, [
+    { legacyId: 1, studentId: null, student: "", owner: "", weekEnding: "2024-05-03", checkins: 5, teacher: "" },
+  ]);
+  assert.deepEqual(readLegacyFile(single.file).counters, []);
+  assert.ok(fs.readFileSync(multi.file).equals(before));
+});
+
+test("the import plan dedupes against history and reports every row", () => {
+  const row = (legacyId, fields) => ({
+    legacyId,
+    studentId: 2,
+    student: "Jasmine",
+    owner: "",
+    teacher: "",
+    ...fields,
+  });
+  const sources = [
+    {
+      file: "checkins.db",
+      history: [
+        row(1, { weekEnding: "2025-01-17", checkins: 4 }),
+        row(2, { weekEnding: "2025-01-24", checkins: 3 }),
+        row(3, { weekEnding: "2025-01-31", checkins: 2 }),
+        row(4, { weekEnding: "2025-01-31 00:00:00", checkins: 5 }),
+        row(5, { weekEnding: "2025-02-05", checkins: 1 }),
+        row(6, { studentId: 9, student: "", weekEnding: "2025-02-07", checkins: 1 }),
+        row(7, { weekEnding: "soon", checkins: 1 }),
+      ],
+      counters: [{ student: "Jasmine", owner: "", checkins: 3 }],
+    },
+    {
+      file: "checkins_old.db",
+      history: [
+        { legacyId: 1, studentId: null, student: "", owner: "", weekEnding: "2024-05-03", checkins: 5, teacher: "" },
+        row(2, { weekEnding: "2025-01-17", checkins: 4 }),
+      ],
+      counters: [],
+    },
+  ];
+  const existing = [
+    { owner: "alice", student: "jasmine", weekEnding: "2025-01-17", checkins: 4 },
+    { owner: "alice", student: "Jasmine", weekEnding: "2025-01-24", checkins: 2 },
+  ];
+
+  const report = planLegacyImport(sources, existing, { owner: "Alice", student: "Marco" });
+  assert.deepEqual(
+    report.map((r) => [r.source, r.status, r.student, r.weekEnding, r.reason]),
+    [
+      ["checkins.db#1", "skip", "Jasmine", "2025-01-17", "already in history"],
+      ["checkins.db#2", "conflict", "Jasmine", "2025-01-24", "history has 2 check-ins"],
+      ["checkins.db#3", "import", "Jasmine", "2025-01-31", ""],
+      ["checkins.db#4", "conflict", "Jasmine", "2025-01-31", "checkins.db#3 has 2 check-ins"],
+      // A Wednesday is named by the Friday that ends its week
+      ["checkins.db#5", "import", "Jasmine", "2025-02-07", ""],
+      ["checkins.db#6", "skip", "", "", "student #9 is not in the students table"],
+      ["checkins.db#7", "skip", "Jasmine", "", 'bad week ending "soon"'],
+      ["checkins.db#current_week", "skip", "Jasmine", "", "unsaved current-week counter"],
+      ["checkins_old.db#1", "import", "Marco", "2024-05-03", ""],
+      ["checkins_old.db#2", "skip", "Jasmine", "2025-01-17", "already in history"],
+    ]
+  );
+  assert.ok(report.every((r) => r.owner === "alice"));
+});
+
+test("rows with no student or owner to go to are skipped", () => {
+  const sources = [
+    {
+      file: "checkins_old.db",
+      history: [{ legacyId: 1, studentId: null, student: "", owner: "", weekEnding: "2024-05-03", checkins: 5 }],
+      counters: [],
+    },
+    {
+      file: "checkins.db",
+      history: [{ legacyId: 1, studentId: 2, student: "Jasmine", owner: "", weekEnding: "2024-05-03", checkins: 5 }],
+      counters: [],
+    },
+  ];
+  assert.deepEqual(
+    planLegacyImport(sources, [], { owner: "alice" }).map((r) => r.reason),
+    ["single-student file: pass --student", ""]
+  );
+  assert.deepEqual(
+    planLegacyImport(sources, [], { student: "Marco" }).map((r) => r.reason),
+    ["no owner: pass --owner", "no owner: pass --owner"]
+  );
+});
+
+test("the SQLite backend won't open a legacy file as its database", (t) => {
+  for (const single of [false, true]) {
+    const legacy = legacyFile(t, { single });
+    legacy.db.exec("INSERT INTO students (id, name) VALUES (2, 'Jasmine')");
+    legacy.db.close();
+    const before = fs.readFileSync(legacy.file);
+
+    const run = spawnSync(process.execPath, ["-e", 'require("./storage/sqlite")'], {
+      cwd: path.join(__dirname, ".."),
+      env: { ...process.env, SQLITE_PATH: legacy.file },
+      encoding: "utf8",
+    });
+    assert.notEqual(run.status, 0);
+    assert.match(run.stderr, /legacy database from before owners/);
+    assert.ok(fs.readFileSync(legacy.file).equals(before));
+  }
+});
@@ -0,0 +1,78 @@
+// Signing in and out with a password, and what a session is needed for.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+const { MAX_LOGIN_FAILURES } = require("../lib/config");
+
+test("login flow", async (t) => {
+  const app = await startApp({ users: [{ username: "carol", password: "secret-pw", role: "admin" }] });
+  t.after(app.close);
+
+  await t.test("pages redirect to /login without a session", async () => {
+    const client = createClient(app.baseUrl);
+    const res = await client.get("/");
+    assert.equal(res.status, 302);
+    assert.equal(res.location, "/login");
+  });
+
+  await t.test("the login form carries a CSRF token", async () => {
+    const client = createClient(app.baseUrl);
+    const res = await client.get("/login");
+    assert.equal(res.status, 200);
+    assert.match(res.body, /name="_csrf" value="[0-9a-f]{48}"/);
+    assert.match(res.body, /name="password"/);
+  });
+
+  await t.test("a wrong password is refused", async () => {
+    const client = createClient(app.baseUrl);
+    const res = await client.login("carol", "wrong");
+    assert.equal(res.location, "/login?error=invalid");
+    assert.match((await client.get(res.location)).body, /Incorrect username or password/);
+    assert.equal((await client.get("/")).location, "/login");
+  });
+
+  await t.test("a post without the form's token is refused", async () => {
+    const client = createClient(app.baseUrl);
+    await client.get("/login");
+    const res = await client.post("/login", { username: "carol", password: "secret-pw", _csrf: "nope" });
+    assert.equal(res.location, "/login?error=expired");
+  });
+
+  await t.test("the right password signs in, logout signs out", async () => {
+    const client = createClient(app.baseUrl);
+    const res = await client.login("CAROL ", "secret-pw");
+    assert.equal(res.location, "/");
+
+    const home = await client.get("/");
+    assert.equal(home.status, 200);
+    assert.match(home.body, /carol/);
+    assert.match(home.body, /No students yet/);
+
+    const out = await client.post("/logout");
+    assert.equal(out.location, "/login");
+    assert.equal((await client.get("/")).location, "/login");
+  });
+
+  await t.test("a disabled account is told so, but only with the right password", async () => {
+    const carol = await app.storage.getUser("carol");
+    await app.storage.saveUser({ ...carol, disabled: true });
+    const client = createClient(app.baseUrl);
+    assert.equal((await client.login("carol", "wrong")).location, "/login?error=invalid");
+    const res = await client.login("carol", "secret-pw");
+    assert.equal(res.location, "/login?error=disabled");
+    assert.match((await client.get(res.location)).body, /This account has been disabled/);
+    assert.equal((await client.get("/")).location, "/login");
+    await app.storage.saveUser({ ...carol, disabled: false });
+  });
+
+  await t.test(`${MAX_LOGIN_FAILURES} failures lock the account`, async () => {
+    await app.storage.saveUser({ ...(await app.storage.getUser("carol")), failedAttempts: 0, lockedUntil: 0 });
+    const client = createClient(app.baseUrl);
+    let res;
+    for (let i = 0; i < MAX_LOGIN_FAILURES; i++) res = await client.login("carol", "wrong");
+    assert.equal(res.location, "/login?error=locked");
+    res = await client.login("carol", "secret-pw");
+    assert.equal(res.location, "/login?error=locked");
+    assert.ok((await app.storage.getUser("carol")).lockedUntil > Date.now());
+  });
+});
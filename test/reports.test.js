@@ -0,0 +1,28 @@
+// The Reports page's forms.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+
+test("emailing a progress report", async (t) => {
+  delete process.env.SMTP_URL;
+  delete process.env.SMTP_HOST;
+  const app = await startApp({ users: [{ username: "carol", password: "pw-carol", role: "teacher" }] });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+
+  const page = (await carol.get("/reports")).body;
+  const form = /<form method="POST" action="\/reports\/student\/email"[^>]*>([\s\S]*?)<\/form>/.exec(page);
+  assert.ok(form, "the email form posts on its own");
+  const csrf = /name="_csrf" value="([^"]+)"/.exec(form[1])?.[1];
+  assert.ok(csrf, "and carries the CSRF token");
+  assert.match(form[1], /name="sid"/);
+  assert.match(form[1], /name="from"/);
+
+  // No SMTP here, so it gets as far as sending and says why that failed
+  const res = await carol.post("/reports/student/email", { _csrf: csrf, sid: amy.id, email: "guardian@example.com" });
+  assert.equal(res.status, 302);
+  assert.equal(res.location, "/reports");
+  assert.match((await carol.get("/reports")).body, /Sending failed: Email is not configured/);
+});
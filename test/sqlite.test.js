@@ -0,0 +1,44 @@
+// The SQLite backend against a throwaway file.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlite-storage-"));
+process.env.SQLITE_PATH = path.join(dir, "checkins.db");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const storage = require("../storage/sqlite");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ids are handed out as strings; past 9 they must still sort as numbers
+test("lists come back in id order, not text order", async () => {
+  const names = Array.from({ length: 12 }, (_, i) => `Student ${i + 1}`);
+  await storage.addStudents(names.map((student) => ({ owner: "carol", student })));
+  for (let i = 1; i <= 12; i++) {
+    await storage.addApiToken({ username: "carol", label: `token ${i}`, tokenHash: `hash-${i}` });
+    await storage.addAuditEntry({ username: "carol", action: "student.rename", after: { n: i } });
+  }
+  const numeric = (rows) => rows.map((r) => Number(r.id));
+  const ascending = Array.from({ length: 12 }, (_, i) => i + 1);
+
+  const students = await storage.readStudentsList();
+  assert.deepEqual(numeric(students), ascending);
+  assert.deepEqual(students.map((s) => s.student), names);
+  assert.deepEqual(numeric(await storage.listApiTokens()), ascending);
+  const audit = await storage.readAuditLog();
+  assert.deepEqual(numeric(audit), ascending);
+  assert.deepEqual(audit.map((e) => e.after.n), ascending);
+});
+
+test("a check-in keeps the id the phone gave it", async () => {
+  const [student] = await storage.readStudentsList();
+  const checkin = await storage.addCheckin({ studentId: student.id, enteredBy: "carol", clientId: "queued-1" });
+  assert.equal(checkin.clientId, "queued-1");
+  const plain = await storage.addCheckin({ studentId: student.id, enteredBy: "carol" });
+  assert.equal(plain.clientId, "");
+  await storage.deleteCheckins([checkin.id]);
+  await storage.restoreCheckins([checkin]);
+  assert.equal((await storage.readCheckins()).find((c) => c.id === checkin.id).clientId, "queued-1");
+});
@@ -0,0 +1,141 @@
+// Sign in with Google, against the local mock provider in helpers/mockIdp.
+const crypto = require("crypto");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockIdp } = require("./helpers/mockIdp");
+
+test("Google sign-in", async (t) => {
+  const idp = await startMockIdp();
+  t.after(idp.close);
+  // lib/oidc reads these when it's loaded, so the app is required after
+  Object.assign(process.env, {
+    OIDC_ISSUER: idp.issuer,
+    GOOGLE_CLIENT_ID: idp.clientId,
+    GOOGLE_CLIENT_SECRET: idp.clientSecret,
+    GOOGLE_ALLOWED_DOMAINS: "school.org",
+  });
+  const sso = require("../lib/oidc");
+  const { startApp, createClient } = require("./helpers/app");
+
+  const app = await startApp({ users: [{ username: "alice", password: "pw-alice", role: "admin" }] });
+  t.after(app.close);
+  await app.storage.saveUser({ ...(await app.storage.getUser("alice")), email: "alice@school.org" });
+
+  // Google's round trip: /auth/google, the provider's authorize page, then
+  // back to the callback (its query changed by `tamper` if given)
+  async function googleSignIn(client, account, tamper = (query) => query) {
+    idp.account = { email_verified: true, ...account };
+    const start = await client.get("/auth/google");
+    assert.ok(start.location.startsWith(`${idp.issuer}/authorize?`), start.location);
+    const authorized = await fetch(start.location, { redirect: "manual" });
+    const callback = new URL(authorized.headers.get("location"));
+    assert.equal(callback.origin, app.baseUrl);
+    return client.get(`${callback.pathname}?${tamper(callback.searchParams)}`);
+  }
+
+  await t.test("the login page offers it", async () => {
+    assert.match((await createClient(app.baseUrl).get("/login")).body, /\/auth\/google/);
+  });
+
+  await t.test("the authorize request uses state, nonce, PKCE and the hd hint", async () => {
+    const { url, state, nonce, verifier } = await sso.startLogin("http://app.test/auth/google/callback");
+    const q = Object.fromEntries(new URL(url).searchParams);
+    assert.equal(q.client_id, idp.clientId);
+    assert.equal(q.response_type, "code");
+    assert.equal(q.state, state);
+    assert.equal(q.nonce, nonce);
+    assert.equal(q.code_challenge_method, "S256");
+    assert.equal(q.code_challenge, crypto.createHash("sha256").update(verifier).digest("base64url"));
+    assert.equal(q.hd, "school.org");
+    assert.notEqual(state, nonce);
+  });
+
+  await t.test("a new school account signs in as a new teacher", async () => {
+    const client = createClient(app.baseUrl);
+    const res = await googleSignIn(client, { email: "Bob@School.org", hd: "school.org" });
+    assert.equal(res.location, "/");
+    const home = await client.get("/");
+    assert.equal(home.status, 200);
+    assert.match(home.body, /data-viewer="bob@school\.org"/);
+
+    const bob = await app.storage.getUser("bob@school.org");
+    assert.deepEqual([bob.role, bob.email, bob.passwordHash], ["teacher", "bob@school.org", ""]);
+    const added = (await app.storage.readAuditLog()).find((e) => e.action === "user.add");
+    assert.equal(added.username, "system");
+    assert.equal(added.after.via, "Google sign-in");
+  });
+
+  await t.test("an account's email signs in as that account", async () => {
+    const client = createClient(app.baseUrl);
+    const users = (await app.storage.listUsers()).length;
+    const res = await googleSignIn(client, { email: "alice@school.org", hd: "school.org" });
+    assert.equal(res.location, "/");
+    assert.match((await client.get("/")).body, /data-viewer="alice"/);
+    assert.equal((await app.storage.listUsers()).length, users);
+  });
+
+  await t.test("another domain, or a school address without the Workspace hd, is refused", async () => {
+    for (const account of [
+      { email: "eve@gmail.com" },
+      { email: "eve@evil.org", hd: "evil.org" },
+      // A personal Google account registered with a school address
+      { email: "eve@school.org" },
+      { email: "eve@school.org", hd: "evil.org" },
+    ]) {
+      const client = createClient(app.baseUrl);
+      const res = await googleSignIn(client, account);
+      assert.equal(res.location, "/login?error=domain", JSON.stringify(account));
+      assert.equal((await client.get("/")).location, "/login");
+    }
+    assert.equal(await app.storage.getUser("eve@school.org"), null);
+  });
+
+  await t.test("an unverified email is refused", async () => {
+    const res = await googleSignIn(createClient(app.baseUrl), {
+      email: "carl@school.org",
+      hd: "school.org",
+      email_verified: false,
+    });
+    assert.equal(res.location, "/login?error=unverified");
+  });
+
+  await t.test("a callback whose state doesn't match is refused", async () => {
+    const client = createClient(app.baseUrl);
+    const res = await googleSignIn(client, { email: "bob@school.org", hd: "school.org" }, (query) => {
+      query.set("state", "forged");
+      return query;
+    });
+    assert.equal(res.location, "/login?error=expired");
+    assert.equal((await client.get("/")).location, "/login");
+
+    // Nor does a callback with no sign-in started
+    const cold = await createClient(app.baseUrl).get("/auth/google/callback?code=x&state=y");
+    assert.equal(cold.location, "/login?error=expired");
+  });
+
+  await t.test("an ID token with the wrong nonce, audience or signature is refused", async () => {
+    for (const [account, rogue] of [
+      [{ nonce: "replayed" }, false],
+      [{ aud: "someone-else" }, false],
+      [{}, true],
+    ]) {
+      idp.rogue = rogue;
+      const client = createClient(app.baseUrl);
+      const res = await googleSignIn(client, { email: "bob@school.org", hd: "school.org", ...account });
+      assert.equal(res.location, "/login?error=sso", JSON.stringify({ account, rogue }));
+      assert.equal((await client.get("/")).location, "/login");
+    }
+    idp.rogue = false;
+  });
+
+  await t.test("the code only trades with the verifier it was issued for", async () => {
+    const redirectUri = "http://app.test/auth/google/callback";
+    const { url, nonce } = await sso.startLogin(redirectUri);
+    idp.account = { email: "bob@school.org", hd: "school.org", email_verified: true };
+    const code = new URL((await fetch(url, { redirect: "manual" })).headers.get("location")).searchParams.get("code");
+    await assert.rejects(
+      sso.finishLogin({ code, redirectUri, nonce, verifier: "not-the-verifier" }),
+      (e) => e instanceof sso.SsoError && /invalid_grant/.test(e.message)
+    );
+  });
+});
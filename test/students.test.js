@@ -0,0 +1,218 @@
+// The Students page: search, filters, sorting and bulk check-ins; archiving,
+// deleting and school years.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+const { filterStudentRows, sortStudentRows, studentListQuery } = require("../domain/studentList");
+const { defaultYearLabel, pickYear, yearRanges } = require("../domain/years");
+
+test("filters and sorts this week's rows", () => {
+  const row = (student, grade, count, status) => ({
+    student: { student, grade, owner: "carol", externalId: "" },
+    count,
+    status,
+  });
+  const rows = [row("Ben", "7", 2, "below"), row("amy", "6", 4, "met"), row("Cal", "6", 0, "none")];
+  const query = (q) => studentListQuery(q, ["6", "7"], ["carol"]);
+  const names = (list) => list.map((r) => r.student.student);
+
+  assert.deepEqual(names(sortStudentRows(rows, "name")), ["amy", "Ben", "Cal"]);
+  assert.deepEqual(names(sortStudentRows(rows, "count-desc")), ["amy", "Ben", "Cal"]);
+  assert.deepEqual(names(sortStudentRows(rows, "count-asc")), ["Cal", "Ben", "amy"]);
+  assert.deepEqual(names(filterStudentRows(rows, query({ status: "below" }))), ["Ben", "Cal"]);
+  assert.deepEqual(names(filterStudentRows(rows, query({ status: "none" }))), ["Cal"]);
+  assert.deepEqual(names(filterStudentRows(rows, query({ grade: "6", q: "AM" }))), ["amy"]);
+  assert.deepEqual(query({ status: "bogus", grade: "9", sort: "x", view: "gone" }), {
+    q: "",
+    view: "",
+    status: "",
+    grade: "",
+    owner: "",
+    sort: "name",
+  });
+});
+
+test("the Students page", async (t) => {
+  const app = await startApp({
+    users: [
+      { username: "carol", password: "pw-carol", role: "counselor" },
+      { username: "dave", password: "pw-dave", role: "teacher" },
+    ],
+  });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy", { grade: "6" });
+  const ben = await app.storage.ensureStudent("carol", "Ben", { grade: "7" });
+  const cal = await app.storage.ensureStudent("carol", "Cal", { grade: "6" });
+  const dan = await app.storage.ensureStudent("dave", "Dan");
+  await app.storage.setStudentPlan(ben.id, { goal: 1, maxCheckins: 1 });
+  await app.storage.addCheckin({ studentId: ben.id, enteredBy: "carol" });
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+  const countFor = async (id) => (await app.storage.readCheckins()).filter((c) => c.studentId === id).length;
+
+  await t.test("lists the viewer's students, filtered", async () => {
+    let page = await carol.get("/students");
+    assert.match(page.body, /3 of 3 students/);
+    assert.doesNotMatch(page.body, /Dan/);
+
+    page = await carol.get("/students?status=met");
+    assert.match(page.body, /1 of 3 students/);
+    assert.match(page.body, />Ben<\/a>/);
+
+    page = await carol.get("/students?grade=6&sort=count-desc");
+    assert.match(page.body, />Amy<\/a>[^]*>Cal<\/a>/);
+    assert.doesNotMatch(page.body, />Ben<\/a>/);
+  });
+
+  await t.test("adds one check-in to each selected student", async () => {
+    await carol.get("/students?grade=6");
+    const res = await carol.post("/students/checkin", {
+      sid: [amy.id, cal.id],
+      teacher: "Ms. Park",
+      category: "Social-emotional",
+      back: "?grade=6",
+    });
+    assert.equal(res.location, "/students?grade=6");
+    assert.equal(await countFor(amy.id), 1);
+    assert.equal(await countFor(cal.id), 1);
+    const added = (await app.storage.readCheckins()).filter((c) => c.teacher === "Ms. Park");
+    assert.deepEqual(
+      added.map((c) => c.category),
+      ["Social-emotional", "Social-emotional"]
+    );
+    assert.match((await carol.get("/students?grade=6")).body, /Added a check-in for 2 students\./);
+  });
+
+  await t.test("adds the rest when some students can't take one", async () => {
+    await carol.get("/students");
+    await carol.post("/students/checkin", { sid: [amy.id, ben.id, dan.id] });
+    assert.equal(await countFor(amy.id), 2);
+    assert.equal(await countFor(ben.id), 1);
+    assert.equal(await countFor(dan.id), 0);
+    const page = await carol.get("/students");
+    assert.match(page.body, /Added a check-in for 1 student\./);
+    assert.match(page.body, /Not added for Ben: Ben already has 1 check-ins this week\./);
+    assert.match(page.body, /Not added for a student: You don&#39;t have access/);
+  });
+
+  await t.test("needs at least one student", async () => {
+    await carol.post("/students/checkin", { teacher: "Ms. Park", back: "//evil.example" });
+    const page = await carol.get("/students");
+    assert.match(page.body, /Pick at least one student\./);
+  });
+});
+
+test("school years split saved weeks", () => {
+  const years = [
+    { label: "2025-26", start: "2025-08-18" },
+    { label: "2026-27", start: "2026-08-17" },
+  ];
+  const ranges = yearRanges(years);
+  assert.deepEqual(
+    ranges.map((r) => [r.label, r.from, r.to]),
+    [
+      ["2026-27", "2026-08-17", ""],
+      ["2025-26", "2025-08-18", "2026-08-16"],
+      ["Earlier", "", "2025-08-17"],
+    ]
+  );
+  const rows = [{ weekEnding: "2026-05-29" }];
+  assert.equal(pickYear(ranges, rows, "").label, "2025-26");
+  assert.equal(pickYear(ranges, [], "").label, "2026-27");
+  assert.equal(pickYear(ranges, rows, "earlier").label, "Earlier");
+  assert.equal(pickYear(ranges, rows, "all"), null);
+  assert.equal(pickYear([], rows, ""), null);
+  assert.equal(defaultYearLabel("2026-08-17"), "2026-27");
+  assert.equal(defaultYearLabel("2027-01-04"), "2026-27");
+});
+
+test("archiving, deleting and starting a school year", async (t) => {
+  const app = await startApp({
+    users: [
+      { username: "carol", password: "pw-carol", role: "counselor" },
+      { username: "root", password: "pw-root", role: "admin" },
+    ],
+  });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  const ben = await app.storage.ensureStudent("carol", "Ben");
+  await app.storage.saveWeekToHistory(amy.id, "2026-05-29", 3, "Ms. Park");
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+  const root = createClient(app.baseUrl);
+  await root.login("root", "pw-root");
+
+  await t.test("archived students leave the list but can be opened", async () => {
+    await app.storage.setStudentArchived(ben.id, true);
+    let page = await carol.get(`/?sid=${amy.id}`);
+    assert.doesNotMatch(page.body, new RegExp(`value="sid=${ben.id}"`));
+    page = await carol.get(`/?sid=${ben.id}`);
+    assert.match(page.body, /Ben is archived/);
+    assert.match((await carol.get("/students?view=archived")).body, />Ben<\/a>/);
+  });
+
+  await t.test("deleting hides the student and their history until brought back", async () => {
+    await carol.get(`/?sid=${amy.id}`);
+    const res = await carol.post(`/students/${amy.id}/delete`);
+    assert.equal(res.location, "/");
+    assert.equal((await app.storage.readStudentsList()).some((s) => s.id === amy.id), false);
+    assert.equal((await app.storage.readHistoryRows()).length, 0);
+    let page = await carol.get("/students?view=deleted");
+    assert.match(page.body, /<td>Amy<\/td>/);
+
+    await carol.post("/students/undelete", { sid: amy.id, back: "?view=deleted" });
+    assert.equal((await app.storage.readHistoryRows()).length, 1);
+    page = await carol.get("/students?view=deleted");
+    assert.match(page.body, /Amy is back, history and all\./);
+  });
+
+  await t.test("re-adding a deleted student's name brings them back", async () => {
+    await carol.get(`/?sid=${amy.id}`);
+    await carol.post(`/students/${amy.id}/delete`);
+    await carol.get("/");
+    const res = await carol.post("/addstudent", { student: "amy" });
+    assert.equal(res.location, `/?sid=${amy.id}`);
+    assert.equal((await app.storage.readHistoryRows()).length, 1);
+  });
+
+  await t.test("a new school year archives everyone, and returning students come back", async () => {
+    await carol.get("/admin/years");
+    assert.equal((await carol.post("/admin/years/start", { label: "2026-27" })).status, 403);
+
+    await root.get("/admin/years");
+    await root.post("/admin/years/start", { label: "2026-27" });
+    assert.match((await root.get("/admin/years")).body, /2026-27 started\. 1 student was archived/);
+    assert.ok((await app.storage.readStudentsList()).every((s) => s.archived));
+    await root.post("/admin/years/start", { label: "Again" });
+    assert.match((await root.get("/admin/years")).body, /A school year already started today\./);
+
+    let page = await carol.get("/");
+    assert.match(page.body, /Every student you can see is archived \(2\)/);
+    page = await carol.get(`/?sid=${amy.id}`);
+    assert.match(page.body, /<option value="earlier" selected>Earlier<\/option>/);
+    assert.match(page.body, /2026-05-29/);
+    page = await carol.get(`/?sid=${amy.id}&year=${encodeURIComponent((await app.services.schoolYears())[0].start)}`);
+    assert.match(page.body, /No weeks recorded in 2026-27/);
+
+    await carol.get("/students?view=archived");
+    await carol.post("/students/restore", { sid: [amy.id], back: "?view=archived" });
+    const students = await app.storage.readStudentsList();
+    assert.equal(students.find((s) => s.id === amy.id).archived, false);
+    assert.equal(students.find((s) => s.id === ben.id).archived, true);
+    assert.match((await carol.get("/students?view=archived")).body, /Restored 1 student\./);
+  });
+
+  await t.test("admins can undo a delete and the start of a year", async () => {
+    await carol.get(`/?sid=${ben.id}`);
+    await carol.post(`/students/${ben.id}/delete`);
+    const entry = async (action) => (await app.storage.readAuditLog()).findLast((e) => e.action === action);
+
+    await root.get("/admin/audit");
+    await root.post(`/admin/audit/${(await entry("student.delete")).id}/undo`);
+    assert.ok((await app.storage.readStudentsList()).some((s) => s.id === ben.id));
+
+    await root.post(`/admin/audit/${(await entry("year.start")).id}/undo`);
+    assert.deepEqual(await app.services.schoolYears(), []);
+    assert.equal((await entry("undo")).after.label, "2026-27");
+  });
+});
@@ -0,0 +1,64 @@
+// The teacher directory behind the check-in form (domain/teachers, /admin/teachers).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+const { parseTeacherDirectory, teacherEntries, withTeacher, withoutTeacher } = require("../domain/teachers");
+
+test("the directory merges added names with the ones already recorded", () => {
+  const directory = { names: ["ms. park", "Mr. Diaz"], hidden: ["Mr Lee"] };
+  const history = [{ teacher: "Ms. Park; Mr Lee" }, { teacher: "" }];
+  const checkins = [{ teacher: "Ms. Park" }, { teacher: "Coach Kim" }];
+  assert.deepEqual(teacherEntries(directory, history, checkins), [
+    { name: "Coach Kim", added: false, uses: 1 },
+    { name: "Mr. Diaz", added: true, uses: 0 },
+    { name: "ms. park", added: true, uses: 2 },
+  ]);
+});
+
+test("removing a name hides it and adding it back unhides it", () => {
+  let directory = parseTeacherDirectory(null);
+  directory = withoutTeacher(withTeacher(directory, "Ms. Park"), "ms. park");
+  assert.deepEqual(directory, { names: [], hidden: ["ms. park"] });
+  directory = withTeacher(directory, "Ms. Park");
+  assert.deepEqual(directory, { names: ["Ms. Park"], hidden: [] });
+  assert.deepEqual(parseTeacherDirectory("not json"), { names: [], hidden: [] });
+});
+
+test("the Teachers admin page", async (t) => {
+  const app = await startApp({
+    users: [
+      { username: "root", password: "pw-root", role: "admin" },
+      { username: "carol", password: "pw-carol", role: "teacher" },
+    ],
+  });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  await app.storage.addCheckin({ studentId: amy.id, enteredBy: "carol", teacher: "Mr Lee" });
+  const admin = createClient(app.baseUrl);
+  await admin.login("root", "pw-root");
+
+  await t.test("lists recorded teachers and adds new ones", async () => {
+    let page = await admin.get("/admin/teachers");
+    assert.match(page.body, /Mr Lee[^]*1 time/);
+    const res = await admin.post("/admin/teachers/add", { name: "  Ms.   Park " });
+    assert.equal(res.location, "/admin/teachers");
+    page = await admin.get("/admin/teachers");
+    assert.match(page.body, /Added Ms\. Park\./);
+    assert.match(page.body, /Ms\. Park<\/td>\s*<td class="muted">Not yet/);
+  });
+
+  await t.test("a removed name is no longer suggested on the home page", async () => {
+    await admin.post("/admin/teachers/remove", { name: "Mr Lee" });
+    const home = await admin.get(`/?sid=${amy.id}`);
+    assert.doesNotMatch(home.body, /<option value="Mr Lee">/);
+    assert.match(home.body, /<option value="Ms\. Park">/);
+    const actions = (await app.storage.readAuditLog()).map((e) => e.action);
+    assert.deepEqual(actions.filter((a) => a.startsWith("teacher.")), ["teacher.add", "teacher.remove"]);
+  });
+
+  await t.test("is for admins only", async () => {
+    const carol = createClient(app.baseUrl);
+    await carol.login("carol", "pw-carol");
+    assert.equal((await carol.get("/admin/teachers")).status, 403);
+  });
+});
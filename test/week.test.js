@@ -0,0 +1,185 @@
+// Adding check-ins, clearing the week and ending it early, through the pages.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, createClient } = require("./helpers/app");
+const { addDaysISO, checkinDays, checkinWeek, currentWeekEnding } = require("../domain/weeks");
+
+test("the current week", async (t) => {
+  const app = await startApp({
+    users: [
+      { username: "carol", password: "pw-carol", role: "teacher" },
+      { username: "dave", password: "pw-dave", role: "teacher" },
+    ],
+  });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+  const weekOf = async () =>
+    (await app.storage.readCheckins()).filter((c) => c.studentId === amy.id && c.status === "open");
+
+  await t.test("adding a student", async () => {
+    await carol.get("/");
+    const res = await carol.post("/addstudent", { student: "  Ben " });
+    const ben = (await app.storage.readStudentsList()).find((s) => s.student === "Ben");
+    assert.equal(ben.owner, "carol");
+    assert.equal(res.location, `/?sid=${ben.id}`);
+  });
+
+  await t.test("adding check-ins", async () => {
+    await carol.get(`/?sid=${amy.id}`);
+    let res = await carol.post("/add", { sid: amy.id, teacher: "Ms. Park", category: "Academic", note: "Math" });
+    assert.equal(res.location, `/?sid=${amy.id}`);
+    res = await carol.post("/add", { sid: amy.id, teacher: "Mr. Lee" });
+
+    const week = await weekOf();
+    assert.deepEqual(
+      week.map((c) => [c.teacher, c.category, c.note, c.enteredBy]),
+      [
+        ["Ms. Park", "Academic", "Math", "carol"],
+        ["Mr. Lee", "", "", "carol"],
+      ]
+    );
+
+    const page = await carol.get(`/?sid=${amy.id}`);
+    assert.match(page.body, /Ms\. Park/);
+    assert.match(page.body, /Mr\. Lee/);
+  });
+
+  await t.test("a category outside the list is refused with a notice", async () => {
+    await carol.post("/add", { sid: amy.id, category: "Lunch" });
+    assert.equal((await weekOf()).length, 2);
+    assert.match((await carol.get(`/?sid=${amy.id}`)).body, /Category must be one of/);
+  });
+
+  await t.test("another teacher can't touch a student that isn't shared with them", async () => {
+    const dave = createClient(app.baseUrl);
+    await dave.login("dave", "pw-dave");
+    await dave.get("/");
+    for (const path of ["/add", "/clearweek", "/endweek"]) {
+      const res = await dave.post(path, { sid: amy.id });
+      assert.equal(res.status, 403, path);
+    }
+    assert.equal((await weekOf()).length, 2);
+  });
+
+  await t.test("clearing the week deletes its check-ins and can be audited", async () => {
+    const res = await carol.post("/clearweek", { sid: amy.id });
+    assert.equal(res.location, `/?sid=${amy.id}`);
+    assert.equal((await weekOf()).length, 0);
+
+    const entry = (await app.storage.readAuditLog()).findLast((e) => e.action === "week.clear");
+    assert.equal(entry.studentId, amy.id);
+    assert.equal(entry.before.checkins.length, 2);
+  });
+
+  await t.test("ending the week saves it to history once", async () => {
+    await carol.post("/add", { sid: amy.id, teacher: "Ms. Park" });
+    await carol.post("/add", { sid: amy.id, teacher: "Mr. Lee" });
+    await carol.post("/add", { sid: amy.id });
+    await carol.post("/endweek", { sid: amy.id });
+    await carol.post("/endweek", { sid: amy.id });
+
+    const rows = (await app.storage.readHistoryRows()).filter((r) => r.studentId === amy.id);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].weekEnding, currentWeekEnding());
+    assert.equal(rows[0].checkins, 3);
+    assert.equal(rows[0].teacher, "Ms. Park; Mr. Lee");
+    assert.deepEqual([rows[0].goal, rows[0].maxCheckins], [4, 5]);
+    assert.equal((await weekOf()).length, 0);
+  });
+
+  await t.test("a post without the CSRF token changes nothing", async () => {
+    const res = await carol.post("/clearweek", { sid: amy.id, _csrf: "" });
+    assert.equal(res.status, 403);
+    assert.match(res.body, /Form expired/);
+    const saved = (await app.storage.readCheckins()).filter((c) => c.studentId === amy.id);
+    assert.equal(saved.length, 3);
+  });
+});
+
+test("the check-in form", async (t) => {
+  const app = await startApp({ users: [{ username: "carol", password: "pw-carol", role: "teacher" }] });
+  t.after(app.close);
+  const amy = await app.storage.ensureStudent("carol", "Amy");
+  await app.storage.saveWeekToHistory(amy.id, addDaysISO(currentWeekEnding(), -7), 3, "Ms. Park; Mr. Lee");
+  const carol = createClient(app.baseUrl);
+  await carol.login("carol", "pw-carol");
+  const json = { accept: "application/json" };
+
+  await t.test("suggests teachers from history and offers this week's days", async () => {
+    const page = await carol.get(`/?sid=${amy.id}`);
+    assert.match(page.body, /<datalist id="teacher-list"[^]*value="Mr\. Lee"[^]*value="Ms\. Park"/);
+    const days = checkinDays();
+    assert.match(page.body, new RegExp(`type="date" name="date" value="${days.max}" min="${days.min}" max="${days.max}"`));
+  });
+
+  await t.test("a script gets the new check-in back as JSON", async () => {
+    const { min } = checkinDays();
+    const res = await carol.post("/add", { sid: amy.id, teacher: "Ms. Park", date: min }, json);
+    assert.equal(res.status, 201);
+    const { checkin } = JSON.parse(res.body);
+    assert.equal(checkin.teacher, "Ms. Park");
+    assert.equal(checkin.weekEnding, currentWeekEnding());
+    const [saved] = await app.storage.readCheckins();
+    assert.equal(checkinWeek(saved), currentWeekEnding());
+  });
+
+  await t.test("a day outside the current week is refused", async () => {
+    for (const date of [addDaysISO(checkinDays().max, 1), "soon"]) {
+      const res = await carol.post("/add", { sid: amy.id, date }, json);
+      assert.equal(res.status, 400, date);
+      assert.deepEqual(JSON.parse(res.body).error.fields, { date: "invalid" });
+    }
+    // Queued offline before the rollover: the week is already saved
+    const res = await carol.post("/add", { sid: amy.id, date: addDaysISO(currentWeekEnding(), -7) }, json);
+    assert.equal(res.status, 409);
+    assert.equal(JSON.parse(res.body).error.code, "week_closed");
+    assert.equal((await app.storage.readCheckins()).length, 1);
+  });
+
+  await t.test("a queued check-in sent again counts once", async () => {
+    const fields = { sid: amy.id, teacher: "Mr. Lee", clientId: "1760000000000-abc123" };
+    const first = await carol.post("/add", fields, json);
+    assert.equal(first.status, 201);
+    // The answer was lost on the way back, so the phone sends it again
+    const again = await carol.post("/add", fields, json);
+    assert.equal(again.status, 201);
+    assert.equal(JSON.parse(again.body).checkin.id, JSON.parse(first.body).checkin.id);
+    const added = (await app.storage.readCheckins()).filter((c) => c.clientId === fields.clientId);
+    assert.equal(added.length, 1);
+    assert.equal((await app.storage.readAuditLog()).filter((e) => e.action === "checkin.add").length, 2);
+
+    // Another check-in with its own id still counts
+    await carol.post("/add", { ...fields, clientId: "1760000000001-def456" }, json);
+    assert.equal((await app.storage.readCheckins()).length, 3);
+  });
+
+  await t.test("a replay with an old token or no session gets no JSON, so the phone can tell", async () => {
+    const stale = await carol.post("/add", { sid: amy.id, _csrf: "old-session" }, json);
+    assert.equal(stale.status, 403);
+    assert.doesNotMatch(stale.headers.get("content-type"), /json/);
+    const signedOut = await createClient(app.baseUrl).post("/add", { sid: amy.id, _csrf: "x" }, json);
+    assert.equal(signedOut.location, "/login");
+    assert.equal((await app.storage.readCheckins()).length, 3);
+  });
+
+  await t.test("the page can be installed as an app", async () => {
+    const page = await carol.get(`/?sid=${amy.id}`);
+    assert.match(page.body, /<link rel="manifest" href="\/public\/manifest\.webmanifest"/);
+    assert.match(page.body, /data-queue="Amy"/);
+    // Both load before anyone signs in
+    const anonymous = createClient(app.baseUrl);
+    for (const path of ["/sw.js", "/public/manifest.webmanifest"]) {
+      const res = await anonymous.get(path);
+      assert.equal(res.status, 200, path);
+    }
+    assert.equal(JSON.parse((await anonymous.get("/public/manifest.webmanifest")).body).start_url, "/");
+  });
+
+  await t.test("errors for a script are JSON too", async () => {
+    const res = await carol.post("/add", { sid: "nope" }, json);
+    assert.equal(res.status, 404);
+    assert.equal(JSON.parse(res.body).error.code, "not_found");
+  });
+});
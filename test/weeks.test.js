@@ -0,0 +1,116 @@
+// Week naming, the school calendar and goal tiers (domain/weeks, domain/plans).
+process.env.SCHOOL_TZ = "America/Los_Angeles";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+const {
+  checkinDays,
+  checkinTimeFor,
+  isDateISO,
+  parseClosures,
+  prorate,
+  schoolWeek,
+  weekEndingFor,
+  weekEndingForDate,
+  zonedNoon,
+} = require("../domain/weeks");
+const { countTier, parseCount, parseSchoolPlan, planFor } = require("../domain/plans");
+
+test("a check-in belongs to the first Friday 18:00 cutoff after it", () => {
+  // 2026-10-16 is a Friday; Los Angeles is UTC-7 in October
+  assert.equal(weekEndingFor(new Date("2026-10-16T17:00:00-07:00")), "2026-10-16");
+  assert.equal(weekEndingFor(new Date("2026-10-16T19:00:00-07:00")), "2026-10-23");
+  assert.equal(weekEndingFor(new Date("2026-10-17T09:00:00-07:00")), "2026-10-23");
+  assert.equal(weekEndingFor(new Date("2026-10-12T08:00:00-07:00")), "2026-10-16");
+});
+
+test("weekEndingForDate ignores the cutoff time", () => {
+  assert.equal(weekEndingForDate("2026-10-16"), "2026-10-16");
+  assert.equal(weekEndingForDate("2026-10-17"), "2026-10-23");
+  assert.equal(weekEndingForDate("2026-10-11"), "2026-10-16");
+});
+
+test("a check-in can be dated any day of the current week up to today", () => {
+  const wednesday = new Date("2026-10-14T10:30:00-07:00");
+  assert.deepEqual(checkinDays(wednesday), { min: "2026-10-10", max: "2026-10-14" });
+  // Friday evening is already the next week, which hasn't had a day yet
+  assert.deepEqual(checkinDays(new Date("2026-10-16T19:00:00-07:00")), { min: "2026-10-16", max: "2026-10-16" });
+
+  assert.equal(checkinTimeFor("2026-10-14", wednesday), wednesday.toISOString());
+  assert.equal(checkinTimeFor("2026-10-12", wednesday), "2026-10-12T19:00:00.000Z");
+  // Noon across the change back from daylight time
+  assert.equal(zonedNoon("2026-11-02"), "2026-11-02T20:00:00.000Z");
+});
+
+test("isDateISO only accepts real dates", () => {
+  assert.equal(isDateISO("2026-02-28"), true);
+  assert.equal(isDateISO("2026-02-30"), false);
+  assert.equal(isDateISO("2026-2-3"), false);
+  assert.equal(isDateISO(undefined), false);
+});
+
+test("closures shorten a week and prorate its goal", () => {
+  const closures = parseClosures(
+    JSON.stringify([
+      { id: "a", start: "2026-11-25", end: "2026-11-27", label: "Thanksgiving" },
+      { id: "b", start: "2026-12-21", end: "2027-01-01", label: "Winter break" },
+      { id: "c", start: "not a date", end: "2026-01-01", label: "Ignored" },
+    ])
+  );
+  assert.equal(closures.length, 2);
+
+  const short = schoolWeek("2026-11-27", closures);
+  assert.deepEqual(short, { days: 2, full: 5, closures: ["Thanksgiving"] });
+  assert.deepEqual(prorate({ goal: 4, maxCheckins: 5 }, short), { goal: 2, maxCheckins: 2 });
+
+  const off = schoolWeek("2026-12-25", closures);
+  assert.equal(off.days, 0);
+  assert.deepEqual(prorate({ goal: 4, maxCheckins: 5 }, off), { goal: 4, maxCheckins: 5 });
+
+  assert.equal(schoolWeek("2026-10-16", closures).days, 5);
+});
+
+test("plans fall back to the school default, then the legacy 4 of 5", () => {
+  const school = parseSchoolPlan(JSON.stringify({ goal: 3, maxCheckins: 6 }));
+  assert.deepEqual(school, { goal: 3, maxCheckins: 6 });
+  assert.deepEqual(parseSchoolPlan(null), { goal: 4, maxCheckins: 5 });
+  assert.deepEqual(planFor({ goal: null, maxCheckins: null }, school), school);
+  assert.deepEqual(planFor({ goal: 2, maxCheckins: 2 }, school), { goal: 2, maxCheckins: 2 });
+});
+
+test("counts are whole numbers up to the max and tiered against the goal", () => {
+  assert.equal(parseCount("3", 5), 3);
+  assert.equal(parseCount("6", 5), null);
+  assert.equal(parseCount("-1", 5), null);
+  assert.equal(parseCount("2.5", 5), null);
+
+  const plan = { goal: 4, maxCheckins: 5 };
+  assert.deepEqual(
+    [0, 1, 2, 3, 4, 5].map((n) => countTier(n, plan)),
+    ["none", "low", "progress", "close", "met", "beyond"]
+  );
+  assert.equal(countTier(4, { goal: 4, maxCheckins: 4 }), "met");
+});
+
+test("a cutoff or digest day that isn't 0-6 stops the app at startup", () => {
+  const load = (env) =>
+    spawnSync(process.execPath, ["-e", 'require("./lib/config")'], {
+      cwd: path.join(__dirname, ".."),
+      env: { ...process.env, ROLLOVER_DAY: "", DIGEST_DAY: "", ...env },
+      encoding: "utf8",
+    });
+  assert.equal(load({}).status, 0);
+  assert.equal(load({ ROLLOVER_DAY: "0", DIGEST_DAY: "6" }).status, 0);
+  for (const [name, value] of [
+    ["ROLLOVER_DAY", "fri"],
+    ["ROLLOVER_DAY", "7"],
+    ["DIGEST_DAY", "1.5"],
+    ["DIGEST_DAY", "-1"],
+  ]) {
+    const run = load({ [name]: value });
+    assert.notEqual(run.status, 0, `${name}=${value}`);
+    assert.match(run.stderr, new RegExp(`${name} must be a day number from 0 \\(Sunday\\) to 6`));
+  }
+});